@@ -0,0 +1,155 @@
+/**
+ * agent-control.js — client for the local agent's control socket.
+ *
+ * Runs in the main process. The agent serves newline-delimited JSON-RPC 2.0
+ * on a 0600 Unix socket; this client subscribes to runtime events (session
+ * messages, results, approvals) and sends owner decisions back.
+ *
+ * The socket only exists once the agent has finished starting (login and
+ * identity registration can take a while), so connecting retries until the
+ * client is closed.
+ */
+
+const net = require('node:net');
+
+const CONNECT_RETRY_MS = 500;
+const CALL_TIMEOUT_MS = 10 * 1000;
+const BUFFER_MAX = 1024 * 1024; // 1 MB cap, same as the stdout line buffer
+
+/**
+ * @param {object} options
+ * @param {string} options.socketPath
+ * @param {(event: object) => void} options.onEvent  runtime event notification
+ * @param {(message: string) => void} [options.onLog]
+ */
+function createAgentControlClient({ socketPath, onEvent, onLog = () => {} }) {
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let retryTimer = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  function rejectPending(message) {
+    for (const entry of pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error(message));
+    }
+    pending.clear();
+  }
+
+  function scheduleReconnect() {
+    if (closed || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, CONNECT_RETRY_MS);
+  }
+
+  function handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.method === 'event' && message.params && typeof message.params === 'object') {
+      onEvent(message.params);
+      return;
+    }
+
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+    if (message.error) {
+      entry.reject(new Error(typeof message.error.message === 'string' ? message.error.message : 'control call failed'));
+    } else {
+      entry.resolve(message.result);
+    }
+  }
+
+  function connect() {
+    if (closed) return;
+
+    const current = net.connect(socketPath);
+    socket = current;
+    let buffer = '';
+
+    current.setEncoding('utf8');
+    current.on('connect', () => {
+      connected = true;
+      onLog(`[desktop] connected to agent control socket ${socketPath}`);
+      call('events.subscribe').catch((err) => {
+        onLog(`[desktop] agent event subscription failed: ${err instanceof Error ? err.message : String(err)}`);
+      });
+    });
+    current.on('data', (chunk) => {
+      buffer += chunk;
+      if (buffer.length > BUFFER_MAX) {
+        onLog('[desktop] control socket buffer overflow — reconnecting');
+        current.destroy();
+        return;
+      }
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          handleMessage(JSON.parse(line));
+        } catch (_e) { /* malformed line — skip */ }
+      }
+    });
+    current.on('error', () => { /* handled by close */ });
+    current.on('close', () => {
+      if (socket === current) {
+        socket = null;
+      }
+      if (connected) {
+        onLog('[desktop] agent control socket closed');
+      }
+      connected = false;
+      rejectPending('agent control socket closed');
+      scheduleReconnect();
+    });
+  }
+
+  /**
+   * Call a control method; resolves with its result or rejects with the
+   * agent's error code.
+   */
+  function call(method, params = {}) {
+    if (!socket || !connected) {
+      return Promise.reject(new Error('agent control socket is not connected'));
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error('agent control call timed out'));
+      }, CALL_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+      socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  function close() {
+    closed = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    rejectPending('agent control client closed');
+    if (socket) {
+      socket.destroy();
+      socket = null;
+    }
+    connected = false;
+  }
+
+  connect();
+
+  return {
+    call,
+    close,
+    isConnected: () => connected,
+  };
+}
+
+module.exports = { createAgentControlClient };
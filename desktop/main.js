@@ -6,7 +6,12 @@ const { app, BrowserWindow, dialog, ipcMain, shell, safeStorage } = require('ele
 const { randomBytes } = require('node:crypto');
 const MAX_AUDIT_RETURN_ENTRIES = 2000;
 const SHARE_TOKEN_PENDING_TTL_MS = 5 * 60 * 1000;
+// Agent drains running prompts this long on stop (plus a cancel window) before SIGKILL.
+const AGENT_SHUTDOWN_GRACE_MS = 10 * 1000;
 const SHARE_TOKEN_RE = /^[A-Za-z0-9_-]{16,512}$/;
+// Each spawned agent gets its own control socket here, so it never collides
+// with an agent started from the CLI or by another desktop instance.
+const AGENT_CONTROL_SOCKET_DIR = path.join(os.homedir(), '.commands-agent');
 
 // ---------------------------------------------------------------------------
 // Profile storage constants
@@ -35,8 +40,10 @@ const AVATAR_MAGIC = {
 const auth = require('./auth.js');
 const sessionManager = require('./session-manager.js');
 const gatewayClient = require('./gateway-client.js');
+const { createAgentControlClient } = require('./agent-control.js');
 
 let agentProcess = null;
+let agentControl = null;
 let forceKillTimer = null;
 const agentState = {
   running: false,
@@ -875,9 +882,42 @@ function buildAgentEnv(launchProfile, runtimeOptions, agentRoot) {
     env.SYSTEM_PROMPT = launchProfile.systemPrompt;
   }
 
+  // Events and owner decisions (tool and prompt approvals) go over the
+  // agent's control socket; startAgent sets CONTROL_SOCKET.
+  env.DESKTOP_CONTROL = '1';
+  env.SHUTDOWN_GRACE_MS = String(AGENT_SHUTDOWN_GRACE_MS);
+
+  if (launchProfile?.promptApproval === true) {
+    env.PROMPT_APPROVAL = '1';
+  }
+
   return env;
 }
 
+/**
+ * Call a JSON-RPC method on the running agent's control socket.
+ */
+async function callAgentControl(method, params) {
+  if (!agentProcess || !agentControl) {
+    return { ok: false, error: 'agent is not running' };
+  }
+  try {
+    const result = await agentControl.call(method, params);
+    return { ok: true, result };
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
+  }
+}
+
+function forwardAgentEvent(payload) {
+  if (!payload || typeof payload !== 'object') return;
+  // Inject profileId so renderer can attribute events to a specific agent
+  if (!payload.profileId && agentState.launchConfig?.profileId) {
+    payload.profileId = agentState.launchConfig.profileId;
+  }
+  emitToAllWindows('desktop:conversation-event', payload);
+}
+
 async function startAgent(payload = {}) {
   if (agentProcess) {
     return {
@@ -1016,6 +1056,11 @@ async function startAgent(payload = {}) {
     headless: payload?.headless === true,
   };
   const env = buildAgentEnv(launchProfile, runtimeOptions, agentRoot);
+  const controlSocketPath = path.join(
+    AGENT_CONTROL_SOCKET_DIR,
+    `control-desktop-${process.pid}-${randomBytes(4).toString('hex')}.sock`
+  );
+  env.CONTROL_SOCKET = controlSocketPath;
 
   if (env.PROVIDER === 'ollama') {
     let ollamaModels;
@@ -1066,6 +1111,11 @@ async function startAgent(payload = {}) {
   }
 
   agentProcess = child;
+  agentControl = createAgentControlClient({
+    socketPath: controlSocketPath,
+    onEvent: forwardAgentEvent,
+    onLog: (message) => emitAgentLog('system', message),
+  });
   if (forceKillTimer) {
     clearTimeout(forceKillTimer);
     forceKillTimer = null;
@@ -1087,6 +1137,7 @@ async function startAgent(payload = {}) {
     ollamaBaseUrl: env.OLLAMA_BASE_URL || null,
     permissionProfile: env.PERMISSION_PROFILE || null,
     mcpFilesystemEnabled: env.MCP_FILESYSTEM_ENABLED || null,
+    promptApproval: env.PROMPT_APPROVAL === '1',
     auditLogPath: env.AUDIT_LOG_PATH || defaultAuditLogPath(launchProfile?.id),
     authMode: env.AUTH_MODE || 'oauth',
     forceInit: env.INIT_AGENT === '1',
@@ -1099,8 +1150,9 @@ async function startAgent(payload = {}) {
   );
   emitAgentStatus();
 
-  // Line-buffered stdout parsing: intercept __DESKTOP_EVENT__ lines,
-  // pass everything else as regular log output.
+  // Line-buffered stdout parsing. Runtime events arrive over the control
+  // socket (the agent replays those sent before the desktop subscribed);
+  // their __DESKTOP_EVENT__ stdout copies are dropped from the log.
   const EVENT_PREFIX = '__DESKTOP_EVENT__:';
   const STDOUT_BUFFER_MAX = 1024 * 1024; // 1 MB cap to prevent OOM on long lines
   let stdoutBuffer = '';
@@ -1113,16 +1165,7 @@ async function startAgent(payload = {}) {
     const lines = stdoutBuffer.split('\n');
     stdoutBuffer = lines.pop(); // keep incomplete last line in buffer
     for (const line of lines) {
-      if (line.startsWith(EVENT_PREFIX)) {
-        try {
-          const payload = JSON.parse(line.slice(EVENT_PREFIX.length));
-          // Inject profileId so renderer can attribute events to a specific agent
-          if (!payload.profileId && agentState.launchConfig?.profileId) {
-            payload.profileId = agentState.launchConfig.profileId;
-          }
-          emitToAllWindows('desktop:conversation-event', payload);
-        } catch (_e) { /* malformed event line — skip */ }
-      } else if (line.length > 0) {
+      if (line.length > 0 && !line.startsWith(EVENT_PREFIX)) {
         emitAgentLog('stdout', line);
       }
     }
@@ -1141,20 +1184,10 @@ async function startAgent(payload = {}) {
   });
   child.on('close', (code, signal) => {
     // Flush any remaining stdout buffer
-    if (stdoutBuffer.length > 0) {
-      if (stdoutBuffer.startsWith(EVENT_PREFIX)) {
-        try {
-          const payload = JSON.parse(stdoutBuffer.slice(EVENT_PREFIX.length));
-          if (!payload.profileId && agentState.launchConfig?.profileId) {
-            payload.profileId = agentState.launchConfig.profileId;
-          }
-          emitToAllWindows('desktop:conversation-event', payload);
-        } catch (_e) { /* skip */ }
-      } else {
-        emitAgentLog('stdout', stdoutBuffer);
-      }
-      stdoutBuffer = '';
+    if (stdoutBuffer.length > 0 && !stdoutBuffer.startsWith(EVENT_PREFIX)) {
+      emitAgentLog('stdout', stdoutBuffer);
     }
+    stdoutBuffer = '';
 
     if (forceKillTimer) {
       clearTimeout(forceKillTimer);
@@ -1162,7 +1195,11 @@ async function startAgent(payload = {}) {
     }
     if (agentProcess === child) {
       agentProcess = null;
+      agentControl?.close();
+      agentControl = null;
     }
+    // Left behind when the agent did not shut down cleanly.
+    fs.rm(controlSocketPath, { force: true }).catch(() => {});
 
     agentState.lastExitCode = Number.isInteger(code) ? code : null;
     agentState.lastExitSignal = signal || '';
@@ -1224,7 +1261,7 @@ async function stopAgent(force = false) {
           emitAgentLog('system', '[desktop] agent did not exit; escalating to SIGKILL');
           sendSignalToAgentProcess(proc, 'SIGKILL');
         }
-      }, 5000);
+      }, AGENT_SHUTDOWN_GRACE_MS + 10000);
     }
   } catch (err) {
     const errorText = err instanceof Error ? err.message : String(err);
@@ -1571,6 +1608,32 @@ ipcMain.handle('desktop:agent:start', async (_event, payload) => {
 ipcMain.handle('desktop:agent:stop', async (_event, payload) => stopAgent(Boolean(payload?.force)));
 ipcMain.handle('desktop:agent:status', async () => ({ ok: true, status: snapshotAgentState() }));
 
+const APPROVAL_ID_RE = /^approval_[a-zA-Z0-9-]{1,64}$/;
+
+ipcMain.handle('desktop:agent:prompt-respond', async (_event, payload) => {
+  const approvalId = payload?.approvalId;
+  if (typeof approvalId !== 'string' || !APPROVAL_ID_RE.test(approvalId)) {
+    return { ok: false, error: 'Invalid approvalId' };
+  }
+  const note = typeof payload?.note === 'string' ? payload.note.trim().slice(0, 500) : '';
+  return callAgentControl('prompts.respond', {
+    approvalId,
+    approved: payload?.approved === true,
+    ...(note ? { note } : {}),
+  });
+});
+
+ipcMain.handle('desktop:agent:approval-respond', async (_event, payload) => {
+  const approvalId = payload?.approvalId;
+  if (typeof approvalId !== 'string' || !APPROVAL_ID_RE.test(approvalId)) {
+    return { ok: false, error: 'Invalid approvalId' };
+  }
+  return callAgentControl('approvals.respond', {
+    approvalId,
+    approved: payload?.approved === true,
+  });
+});
+
 ipcMain.handle('desktop:credentials:status', async () => ({
   ok: true,
   available: safeStorage.isEncryptionAvailable(),
@@ -1810,6 +1873,11 @@ function sanitizeProfilePayload(incoming) {
     allowed.mcpFilesystemEnabled = incoming.mcpFilesystemEnabled;
   }
 
+  // promptApproval
+  if (typeof incoming.promptApproval === 'boolean') {
+    allowed.promptApproval = incoming.promptApproval;
+  }
+
   // mcpFilesystemRoot
   if (typeof incoming.mcpFilesystemRoot === 'string') {
     const fsRoot = incoming.mcpFilesystemRoot.trim();
@@ -1966,6 +2034,7 @@ ipcMain.handle('desktop:profiles:save', async (_event, payload) => {
         mcpServers: sanitized.mcpServers || '',
         mcpFilesystemEnabled: sanitized.mcpFilesystemEnabled || false,
         mcpFilesystemRoot: sanitized.mcpFilesystemRoot || '',
+        promptApproval: sanitized.promptApproval || false,
         createdAt: Date.now(),
         updatedAt: Date.now(),
       };
@@ -2337,6 +2406,30 @@ function pruneMsgRateState(now) {
   }
 }
 
+const MAX_CHAT_ATTACHMENTS = 5;
+const MAX_CHAT_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MIME_RE = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/i;
+
+// Renderer-supplied files: [{ name, mimeType, data: Uint8Array }].
+function parseChatAttachments(raw) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_CHAT_ATTACHMENTS) return null;
+  const attachments = [];
+  for (const file of raw) {
+    const name = file?.name;
+    const mimeType = file?.mimeType || 'application/octet-stream';
+    const data = file?.data;
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) return null;
+    if (typeof mimeType !== 'string' || !ATTACHMENT_MIME_RE.test(mimeType)) return null;
+    if (!(data instanceof Uint8Array) || data.byteLength > MAX_CHAT_ATTACHMENT_BYTES) return null;
+    attachments.push({ name: name.trim(), mimeType: mimeType.toLowerCase(), data });
+  }
+  return attachments;
+}
+
+// Agent workspace aliases: letters, digits, ".", "_", "-".
+const WORKSPACE_NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
 ipcMain.handle('desktop:gateway:send-message', async (_event, payload) => {
   try {
     const deviceId = payload?.deviceId;
@@ -2347,6 +2440,14 @@ ipcMain.handle('desktop:gateway:send-message', async (_event, payload) => {
     if (typeof text !== 'string' || text.length > 100_000) {
       return { ok: false, error: 'Invalid message (must be string <= 100000 chars)' };
     }
+    const attachments = parseChatAttachments(payload?.attachments);
+    if (!attachments) {
+      return { ok: false, error: `Invalid attachments (at most ${MAX_CHAT_ATTACHMENTS} files, 10 MB each)` };
+    }
+    const workspace = payload?.workspace ?? null;
+    if (workspace !== null && (typeof workspace !== 'string' || !WORKSPACE_NAME_RE.test(workspace))) {
+      return { ok: false, error: 'Invalid workspace' };
+    }
 
     // Rate limit check
     const now = Date.now();
@@ -2360,7 +2461,47 @@ ipcMain.handle('desktop:gateway:send-message', async (_event, payload) => {
     _msgTimestamps.set(deviceId, recent);
 
     const gatewayUrl = getGatewayUrl();
-    return await sessionManager.sendChatMessage(gatewayUrl, deviceId, text);
+    return await sessionManager.sendChatMessage(gatewayUrl, deviceId, text, attachments, workspace);
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
+  }
+});
+
+const MESSAGE_ID_RE = /^[a-zA-Z0-9._:-]{1,128}$/;
+
+ipcMain.handle('desktop:gateway:cancel-message', async (_event, payload) => {
+  try {
+    const deviceId = payload?.deviceId;
+    const messageId = payload?.messageId;
+    if (typeof deviceId !== 'string' || deviceId.length > 128 || !DEVICE_ID_RE.test(deviceId)) {
+      return { ok: false, error: 'Invalid deviceId' };
+    }
+    if (typeof messageId !== 'string' || !MESSAGE_ID_RE.test(messageId)) {
+      return { ok: false, error: 'Invalid messageId' };
+    }
+    const gatewayUrl = getGatewayUrl();
+    return await sessionManager.cancelChatMessage(gatewayUrl, deviceId, messageId);
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
+  }
+});
+
+ipcMain.handle('desktop:gateway:approval-respond', async (_event, payload) => {
+  try {
+    const deviceId = payload?.deviceId;
+    const messageId = payload?.messageId;
+    const approvalId = payload?.approvalId;
+    if (typeof deviceId !== 'string' || deviceId.length > 128 || !DEVICE_ID_RE.test(deviceId)) {
+      return { ok: false, error: 'Invalid deviceId' };
+    }
+    if (typeof messageId !== 'string' || !MESSAGE_ID_RE.test(messageId)) {
+      return { ok: false, error: 'Invalid messageId' };
+    }
+    if (typeof approvalId !== 'string' || !APPROVAL_ID_RE.test(approvalId)) {
+      return { ok: false, error: 'Invalid approvalId' };
+    }
+    const gatewayUrl = getGatewayUrl();
+    return await sessionManager.respondToolApproval(gatewayUrl, deviceId, messageId, approvalId, payload?.approved === true);
   } catch (err) {
     return { ok: false, error: err instanceof Error ? err.message : String(err) };
   }
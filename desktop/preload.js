@@ -130,6 +130,8 @@ contextBridge.exposeInMainWorld('commandsDesktop', {
   startAgent: (payload) => ipcRenderer.invoke('desktop:agent:start', payload),
   stopAgent: (payload) => ipcRenderer.invoke('desktop:agent:stop', payload),
   getAgentStatus: () => ipcRenderer.invoke('desktop:agent:status'),
+  respondToolApproval: (approvalId, approved) => ipcRenderer.invoke('desktop:agent:approval-respond', { approvalId, approved }),
+  respondPromptApproval: (approvalId, approved, note) => ipcRenderer.invoke('desktop:agent:prompt-respond', { approvalId, approved, note }),
   onAgentLog: (handler) => {
     if (typeof handler !== 'function') return () => {};
     const listener = (_event, payload) => handler(payload);
@@ -177,7 +179,9 @@ contextBridge.exposeInMainWorld('commandsDesktop', {
   gateway: {
     fetchDevices: () => ipcRenderer.invoke('desktop:gateway:devices'),
     startSession: (deviceId) => ipcRenderer.invoke('desktop:gateway:start-session', { deviceId }),
-    sendMessage: (deviceId, text) => ipcRenderer.invoke('desktop:gateway:send-message', { deviceId, text }),
+    sendMessage: (deviceId, text, attachments, workspace) => ipcRenderer.invoke('desktop:gateway:send-message', { deviceId, text, attachments, workspace }),
+    cancelMessage: (deviceId, messageId) => ipcRenderer.invoke('desktop:gateway:cancel-message', { deviceId, messageId }),
+    respondApproval: (deviceId, messageId, approvalId, approved) => ipcRenderer.invoke('desktop:gateway:approval-respond', { deviceId, messageId, approvalId, approved }),
     endSession: (deviceId) => ipcRenderer.invoke('desktop:gateway:end-session', { deviceId }),
     consumeShareLink: (input) => ipcRenderer.invoke('desktop:gateway:share-consume', { input }),
     createShareInvite: (payload) => ipcRenderer.invoke('desktop:gateway:share-create', payload || {}),
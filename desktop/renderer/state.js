@@ -281,6 +281,100 @@ export function processConversationEvent(event) {
       break;
     }
 
+    case 'session.tool': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session) return;
+      // One entry per tool call, updated in place as it is decided and finishes
+      const existing = event.toolUseId
+        ? session.messages.find((m) => m.role === 'tool' && m.toolUseId === event.toolUseId)
+        : null;
+      if (existing) {
+        existing.status = event.status || existing.status;
+        if (event.summary) existing.text = event.summary;
+        if (event.reason) existing.reason = event.reason;
+      } else {
+        session.messages.push({
+          role: 'tool',
+          tool: event.tool || 'tool',
+          toolUseId: event.toolUseId || null,
+          status: event.status || '',
+          text: event.summary || '',
+          reason: event.reason || '',
+          messageId: event.messageId,
+          ts: event.ts,
+        });
+      }
+      session.lastActivity = event.ts;
+      break;
+    }
+
+    case 'session.approval_needed': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session || !event.approvalId) return;
+      const prompt = session.messages.find((m) => m.role === 'user' && m.messageId === event.messageId);
+      if (prompt) {
+        prompt.approval = { approvalId: event.approvalId, status: 'pending', expiresAt: event.expiresAt || null };
+      }
+      session.lastActivity = event.ts;
+      break;
+    }
+
+    case 'session.approval_resolved': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session) return;
+      const prompt = session.messages.find((m) => m.role === 'user' && m.approval?.approvalId === event.approvalId);
+      if (prompt) {
+        prompt.approval = {
+          ...prompt.approval,
+          status: event.approved ? 'approved' : 'rejected',
+          reason: event.reason || '',
+          note: event.note || '',
+        };
+      }
+      session.lastActivity = event.ts;
+      break;
+    }
+
+    case 'session.approval.request': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session || !event.approvalId) return;
+      session.messages.push({
+        role: 'approval',
+        approvalId: event.approvalId,
+        route: event.route || 'requester',
+        tool: event.tool || 'tool',
+        text: event.summary || '',
+        status: 'pending',
+        expiresAt: event.expiresAt || null,
+        messageId: event.messageId,
+        ts: event.ts,
+      });
+      session.lastActivity = event.ts;
+      break;
+    }
+
+    case 'session.approval.resolved': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session) return;
+      const entry = session.messages.find((m) => m.role === 'approval' && m.approvalId === event.approvalId);
+      if (entry) {
+        entry.status = event.approved ? 'approved' : 'denied';
+        entry.reason = event.reason || '';
+      }
+      session.lastActivity = event.ts;
+      break;
+    }
+
     case 'session.result': {
       const sid = event.sessionId;
       if (!sid) return;
@@ -314,6 +408,21 @@ export function processConversationEvent(event) {
       break;
     }
 
+    case 'session.cancelled': {
+      const sid = event.sessionId;
+      if (!sid) return;
+      const session = conversationState.sessions.get(sid);
+      if (!session) return;
+      session.messages.push({
+        role: 'error',
+        text: event.reason === 'requester_cancelled' ? 'Cancelled by requester' : 'Cancelled',
+        messageId: event.messageId,
+        ts: event.ts,
+      });
+      session.lastActivity = event.ts;
+      break;
+    }
+
     case 'session.ended': {
       const sid = event.sessionId;
       if (!sid) return;
@@ -380,9 +489,57 @@ export function updateDeviceStatus(deviceId, status) {
 // ---------------------------------------------------------------------------
 const MAX_CHAT_MESSAGES = 500;
 
-/** Map<deviceId, { status, messages: [{ role, text, ts, messageId }] }> */
+/** Map<deviceId, { status, messages: [{ role, text, ts, messageId }], pendingMessageIds: string[], queuedPositions: Object<messageId, number>, toolActivity: { messageId, label } | null, pendingApprovals: [{ approvalId, messageId, tool, summary, expiresAt }] }> */
 export const chatState = new Map();
 
+function settlePendingMessage(chat, messageId) {
+  if (!Array.isArray(chat.pendingMessageIds)) return;
+  chat.pendingMessageIds = messageId
+    ? chat.pendingMessageIds.filter((id) => id !== messageId)
+    : [];
+  if (chat.cancellingMessageId && !chat.pendingMessageIds.includes(chat.cancellingMessageId)) {
+    chat.cancellingMessageId = null;
+  }
+  for (const id of Object.keys(chat.queuedPositions || {})) {
+    if (!chat.pendingMessageIds.includes(id)) {
+      delete chat.queuedPositions[id];
+    }
+  }
+  if (chat.toolActivity && !chat.pendingMessageIds.includes(chat.toolActivity.messageId)) {
+    chat.toolActivity = null;
+  }
+  if (Array.isArray(chat.pendingApprovals)) {
+    chat.pendingApprovals = chat.pendingApprovals.filter((a) => chat.pendingMessageIds.includes(a.messageId));
+  }
+}
+
+/** Short label for the latest tool call of the running prompt, or ''. */
+export function getToolActivityLabel(chat) {
+  return chat?.toolActivity?.label || '';
+}
+
+/** Number of sent prompts the agent has queued behind the running one. */
+export function getQueuedCount(chat) {
+  return Object.keys(chat?.queuedPositions || {}).length;
+}
+
+/** Most recent prompt still waiting on the agent (target for the Stop button). */
+export function getInFlightMessageId(chat) {
+  const pending = Array.isArray(chat?.pendingMessageIds) ? chat.pendingMessageIds : [];
+  return pending.length > 0 ? pending[pending.length - 1] : null;
+}
+
+function findStreamingMessage(chat, messageId) {
+  if (!messageId) return null;
+  for (let i = chat.messages.length - 1; i >= 0; i--) {
+    const msg = chat.messages[i];
+    if (msg.role === 'assistant' && msg.streaming && msg.messageId === messageId) {
+      return msg;
+    }
+  }
+  return null;
+}
+
 export function processChatEvent(event) {
   if (!event || !event.type) return;
 
@@ -391,7 +548,7 @@ export function processChatEvent(event) {
 
   let chat = chatState.get(deviceId);
   if (!chat) {
-    chat = { status: 'idle', messages: [], conversationId: null };
+    chat = { status: 'idle', messages: [], conversationId: null, pendingMessageIds: [], queuedPositions: {} };
     chatState.set(deviceId, chat);
   }
 
@@ -408,12 +565,15 @@ export function processChatEvent(event) {
       }
       chat.conversationId = event.conversationId || chat.conversationId;
       chat.status = 'ready';
+      settlePendingMessage(chat, null);
       break;
     case 'session.ended':
       chat.status = 'ended';
+      settlePendingMessage(chat, null);
       break;
     case 'session.error':
       chat.status = 'error';
+      settlePendingMessage(chat, null);
       chat.messages.push({ role: 'error', text: event.error || 'Connection error', ts: new Date().toISOString() });
       break;
     case 'message.sent':
@@ -422,13 +582,65 @@ export function processChatEvent(event) {
       if (chat.status !== 'processing') {
         chat.status = 'ready';
       }
-      chat.messages.push({ role: 'user', text: event.text, ts: event.ts, messageId: event.messageId });
+      chat.messages.push({
+        role: 'user',
+        text: event.text,
+        ts: event.ts,
+        messageId: event.messageId,
+        ...(Array.isArray(event.attachments) && event.attachments.length > 0 ? { attachments: event.attachments } : {}),
+        ...(event.workspace ? { workspace: event.workspace } : {}),
+      });
+      if (event.messageId) {
+        chat.pendingMessageIds = [...(chat.pendingMessageIds || []), event.messageId];
+      }
+      break;
+    case 'message.delta': {
+      if (!event.text) break;
+      chat.status = 'processing';
+      const streaming = findStreamingMessage(chat, event.messageId);
+      if (!streaming) {
+        chat.messages.push({
+          role: 'assistant',
+          text: event.text,
+          ts: new Date().toISOString(),
+          messageId: event.messageId,
+          streaming: true,
+        });
+      } else if (event.kind === 'assistant_turn') {
+        // Each Claude turn is a complete block of prose; keep them as paragraphs.
+        streaming.text = streaming.text ? `${streaming.text}\n\n${event.text}` : event.text;
+      } else {
+        streaming.text += event.text;
+      }
       break;
-    case 'message.received':
+    }
+    case 'message.received': {
       chat.status = 'ready';
-      chat.messages.push({ role: 'assistant', text: event.text, ts: event.ts, messageId: event.messageId });
+      settlePendingMessage(chat, event.messageId);
+      // Final result replaces the streamed preview for the same message.
+      const streaming = findStreamingMessage(chat, event.messageId);
+      if (streaming) {
+        streaming.text = event.text;
+        streaming.ts = event.ts;
+        streaming.streaming = false;
+        if (event.diff) streaming.diff = event.diff;
+      } else {
+        chat.messages.push({
+          role: 'assistant',
+          text: event.text,
+          ts: event.ts,
+          messageId: event.messageId,
+          ...(event.diff ? { diff: event.diff } : {}),
+        });
+      }
       break;
-    case 'message.error':
+    }
+    case 'message.error': {
+      const streaming = findStreamingMessage(chat, event.messageId);
+      if (streaming) {
+        streaming.streaming = false;
+      }
+      settlePendingMessage(chat, event.messageId);
       // Only reset to ready if we were processing (waiting for agent response).
       // Don't set ready if session isn't actually established.
       if (chat.status === 'processing') {
@@ -436,9 +648,82 @@ export function processChatEvent(event) {
       }
       chat.messages.push({ role: 'error', text: event.error || 'Message error', ts: new Date().toISOString() });
       break;
+    }
+    case 'message.queued':
+      chat.status = 'processing';
+      if (event.messageId) {
+        chat.queuedPositions = { ...(chat.queuedPositions || {}), [event.messageId]: event.position ?? 0 };
+      }
+      break;
     case 'message.progress':
       chat.status = 'processing';
+      if (event.messageId && chat.queuedPositions) {
+        delete chat.queuedPositions[event.messageId];
+      }
+      if (event.status === 'pending_owner_approval') {
+        chat.toolActivity = { messageId: event.messageId || null, label: 'Waiting for the owner to approve this prompt' };
+      } else if (chat.toolActivity && chat.toolActivity.messageId === event.messageId) {
+        chat.toolActivity = null;
+      }
+      break;
+    case 'message.tool': {
+      chat.status = 'processing';
+      if (event.messageId && chat.queuedPositions) {
+        delete chat.queuedPositions[event.messageId];
+      }
+      const verb = event.status === 'denied'
+        ? 'Denied'
+        : event.status === 'awaiting_approval' ? 'Waiting for approval:' : 'Using';
+      const label = event.summary ? `${verb} ${event.tool}: ${event.summary}` : `${verb} ${event.tool}`;
+      chat.toolActivity = { messageId: event.messageId || null, label };
+      // Once the agent decides (approved, denied or timed out) the prompt is stale
+      if ((event.status === 'allowed' || event.status === 'denied') && Array.isArray(chat.pendingApprovals)) {
+        const index = chat.pendingApprovals.findIndex((a) => a.messageId === event.messageId && a.tool === event.tool);
+        if (index >= 0) chat.pendingApprovals.splice(index, 1);
+      }
+      break;
+    }
+    case 'message.approval':
+      if (!event.approvalId) break;
+      chat.pendingApprovals = [
+        ...(chat.pendingApprovals || []).filter((a) => a.approvalId !== event.approvalId),
+        {
+          approvalId: event.approvalId,
+          messageId: event.messageId || null,
+          tool: event.tool || 'tool',
+          summary: event.summary || '',
+          expiresAt: event.expiresAt || null,
+        },
+      ];
+      break;
+    case 'message.approval.answered':
+      chat.pendingApprovals = (chat.pendingApprovals || []).filter((a) => a.approvalId !== event.approvalId);
       break;
+    case 'message.cancelling':
+      chat.cancellingMessageId = event.messageId || null;
+      break;
+    case 'workspaces.listed':
+      chat.workspaces = Array.isArray(event.workspaces) ? event.workspaces : [];
+      break;
+    case 'message.cancelled': {
+      chat.status = 'ready';
+      settlePendingMessage(chat, event.messageId);
+      const streaming = findStreamingMessage(chat, event.messageId);
+      if (streaming) {
+        streaming.streaming = false;
+        if (event.diff) streaming.diff = event.diff;
+      } else if (event.text || event.diff) {
+        chat.messages.push({
+          role: 'assistant',
+          text: event.text || '',
+          ts: event.ts,
+          messageId: event.messageId,
+          ...(event.diff ? { diff: event.diff } : {}),
+        });
+      }
+      chat.messages.push({ role: 'notice', text: 'Stopped', ts: event.ts || new Date().toISOString(), messageId: event.messageId });
+      break;
+    }
   }
 
   // Enforce bounded message cap
@@ -6,13 +6,22 @@
  */
 
 import {
-  escapeHtml, botIconSvg, sharedAgentsState, chatState, processChatEvent,
+  escapeHtml, botIconSvg, sharedAgentsState, chatState, processChatEvent, getInFlightMessageId,
+  getQueuedCount,
+  getToolActivityLabel,
 } from '../state.js';
 import { renderMarkdownUntrusted } from '../markdown.js';
 
 const chatDrafts = new Map(); // deviceId -> unsent textarea draft
+const chatAttachments = new Map(); // deviceId -> [{ name, mimeType, data }] dropped but not yet sent
 const sessionStartInFlight = new Set(); // deviceIds with auto-start in progress
 const chatRenderMeta = new Map(); // deviceId -> { messageCount, lastMessageKey }
+const openDiffs = new Set(); // messageIds whose diff viewer is expanded, kept across re-renders
+const chatWorkspaces = new Map(); // deviceId -> picked workspace alias ('' = agent's default directory)
+
+// Mirrors the agent's default attachment policy; the agent enforces its own.
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
 
 // Block javascript: and data: URL schemes in rendered HTML
 function sanitizeUrls(html) {
@@ -75,6 +84,94 @@ function syncDraftFromDom(container, fallbackDeviceId) {
   setDraft(sourceDeviceId, input.value);
 }
 
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const DIFF_STATUS_LABELS = { added: 'A', modified: 'M', deleted: 'D' };
+
+function renderDiffLine(line) {
+  let kind = '';
+  if (/^(diff --git |index |--- |\+\+\+ |new file|deleted file)/.test(line)) kind = 'meta';
+  else if (line.startsWith('@@')) kind = 'hunk';
+  else if (line.startsWith('+')) kind = 'add';
+  else if (line.startsWith('-')) kind = 'del';
+  return `<span class="diff-line${kind ? ` diff-${kind}` : ''}">${escapeHtml(line)}</span>`;
+}
+
+// Collapsible view of a result's artifacts.diff (files changed by the run).
+function renderDiffArtifact(diff, messageId) {
+  const fileCount = diff.files.length;
+  const totals = diff.mode === 'git' ? `, +${diff.additions} −${diff.deletions}` : '';
+  const files = diff.files.map((file) => `
+    <li class="chat-diff-file">
+      <span class="chat-diff-status ${file.status}">${DIFF_STATUS_LABELS[file.status] || 'M'}</span>
+      <span class="chat-diff-path">${escapeHtml(file.path)}</span>
+      ${file.additions !== null ? `<span class="diff-add">+${file.additions}</span> <span class="diff-del">−${file.deletions ?? 0}</span>` : ''}
+    </li>
+  `).join('');
+  const body = diff.unified
+    ? `<pre class="chat-diff-body">${diff.unified.replace(/\n$/, '').split('\n').map(renderDiffLine).join('\n')}</pre>`
+    : '';
+  return `
+    <details class="chat-diff" data-message-id="${escapeHtml(messageId || '')}" ${openDiffs.has(messageId) ? 'open' : ''}>
+      <summary>${fileCount} file${fileCount === 1 ? '' : 's'} changed${totals}${diff.truncated ? ' (truncated)' : ''}</summary>
+      <ul class="chat-diff-files">${files}</ul>
+      ${body}
+    </details>
+  `;
+}
+
+function getAttachments(deviceId) {
+  return chatAttachments.get(deviceId) || [];
+}
+
+function renderAttachmentList(items, removable) {
+  return items.map((file, index) => `
+    <span class="chat-attachment-chip">
+      ${escapeHtml(file.name)} <span class="chat-attachment-size">${formatBytes(file.size ?? file.data?.byteLength ?? 0)}</span>
+      ${removable ? `<button class="chat-attachment-remove" data-index="${index}" title="Remove">×</button>` : ''}
+    </span>
+  `).join('');
+}
+
+async function addDroppedFiles(deviceId, fileList) {
+  const pending = [...getAttachments(deviceId)];
+  for (const file of Array.from(fileList || [])) {
+    if (pending.length >= MAX_ATTACHMENTS) {
+      emitLocalError(deviceId, `At most ${MAX_ATTACHMENTS} files per message`);
+      break;
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      emitLocalError(deviceId, `${file.name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}`);
+      continue;
+    }
+    try {
+      const data = new Uint8Array(await file.arrayBuffer());
+      pending.push({ name: file.name, mimeType: file.type || 'application/octet-stream', data });
+    } catch (e) {
+      emitLocalError(deviceId, e?.message || `Failed to read ${file.name}`);
+    }
+  }
+  chatAttachments.set(deviceId, pending);
+  reRenderChat(deviceId);
+}
+
+function renderWorkspacePicker(workspaces, selected) {
+  const options = workspaces.map((workspace) => {
+    const label = workspace.description ? `${workspace.name} — ${workspace.description}` : workspace.name;
+    return `<option value="${escapeHtml(workspace.name)}" ${workspace.name === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+  }).join('');
+  return `
+    <select id="chat-workspace" class="chat-workspace-select" title="Workspace the agent runs in">
+      <option value="">Default directory</option>
+      ${options}
+    </select>
+  `;
+}
+
 function autoSizeTextarea(input) {
   if (!input) return;
   input.style.height = 'auto';
@@ -107,6 +204,12 @@ export function renderAgentChat(container, deviceId) {
     currentMessageCount > previousMeta.messageCount ||
     (currentMessageCount === previousMeta.messageCount && currentLastMessageKey !== previousMeta.lastMessageKey);
   const draft = getDraft(deviceId);
+  const attachments = getAttachments(deviceId);
+  const workspaces = Array.isArray(chat.workspaces) ? chat.workspaces : [];
+  // Forget a pick the agent no longer offers (policy reload, other requester).
+  if (!workspaces.some((workspace) => workspace.name === chatWorkspaces.get(deviceId))) {
+    chatWorkspaces.delete(deviceId);
+  }
   const deviceName = device?.name || device?.device_id || deviceId;
   const deviceOnline = device?.status === 'online';
   const sessionReady = chat.status === 'ready';
@@ -117,6 +220,9 @@ export function renderAgentChat(container, deviceId) {
   // Allow sending while processing so users can compose/send follow-ups.
   // Error state still allows send to trigger reconnect.
   const canSend = (sessionReady || isProcessing || isSessionError) && deviceOnline;
+  const inFlightMessageId = getInFlightMessageId(chat);
+  const canStop = Boolean(inFlightMessageId) && (sessionReady || isProcessing);
+  const isStopping = canStop && chat.cancellingMessageId === inFlightMessageId;
 
   // Build messages HTML
   let messagesHtml = '';
@@ -132,13 +238,22 @@ export function renderAgentChat(container, deviceId) {
         return `
           <div class="message-bubble chat-user">
             <div class="message-content">${escapeHtml(msg.text)}</div>
-            <div class="message-ts">${formatTime(msg.ts)}</div>
+            ${msg.attachments ? `<div class="chat-attachments">${renderAttachmentList(msg.attachments, false)}</div>` : ''}
+            <div class="message-ts">${msg.workspace ? `${escapeHtml(msg.workspace)} · ` : ''}${formatTime(msg.ts)}</div>
           </div>
         `;
       } else if (msg.role === 'assistant') {
         return `
-          <div class="message-bubble chat-assistant">
+          <div class="message-bubble chat-assistant${msg.streaming ? ' streaming' : ''}">
             <div class="message-content agent-prose">${renderMarkdownSafe(msg.text)}</div>
+            ${msg.diff ? renderDiffArtifact(msg.diff, msg.messageId) : ''}
+            <div class="message-ts">${formatTime(msg.ts)}</div>
+          </div>
+        `;
+      } else if (msg.role === 'notice') {
+        return `
+          <div class="message-bubble chat-notice">
+            <div class="message-content">${escapeHtml(msg.text)}</div>
             <div class="message-ts">${formatTime(msg.ts)}</div>
           </div>
         `;
@@ -156,9 +271,28 @@ export function renderAgentChat(container, deviceId) {
 
   // Processing indicator
   if (chat.status === 'processing') {
+    const queuedCount = getQueuedCount(chat);
+    const queuedLabel = queuedCount > 0 ? ` (${queuedCount} queued)` : '';
+    const toolLabel = getToolActivityLabel(chat);
     messagesHtml += `
       <div class="message-processing">
-        <span class="processing-dots">Agent is thinking</span>
+        <span class="processing-dots">Agent is thinking</span>${queuedLabel}
+        ${toolLabel ? `<div class="message-tool-activity">${escapeHtml(toolLabel)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  // Tool calls waiting on this user's approval
+  for (const approval of chat.pendingApprovals || []) {
+    messagesHtml += `
+      <div class="chat-approval">
+        <div class="chat-approval-text">
+          Allow <strong>${escapeHtml(approval.tool)}</strong>${approval.summary ? `: <code>${escapeHtml(approval.summary)}</code>` : ''}?
+        </div>
+        <div class="chat-approval-actions">
+          <button class="primary chat-approval-btn" data-approval-id="${escapeHtml(approval.approvalId)}" data-message-id="${escapeHtml(approval.messageId || '')}" data-approved="1">Approve</button>
+          <button class="danger chat-approval-btn" data-approval-id="${escapeHtml(approval.approvalId)}" data-message-id="${escapeHtml(approval.messageId || '')}" data-approved="0">Deny</button>
+        </div>
       </div>
     `;
   }
@@ -208,15 +342,18 @@ export function renderAgentChat(container, deviceId) {
       <div class="chat-messages" id="chat-messages">
         ${messagesHtml}
       </div>
+      ${attachments.length > 0 ? `<div class="chat-attachments pending" id="chat-attachments">${renderAttachmentList(attachments, true)}</div>` : ''}
       <div class="chat-input-area">
+          ${workspaces.length > 0 ? renderWorkspacePicker(workspaces, chatWorkspaces.get(deviceId) || '') : ''}
           <textarea
             id="chat-input"
             data-device-id="${escapeHtml(deviceId)}"
             class="chat-textarea"
-            placeholder="${canSend ? 'Type a message...' : (isConnecting ? 'Connecting...' : 'Agent unavailable')}"
+            placeholder="${canSend ? 'Type a message or drop files...' : (isConnecting ? 'Connecting...' : 'Agent unavailable')}"
             rows="1"
             ${canSend ? '' : 'disabled'}
         >${escapeHtml(draft)}</textarea>
+        ${canStop ? `<button class="danger chat-stop-btn" id="chat-stop" data-message-id="${escapeHtml(inFlightMessageId)}" ${isStopping ? 'disabled' : ''}>${isStopping ? 'Stopping...' : 'Stop'}</button>` : ''}
         <button class="primary chat-send-btn" id="chat-send" ${canSend ? '' : 'disabled'}>Send</button>
       </div>
     </div>
@@ -255,6 +392,15 @@ function wireUpChatEvents(container, deviceId) {
   const backBtn = container.querySelector('#chat-back');
   const disconnectBtn = container.querySelector('#chat-disconnect');
   const reconnectBtn = container.querySelector('#chat-reconnect');
+  const stopBtn = container.querySelector('#chat-stop');
+  const workspaceSelect = container.querySelector('#chat-workspace');
+
+  if (workspaceSelect) {
+    workspaceSelect.addEventListener('change', () => {
+      if (workspaceSelect.value) chatWorkspaces.set(deviceId, workspaceSelect.value);
+      else chatWorkspaces.delete(deviceId);
+    });
+  }
 
   // Auto-resize textarea
   if (input) {
@@ -279,6 +425,40 @@ function wireUpChatEvents(container, deviceId) {
     });
   }
 
+  if (stopBtn) {
+    stopBtn.addEventListener('click', async () => {
+      const messageId = stopBtn.dataset.messageId;
+      if (!messageId) return;
+      stopBtn.disabled = true;
+      try {
+        const result = await window.commandsDesktop.gateway.cancelMessage(deviceId, messageId);
+        if (!result?.ok) {
+          emitLocalError(deviceId, result?.error || 'Failed to stop message');
+        }
+      } catch (e) {
+        emitLocalError(deviceId, e?.message || 'Failed to stop message');
+      }
+    });
+  }
+
+  for (const approvalBtn of container.querySelectorAll('.chat-approval-btn')) {
+    approvalBtn.addEventListener('click', async () => {
+      const { approvalId, messageId, approved } = approvalBtn.dataset;
+      if (!approvalId || !messageId) return;
+      for (const btn of container.querySelectorAll(`.chat-approval-btn[data-approval-id="${approvalId}"]`)) {
+        btn.disabled = true;
+      }
+      try {
+        const result = await window.commandsDesktop.gateway.respondApproval(deviceId, messageId, approvalId, approved === '1');
+        if (!result?.ok) {
+          emitLocalError(deviceId, result?.error || 'Failed to answer approval');
+        }
+      } catch (e) {
+        emitLocalError(deviceId, e?.message || 'Failed to answer approval');
+      }
+    });
+  }
+
   if (backBtn) {
     backBtn.addEventListener('click', () => {
       window.__hub.setView('dashboard');
@@ -331,6 +511,45 @@ function wireUpChatEvents(container, deviceId) {
     });
   }
 
+  // Drag-and-drop files anywhere on the chat to attach them to the next message
+  const layout = container.querySelector('.chat-layout');
+  if (layout && input && !input.disabled) {
+    layout.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      layout.classList.add('chat-drop-active');
+    });
+    layout.addEventListener('dragleave', (e) => {
+      if (e.target === layout || !layout.contains(e.relatedTarget)) {
+        layout.classList.remove('chat-drop-active');
+      }
+    });
+    layout.addEventListener('drop', (e) => {
+      if (!e.dataTransfer?.files?.length) return;
+      e.preventDefault();
+      layout.classList.remove('chat-drop-active');
+      void addDroppedFiles(deviceId, e.dataTransfer.files);
+    });
+  }
+
+  for (const details of container.querySelectorAll('.chat-diff')) {
+    details.addEventListener('toggle', () => {
+      const messageId = details.dataset.messageId;
+      if (!messageId) return;
+      if (details.open) openDiffs.add(messageId);
+      else openDiffs.delete(messageId);
+    });
+  }
+
+  for (const removeBtn of container.querySelectorAll('.chat-attachment-remove')) {
+    removeBtn.addEventListener('click', () => {
+      const index = Number(removeBtn.dataset.index);
+      chatAttachments.set(deviceId, getAttachments(deviceId).filter((_, i) => i !== index));
+      reRenderChat(deviceId);
+    });
+  }
+
   // Intercept link clicks in agent prose — open externally
   // Use link.href (resolved by browser, entities decoded) not getAttribute('href')
   // to prevent scheme bypass via HTML entity encoding (e.g. javascript&#58;)
@@ -358,14 +577,19 @@ async function sendMessage(deviceId, inputEl) {
   if (!inputEl) return;
   const originalText = inputEl.value;
   const text = originalText.trim();
-  if (!text) return;
+  const attachments = getAttachments(deviceId);
+  if (!text && attachments.length === 0) return;
 
   try {
-    const result = await window.commandsDesktop.gateway.sendMessage(deviceId, text);
+    const prompt = text || 'Please take a look at the attached files.';
+    const workspace = chatWorkspaces.get(deviceId) || null;
+    const result = await window.commandsDesktop.gateway.sendMessage(deviceId, prompt, attachments, workspace);
     if (!result?.ok) {
       emitLocalError(deviceId, result?.error);
       return;
     }
+    chatAttachments.delete(deviceId);
+    document.getElementById('chat-attachments')?.remove();
 
     // message.sent can re-render before this promise resolves, so prefer the live input.
     const liveInput = document.getElementById('main-panel')?.querySelector('#chat-input');
@@ -394,6 +618,9 @@ async function sendMessage(deviceId, inputEl) {
 
 export function clearAgentChatTransientState() {
   chatDrafts.clear();
+  chatAttachments.clear();
+  openDiffs.clear();
+  chatWorkspaces.clear();
   sessionStartInFlight.clear();
   chatRenderMeta.clear();
 }
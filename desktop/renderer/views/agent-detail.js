@@ -232,6 +232,14 @@ function requesterIdentityLabel(displayName, email, uid) {
   return shortUid(uid);
 }
 
+/** Last user/assistant/error entry, skipping tool activity and approval rows. */
+function lastConversationMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role !== 'tool' && messages[i].role !== 'approval') return messages[i];
+  }
+  return null;
+}
+
 function renderConversationsTab(container, profileId) {
   const sessions = getSessionList(profileId);
   const running = runtimeState.status.running;
@@ -262,8 +270,10 @@ function renderConversationsTab(container, profileId) {
     const requesterSecondary = requesterUid && requesterUid !== requesterLabel
       ? ` (${truncate(requesterUid, 20)})`
       : '';
-    // Check if the last user message has no response yet
-    const isProcessing = lastMsg?.role === 'user';
+    // Check if the last user message has no response yet (tool steps don't count)
+    const lastPrompt = lastConversationMessage(s.messages);
+    const isProcessing = lastPrompt?.role === 'user';
+    const needsApproval = isProcessing && lastPrompt.approval?.status === 'pending';
 
     return `
         <div class="session-card ${active ? 'selected' : ''}" data-session-id="${escapeHtml(s.sessionId)}">
@@ -272,7 +282,9 @@ function renderConversationsTab(container, profileId) {
           <span class="session-status ${statusCls}"></span>
         </div>
         <div class="session-card-time">${formatTime(s.startedAt)}</div>
-        <div class="session-card-preview">${isProcessing ? '<span class="processing-indicator">Processing...</span>' : escapeHtml(preview)}</div>
+        <div class="session-card-preview">${needsApproval
+          ? '<span class="processing-indicator">Needs approval</span>'
+          : isProcessing ? '<span class="processing-indicator">Processing...</span>' : escapeHtml(preview)}</div>
         <div class="session-card-meta">${userMsgCount} message${userMsgCount !== 1 ? 's' : ''}</div>
       </div>
     `;
@@ -287,9 +299,27 @@ function renderConversationsTab(container, profileId) {
   } else {
     const messagesHtml = selected.messages.map((m) => {
       if (m.role === 'user') {
+        let approvalHtml = '';
+        if (m.approval?.status === 'pending') {
+          approvalHtml = `
+            <div class="prompt-approval">
+              <input type="text" class="prompt-approval-note" data-approval-id="${escapeHtml(m.approval.approvalId)}" maxlength="500" placeholder="Optional note to the requester" />
+              <div class="message-approval-actions">
+                <button class="primary prompt-approval-btn" data-approval-id="${escapeHtml(m.approval.approvalId)}" data-approved="1">Approve</button>
+                <button class="danger prompt-approval-btn" data-approval-id="${escapeHtml(m.approval.approvalId)}" data-approved="0">Reject</button>
+              </div>
+            </div>
+          `;
+        } else if (m.approval) {
+          const label = m.approval.status === 'approved'
+            ? 'Approved'
+            : `Rejected${m.approval.reason && m.approval.reason !== 'prompt_rejected' ? ` (${m.approval.reason})` : ''}${m.approval.note ? ` — ${m.approval.note}` : ''}`;
+          approvalHtml = `<div class="message-approval-status">${escapeHtml(label)}</div>`;
+        }
         return `
           <div class="message-bubble user">
             <div class="message-content">${escapeHtml(m.text)}</div>
+            ${approvalHtml}
             <div class="message-ts">${formatTime(m.ts)}</div>
           </div>
         `;
@@ -311,6 +341,40 @@ function renderConversationsTab(container, profileId) {
           </div>
         `;
       }
+      if (m.role === 'tool') {
+        const statusCls = m.status === 'denied' || m.status === 'failed' ? 'denied' : '';
+        const detail = m.status === 'denied' && m.reason ? ` — ${m.reason}` : '';
+        return `
+          <div class="message-tool ${statusCls}">
+            <span class="message-tool-name">${escapeHtml(m.tool)}</span>
+            <span class="message-tool-status">${escapeHtml(m.status)}</span>
+            <span class="message-tool-summary">${escapeHtml(m.text + detail)}</span>
+          </div>
+        `;
+      }
+      if (m.role === 'approval') {
+        // Only owner-routed approvals are answered here; requester-routed
+        // ones are shown so the owner can see what was asked.
+        const canAnswer = m.status === 'pending' && m.route === 'owner';
+        const statusLabel = m.status === 'pending'
+          ? (m.route === 'owner' ? 'Needs your approval' : 'Waiting for requester')
+          : m.status === 'approved' ? 'Approved' : `Denied${m.reason ? ` (${m.reason})` : ''}`;
+        return `
+          <div class="message-approval ${escapeHtml(m.status)}">
+            <div class="message-approval-text">
+              <span class="message-tool-name">${escapeHtml(m.tool)}</span>
+              <span class="message-tool-summary">${escapeHtml(m.text)}</span>
+            </div>
+            <div class="message-approval-status">${escapeHtml(statusLabel)}</div>
+            ${canAnswer ? `
+              <div class="message-approval-actions">
+                <button class="primary approval-btn" data-approval-id="${escapeHtml(m.approvalId)}" data-approved="1">Approve</button>
+                <button class="danger approval-btn" data-approval-id="${escapeHtml(m.approvalId)}" data-approved="0">Deny</button>
+              </div>
+            ` : ''}
+          </div>
+        `;
+      }
       if (m.role === 'error') {
         return `
           <div class="message-bubble error">
@@ -323,8 +387,8 @@ function renderConversationsTab(container, profileId) {
     }).join('');
 
     // Check if processing (last message is user with no response)
-    const lastMsg = selected.messages[selected.messages.length - 1];
-    const processingHtml = lastMsg?.role === 'user'
+    const lastPrompt = lastConversationMessage(selected.messages);
+    const processingHtml = lastPrompt?.role === 'user' && lastPrompt.approval?.status !== 'pending'
       ? '<div class="message-processing"><span class="processing-dots"></span> Agent is thinking...</div>'
       : '';
     const selectedRequesterLabel = requesterIdentityLabel(
@@ -349,6 +413,12 @@ function renderConversationsTab(container, profileId) {
     `;
   }
 
+  // Keep half-typed rejection notes across re-renders triggered by new events
+  const draftNotes = new Map();
+  container.querySelectorAll('.prompt-approval-note').forEach((el) => {
+    if (el.value) draftNotes.set(el.dataset.approvalId, el.value);
+  });
+
   container.innerHTML = `
     <div class="conversations-layout">
       <div class="session-list" id="session-list">
@@ -361,6 +431,11 @@ function renderConversationsTab(container, profileId) {
     </div>
   `;
 
+  container.querySelectorAll('.prompt-approval-note').forEach((el) => {
+    const draft = draftNotes.get(el.dataset.approvalId);
+    if (draft) el.value = draft;
+  });
+
   // Auto-scroll message thread to bottom
   const threadEl = container.querySelector('#thread-messages');
   if (threadEl) {
@@ -384,6 +459,40 @@ function renderConversationsTab(container, profileId) {
     });
   });
 
+  // Wire up owner approval buttons
+  container.querySelectorAll('.approval-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const { approvalId, approved } = btn.dataset;
+      if (!approvalId) return;
+      container.querySelectorAll(`.approval-btn[data-approval-id="${approvalId}"]`).forEach((b) => {
+        b.disabled = true;
+      });
+      const result = await window.commandsDesktop.respondToolApproval(approvalId, approved === '1');
+      if (!result?.ok) {
+        alert(result?.error || 'Failed to answer approval.');
+        renderConversationsTab(container, profileId);
+      }
+    });
+  });
+
+  // Wire up owner prompt approval buttons
+  container.querySelectorAll('.prompt-approval-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const { approvalId, approved } = btn.dataset;
+      if (!approvalId) return;
+      const noteEl = container.querySelector(`.prompt-approval-note[data-approval-id="${approvalId}"]`);
+      const note = noteEl ? noteEl.value.trim() : '';
+      container.querySelectorAll(`.prompt-approval-btn[data-approval-id="${approvalId}"]`).forEach((b) => {
+        b.disabled = true;
+      });
+      const result = await window.commandsDesktop.respondPromptApproval(approvalId, approved === '1', note);
+      if (!result?.ok) {
+        alert(result?.error || 'Failed to answer prompt approval.');
+        renderConversationsTab(container, profileId);
+      }
+    });
+  });
+
   // Wire up session selection
   container.querySelector('#session-list')?.addEventListener('click', (e) => {
     const target = e.target instanceof Element ? e.target : null;
@@ -730,6 +839,7 @@ function initSettingsFormState(profile) {
     mcpServers: profile.mcpServers || '',
     mcpFilesystemEnabled: profile.mcpFilesystemEnabled || false,
     mcpFilesystemRoot: profile.mcpFilesystemRoot || '',
+    promptApproval: profile.promptApproval || false,
   };
 }
 
@@ -761,6 +871,8 @@ function captureSettingsValues(container) {
       if (gw) settingsFormState.gatewayUrl = gw.value.trim();
       const al = container.querySelector('#s-audit-path');
       if (al) settingsFormState.auditLogPath = al.value.trim();
+      const pa = container.querySelector('#s-prompt-approval');
+      if (pa) settingsFormState.promptApproval = pa.checked;
       break;
     }
     case 'mcp': {
@@ -858,6 +970,7 @@ function gatherSettingsPayload(container, profile) {
     mcpServers: settingsFormState.mcpServers,
     mcpFilesystemEnabled: settingsFormState.mcpFilesystemEnabled,
     mcpFilesystemRoot: settingsFormState.mcpFilesystemRoot,
+    promptApproval: settingsFormState.promptApproval,
   };
 }
 
@@ -1037,6 +1150,10 @@ function renderSettingsConfig(container, profile) {
           </div>
           ${fs.ollamaStatus ? `<p class="hint" style="margin-top: 8px;">${escapeHtml(fs.ollamaStatus)}</p>` : ''}
         ` : ''}
+        <div class="pill" style="margin-top: 10px;">
+          <input type="checkbox" id="s-prompt-approval" ${fs.promptApproval ? 'checked' : ''} />
+          Approve each shared user's prompt before it runs
+        </div>
       </div>
 
       <div class="card">
@@ -10,6 +10,7 @@
  *  - No plaintext/keys in log output
  */
 
+const { createHash } = require('node:crypto');
 const { BrowserWindow } = require('electron');
 const crypto = require('./crypto.js');
 const gateway = require('./gateway-client.js');
@@ -22,6 +23,10 @@ const MAX_SESSIONS = 20;
 const HANDSHAKE_POLL_INTERVAL_MS = 500;
 const HANDSHAKE_TIMEOUT_MS = 45_000;
 const MAX_MESSAGE_LENGTH = 100_000;
+// Raw bytes per session.attachment frame (the agent accepts up to 256 KiB).
+const ATTACHMENT_CHUNK_BYTES = 192 * 1024;
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
 
 // ---------------------------------------------------------------------------
 // State
@@ -48,6 +53,7 @@ const deviceConversationIds = new Map();
  * @property {AbortController|null} sseAbortController
  * @property {string|null} lastEventId
  * @property {string|null} error
+ * @property {string|null} workspacesRequestId
  */
 
 // ---------------------------------------------------------------------------
@@ -129,6 +135,32 @@ function runSerializedSend(deviceId, task) {
   return run;
 }
 
+/**
+ * Pull artifacts.diff out of a decrypted result, keeping only the expected
+ * fields so the renderer never sees arbitrary agent-supplied shapes.
+ */
+function readDiffArtifact(decrypted) {
+  const diff = decrypted?.artifacts?.diff;
+  if (!diff || typeof diff !== 'object' || !Array.isArray(diff.files)) return null;
+  const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+  return {
+    mode: diff.mode === 'mtime' ? 'mtime' : 'git',
+    files: diff.files
+      .filter((file) => file && typeof file.path === 'string')
+      .slice(0, 500)
+      .map((file) => ({
+        path: file.path,
+        status: ['added', 'modified', 'deleted'].includes(file.status) ? file.status : 'modified',
+        additions: Number.isInteger(file.additions) ? file.additions : null,
+        deletions: Number.isInteger(file.deletions) ? file.deletions : null,
+      })),
+    additions: count(diff.additions),
+    deletions: count(diff.deletions),
+    unified: typeof diff.unified === 'string' ? diff.unified.slice(0, 1_000_000) : '',
+    truncated: diff.truncated === true,
+  };
+}
+
 function generateConversationId() {
   return `conv_${crypto.generateSessionId()}`;
 }
@@ -182,6 +214,7 @@ async function startSession(gatewayUrl, deviceId) {
     sseAbortController: null,
     lastEventId: null,
     error: null,
+    workspacesRequestId: null,
   };
   sessions.set(deviceId, session);
   deviceConversationIds.set(deviceId, conversationId);
@@ -348,6 +381,8 @@ async function startSession(gatewayUrl, deviceId) {
     });
 
     emitChatEvent({ type: 'session.ready', deviceId, sessionId, conversationId: session.conversationId });
+    // Fill the workspace picker; agents without named workspaces answer with an empty list.
+    listWorkspaces(gatewayUrl, deviceId).catch(() => {});
     return { ok: true, sessionId, deviceId, conversationId: session.conversationId };
   } catch (err) {
     session.handshakeAbortController = null;
@@ -363,13 +398,74 @@ async function startSession(gatewayUrl, deviceId) {
 }
 
 /**
- * Send a plaintext message to the agent (encrypted before sending).
+ * Upload one file as encrypted session.attachment chunks on the
+ * client-to-agent seq stream. Returns the attachment id to reference from
+ * the message that follows.
+ */
+async function uploadAttachment(gatewayUrl, session, attachment) {
+  const attachmentId = `att_${crypto.generateSessionId()}`;
+  const data = Buffer.from(attachment.data);
+  const chunkCount = Math.max(1, Math.ceil(data.length / ATTACHMENT_CHUNK_BYTES));
+  const sha256 = createHash('sha256').update(data).digest('hex');
+
+  for (let index = 0; index < chunkCount; index++) {
+    if (sessions.get(session.deviceId) !== session || session.status !== 'ready') {
+      throw new Error('Upload aborted — session ended');
+    }
+
+    const seq = session.nextOutgoingSeq;
+    const plaintextJson = JSON.stringify({
+      session_id: session.sessionId,
+      conversation_id: session.conversationId,
+      attachment_id: attachmentId,
+      chunk_index: index,
+      chunk_count: chunkCount,
+      data: data.subarray(index * ATTACHMENT_CHUNK_BYTES, (index + 1) * ATTACHMENT_CHUNK_BYTES).toString('base64'),
+      ...(index === 0
+        ? { name: attachment.name, mime_type: attachment.mimeType, size: data.length, sha256 }
+        : {}),
+    });
+
+    const frame = crypto.encryptFrame(
+      session.keys.clientToAgent,
+      'client_to_agent',
+      seq,
+      plaintextJson,
+      session.sessionId,
+      attachmentId
+    );
+
+    await gateway.sendMessage(gatewayUrl, session.sessionId, {
+      type: 'session.attachment',
+      session_id: session.sessionId,
+      conversation_id: session.conversationId,
+      message_id: attachmentId,
+      handshake_id: session.handshakeId,
+      encrypted: true,
+      ...frame,
+    });
+    session.nextOutgoingSeq++;
+  }
+
+  return attachmentId;
+}
+
+/**
+ * Send a plaintext message to the agent (encrypted before sending), after
+ * uploading any attachments ({ name, mimeType, data }) it references.
+ * `workspace` names one of the agent's workspaces to run in (null: its default cwd).
  * Auto-reconnects once if the gateway session has expired (e.g. after sleep/wake).
  */
-async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, _isRetry = false) {
+async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, attachments = [], workspace = null, _isRetry = false) {
   if (typeof plaintext !== 'string' || plaintext.length > MAX_MESSAGE_LENGTH) {
     throw new Error(`Invalid message: must be string <= ${MAX_MESSAGE_LENGTH} chars`);
   }
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`Invalid attachments: at most ${MAX_ATTACHMENTS} files`);
+  }
+  if (attachments.some((file) => !file?.data || file.data.byteLength > MAX_ATTACHMENT_BYTES)) {
+    throw new Error(`Invalid attachments: each file must be <= ${MAX_ATTACHMENT_BYTES} bytes`);
+  }
 
   const session = sessions.get(deviceId);
   if (!session) {
@@ -378,7 +474,7 @@ async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, _isRetry
     }
     emitChatEvent({ type: 'session.reconnecting', deviceId, conversationId: deviceConversationIds.get(deviceId) || null });
     await startSession(gatewayUrl, deviceId);
-    return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, true);
+    return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, attachments, workspace, true);
   }
   const isCurrentReadySession = () => sessions.get(deviceId) === session && session.status === 'ready';
   // If session is in error state (e.g. expired after sleep), auto-reconnect
@@ -386,34 +482,43 @@ async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, _isRetry
     endSession(deviceId);
     emitChatEvent({ type: 'session.reconnecting', deviceId, conversationId: session.conversationId });
     await startSession(gatewayUrl, deviceId);
-    return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, true);
+    return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, attachments, workspace, true);
   }
   if (session.status !== 'ready') {
     throw new Error(`Session not ready (status: ${session.status})`);
   }
 
   const messageId = crypto.generateSessionId(); // UUID for message
-  const seq = session.nextOutgoingSeq;
 
-  // Plaintext must be JSON — agent expects { session_id, message_id, prompt }
-  const plaintextJson = JSON.stringify({
-    session_id: session.sessionId,
-    conversation_id: session.conversationId,
-    message_id: messageId,
-    prompt: plaintext,
-  });
+  try {
+    // Uploads take seqs first; the message then references them by id.
+    const attachmentIds = [];
+    for (const attachment of attachments) {
+      attachmentIds.push(await uploadAttachment(gatewayUrl, session, attachment));
+    }
 
-  // Encrypt with client-to-agent key
-  const frame = crypto.encryptFrame(
-    session.keys.clientToAgent,
-    'client_to_agent',
-    seq,
-    plaintextJson,
-    session.sessionId,
-    messageId
-  );
+    // Plaintext must be JSON — agent expects { session_id, message_id, prompt }.
+    // stream: true asks the agent for session.delta frames while it works.
+    const plaintextJson = JSON.stringify({
+      session_id: session.sessionId,
+      conversation_id: session.conversationId,
+      message_id: messageId,
+      prompt: plaintext,
+      stream: true,
+      ...(attachmentIds.length > 0 ? { attachments: attachmentIds } : {}),
+      ...(workspace ? { workspace } : {}),
+    });
+
+    // Encrypt with client-to-agent key
+    const frame = crypto.encryptFrame(
+      session.keys.clientToAgent,
+      'client_to_agent',
+      session.nextOutgoingSeq,
+      plaintextJson,
+      session.sessionId,
+      messageId
+    );
 
-  try {
     // POST encrypted frame to gateway (match web frontend format)
     const sendResp = await gateway.sendMessage(gatewayUrl, session.sessionId, {
       type: 'session.message',
@@ -440,7 +545,7 @@ async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, _isRetry
       endSession(deviceId);
       emitChatEvent({ type: 'session.reconnecting', deviceId, conversationId: session.conversationId });
       await startSession(gatewayUrl, deviceId);
-      return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, true);
+      return sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, attachments, workspace, true);
     }
     throw err;
   }
@@ -454,13 +559,199 @@ async function sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, _isRetry
   session.nextOutgoingSeq++;
 
   const ts = new Date().toISOString();
-  emitChatEvent({ type: 'message.sent', deviceId, messageId, text: plaintext, ts, conversationId: session.conversationId });
+  emitChatEvent({
+    type: 'message.sent',
+    deviceId,
+    messageId,
+    text: plaintext,
+    attachments: attachments.map((file) => ({ name: file.name, size: file.data.byteLength })),
+    workspace,
+    ts,
+    conversationId: session.conversationId,
+  });
+
+  return { ok: true, messageId };
+}
+
+async function sendChatMessage(gatewayUrl, deviceId, plaintext, attachments = [], workspace = null) {
+  return runSerializedSend(
+    deviceId,
+    () => sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext, attachments, workspace)
+  );
+}
+
+/**
+ * Ask the agent for the named workspaces this user may pick. The answer
+ * arrives as session.workspaces.result and is emitted as workspaces.listed.
+ */
+async function listWorkspacesUnlocked(gatewayUrl, deviceId) {
+  const session = sessions.get(deviceId);
+  if (!session || session.status !== 'ready') {
+    throw new Error('No active session');
+  }
+
+  const requestId = `workspaces_${crypto.generateSessionId()}`;
+  const seq = session.nextOutgoingSeq;
+  const plaintextJson = JSON.stringify({
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: requestId,
+  });
+
+  const frame = crypto.encryptFrame(
+    session.keys.clientToAgent,
+    'client_to_agent',
+    seq,
+    plaintextJson,
+    session.sessionId,
+    requestId
+  );
+
+  await gateway.sendMessage(gatewayUrl, session.sessionId, {
+    type: 'session.workspaces',
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: requestId,
+    handshake_id: session.handshakeId,
+    encrypted: true,
+    ...frame,
+  });
+
+  if (sessions.get(deviceId) !== session || session.status !== 'ready') {
+    throw new Error('Workspace request aborted — session ended');
+  }
+
+  session.nextOutgoingSeq++;
+  session.workspacesRequestId = requestId;
+  return { ok: true };
+}
+
+async function listWorkspaces(gatewayUrl, deviceId) {
+  return runSerializedSend(deviceId, () => listWorkspacesUnlocked(gatewayUrl, deviceId));
+}
+
+// Only the fields the picker shows; the agent never sends paths.
+function readWorkspaces(decrypted) {
+  if (!Array.isArray(decrypted.workspaces)) return [];
+  return decrypted.workspaces
+    .filter((entry) => entry && typeof entry.name === 'string' && entry.name)
+    .map((entry) => ({
+      name: entry.name,
+      description: typeof entry.description === 'string' ? entry.description : '',
+      preset: typeof entry.preset === 'string' ? entry.preset : '',
+    }));
+}
+
+/**
+ * Ask the agent to stop an in-flight prompt. The cancel request is encrypted
+ * on the same client-to-agent seq stream as prompts so the relay cannot forge it.
+ */
+async function cancelChatMessageUnlocked(gatewayUrl, deviceId, messageId) {
+  const session = sessions.get(deviceId);
+  if (!session || session.status !== 'ready') {
+    throw new Error('No active session to cancel');
+  }
+
+  const seq = session.nextOutgoingSeq;
+  const plaintextJson = JSON.stringify({
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: messageId,
+  });
+
+  const frame = crypto.encryptFrame(
+    session.keys.clientToAgent,
+    'client_to_agent',
+    seq,
+    plaintextJson,
+    session.sessionId,
+    messageId
+  );
+
+  await gateway.sendMessage(gatewayUrl, session.sessionId, {
+    type: 'session.message.cancel',
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: messageId,
+    handshake_id: session.handshakeId,
+    encrypted: true,
+    ...frame,
+  });
+
+  if (sessions.get(deviceId) !== session || session.status !== 'ready') {
+    throw new Error('Cancel aborted — session ended');
+  }
+
+  session.nextOutgoingSeq++;
+  emitChatEvent({ type: 'message.cancelling', deviceId, messageId, conversationId: session.conversationId });
 
   return { ok: true, messageId };
 }
 
-async function sendChatMessage(gatewayUrl, deviceId, plaintext) {
-  return runSerializedSend(deviceId, () => sendChatMessageUnlocked(gatewayUrl, deviceId, plaintext));
+async function cancelChatMessage(gatewayUrl, deviceId, messageId) {
+  return runSerializedSend(deviceId, () => cancelChatMessageUnlocked(gatewayUrl, deviceId, messageId));
+}
+
+/**
+ * Answer a tool approval request. Like cancel, the decision rides the
+ * encrypted client-to-agent seq stream so the relay cannot forge it.
+ */
+async function respondToolApprovalUnlocked(gatewayUrl, deviceId, messageId, approvalId, approved) {
+  const session = sessions.get(deviceId);
+  if (!session || session.status !== 'ready') {
+    throw new Error('No active session to answer');
+  }
+
+  const seq = session.nextOutgoingSeq;
+  const plaintextJson = JSON.stringify({
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: messageId,
+    approval_id: approvalId,
+    decision: approved ? 'approve' : 'deny',
+  });
+
+  const frame = crypto.encryptFrame(
+    session.keys.clientToAgent,
+    'client_to_agent',
+    seq,
+    plaintextJson,
+    session.sessionId,
+    messageId
+  );
+
+  await gateway.sendMessage(gatewayUrl, session.sessionId, {
+    type: 'session.approval.response',
+    session_id: session.sessionId,
+    conversation_id: session.conversationId,
+    message_id: messageId,
+    handshake_id: session.handshakeId,
+    encrypted: true,
+    ...frame,
+  });
+
+  if (sessions.get(deviceId) !== session || session.status !== 'ready') {
+    throw new Error('Approval aborted — session ended');
+  }
+
+  session.nextOutgoingSeq++;
+  emitChatEvent({
+    type: 'message.approval.answered',
+    deviceId,
+    messageId,
+    approvalId,
+    approved,
+    conversationId: session.conversationId,
+  });
+
+  return { ok: true, approvalId };
+}
+
+async function respondToolApproval(gatewayUrl, deviceId, messageId, approvalId, approved) {
+  return runSerializedSend(
+    deviceId,
+    () => respondToolApprovalUnlocked(gatewayUrl, deviceId, messageId, approvalId, approved)
+  );
 }
 
 /**
@@ -531,15 +822,101 @@ function handleSseEvent(deviceId, sseEvent) {
     }
 
     // Route based on the decrypted payload content and SSE event type
-    if (decrypted.status === 'running' || eventType === 'session.progress') {
+    if (eventType === 'session.ended' || decrypted.status === 'ended') {
+      // Agent expired the session (idle/max lifetime) and zeroed its keys
+      endSession(deviceId, decrypted.reason || 'Session ended by agent');
+    } else if (eventType === 'session.delta' || typeof decrypted.delta === 'string') {
+      // Partial assistant output — append to the in-progress message
+      emitChatEvent({
+        type: 'message.delta',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        kind: decrypted.kind === 'assistant_turn' ? 'assistant_turn' : 'text',
+        text: typeof decrypted.delta === 'string' ? decrypted.delta : '',
+        conversationId: session.conversationId,
+      });
+    } else if (decrypted.status === 'cancelled') {
+      // Run was stopped on the agent — keep any partial output it returned
+      emitChatEvent({
+        type: 'message.cancelled',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        text: typeof decrypted.result === 'string' ? decrypted.result : '',
+        diff: readDiffArtifact(decrypted),
+        ts: new Date().toISOString(),
+        conversationId: session.conversationId,
+      });
+    } else if (decrypted.status === 'queued' || eventType === 'session.queued') {
+      // Agent is busy with an earlier prompt — this one waits its turn
+      emitChatEvent({
+        type: 'message.queued',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        position: typeof decrypted.position === 'number' ? decrypted.position : null,
+        conversationId: session.conversationId,
+      });
+    } else if (eventType === 'session.approval.request' || decrypted.status === 'awaiting_approval') {
+      // Agent wants a yes/no before running a tool
+      emitChatEvent({
+        type: 'message.approval',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        approvalId: typeof decrypted.approval_id === 'string' ? decrypted.approval_id : null,
+        tool: typeof decrypted.tool === 'string' ? decrypted.tool : 'tool',
+        summary: typeof decrypted.summary === 'string' ? decrypted.summary : '',
+        expiresAt: typeof decrypted.expires_at === 'string' ? decrypted.expires_at : null,
+        conversationId: session.conversationId,
+      });
+    } else if (decrypted.step && typeof decrypted.step === 'object') {
+      // Tool call update — surface it next to the thinking indicator
+      emitChatEvent({
+        type: 'message.tool',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        tool: typeof decrypted.step.tool === 'string' ? decrypted.step.tool : 'tool',
+        status: typeof decrypted.step.status === 'string' ? decrypted.step.status : '',
+        summary: typeof decrypted.step.summary === 'string' ? decrypted.step.summary : '',
+        conversationId: session.conversationId,
+      });
+    } else if (decrypted.status === 'running' || eventType === 'session.progress') {
       // Agent is processing — show thinking indicator
-      emitChatEvent({ type: 'message.progress', deviceId, status: 'processing', conversationId: session.conversationId });
+      emitChatEvent({
+        type: 'message.progress',
+        deviceId,
+        messageId: decrypted.message_id || frame.message_id || null,
+        status: decrypted.status === 'pending_owner_approval' ? 'pending_owner_approval' : 'processing',
+        conversationId: session.conversationId,
+      });
+    } else if (eventType === 'session.attachment.stored' || decrypted.status === 'stored') {
+      // Upload reassembled and saved on the agent
+      emitChatEvent({
+        type: 'attachment.stored',
+        deviceId,
+        attachmentId: typeof decrypted.attachment_id === 'string' ? decrypted.attachment_id : null,
+        name: typeof decrypted.name === 'string' ? decrypted.name : '',
+        conversationId: session.conversationId,
+      });
+    } else if (eventType === 'session.workspaces.result' || Array.isArray(decrypted.workspaces)) {
+      // Named workspaces for the picker
+      session.workspacesRequestId = null;
+      emitChatEvent({
+        type: 'workspaces.listed',
+        deviceId,
+        workspaces: readWorkspaces(decrypted),
+        conversationId: session.conversationId,
+      });
+    } else if (session.workspacesRequestId && (decrypted.message_id || frame.message_id) === session.workspacesRequestId) {
+      // Workspace listing refused (e.g. a gateway without the feature) — no picker
+      session.workspacesRequestId = null;
+      emitChatEvent({ type: 'workspaces.listed', deviceId, workspaces: [], conversationId: session.conversationId });
     } else if (decrypted.error || eventType === 'session.error') {
-      // Agent-side error
+      // Agent-side error — a rejected prompt may carry the owner's note
+      const errorText = decrypted.error || 'Unknown agent error';
       emitChatEvent({
         type: 'message.error',
         deviceId,
-        error: decrypted.error || 'Unknown agent error',
+        messageId: decrypted.message_id || frame.message_id || null,
+        error: typeof decrypted.note === 'string' && decrypted.note ? `${errorText}: ${decrypted.note}` : errorText,
         conversationId: session.conversationId,
       });
     } else if (decrypted.result !== undefined || eventType === 'session.result') {
@@ -549,6 +926,7 @@ function handleSseEvent(deviceId, sseEvent) {
         deviceId,
         messageId: decrypted.message_id || frame.message_id || null,
         text: decrypted.result || '',
+        diff: readDiffArtifact(decrypted),
         ts: new Date().toISOString(),
         conversationId: session.conversationId,
       });
@@ -623,6 +1001,9 @@ function getSessionStatus(deviceId) {
 module.exports = {
   startSession,
   sendChatMessage,
+  listWorkspaces,
+  cancelChatMessage,
+  respondToolApproval,
   endSession,
   endAllSessions,
   getSessionStatus,
@@ -0,0 +1,306 @@
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { chmod, lstat, mkdir, realpath, writeFile } from 'node:fs/promises';
+import { addGitExclude, runGit as git } from './git.js';
+import type { AttachmentSettings } from './types.js';
+
+// Created under an allowed cwd root so the provider's file tools can read it.
+export const ATTACHMENT_INBOX_DIR = '.commands-agent-inbox';
+
+// Decoded bytes per session.attachment frame; keeps each relayed frame small.
+export const MAX_ATTACHMENT_CHUNK_BYTES = 256 * 1024;
+// Uploads a session may have in progress at once.
+export const MAX_PENDING_ATTACHMENTS = 4;
+// Finished uploads a session may hold in memory before a message uses them.
+export const MAX_HELD_ATTACHMENTS = 10;
+// An upload with no new chunk for this long is dropped.
+export const ATTACHMENT_UPLOAD_TIMEOUT_MS = 5 * 60_000;
+
+const ATTACHMENT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_NAME_CHARS = 120;
+const MAX_MIME_CHARS = 127;
+
+type JsonRecord = Record<string, unknown>;
+
+/** One decrypted session.attachment payload. */
+export interface AttachmentChunk {
+  attachmentId: string;
+  index: number;
+  count: number;
+  data: Buffer;
+  // Only required on the first chunk.
+  name: string | null;
+  mimeType: string | null;
+  size: number | null;
+  // Hex sha256 of the whole file, checked once the last chunk arrives.
+  sha256: string | null;
+}
+
+export interface PendingAttachment {
+  attachmentId: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  chunkCount: number;
+  chunks: Buffer[];
+  receivedBytes: number;
+  sha256: string | null;
+  updatedAtMs: number;
+}
+
+// A finished, checksum-verified upload kept in memory until a message that
+// references it is allowed to run.
+export interface HeldAttachment {
+  attachmentId: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  sha256: string;
+  data: Buffer;
+}
+
+export interface StoredAttachment {
+  attachmentId: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  sha256: string;
+  path: string;
+}
+
+function readNonNegativeInteger(value: unknown): number | null {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function readString(...values: unknown[]): string | null {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim().length > 0) {
+      return value.trim();
+    }
+  }
+  return null;
+}
+
+/** Parse a decrypted chunk payload; throws `invalid_attachment_*` codes. */
+export function parseAttachmentChunk(payload: JsonRecord): AttachmentChunk {
+  const attachmentId = readString(payload.attachment_id, payload.attachmentId);
+  if (!attachmentId || !ATTACHMENT_ID_RE.test(attachmentId)) {
+    throw new Error('invalid_attachment_id');
+  }
+
+  const index = readNonNegativeInteger(payload.chunk_index ?? payload.chunkIndex);
+  const count = readNonNegativeInteger(payload.chunk_count ?? payload.chunkCount);
+  if (index === null || count === null || count < 1 || index >= count) {
+    throw new Error('invalid_attachment_chunk_index');
+  }
+
+  const rawData = readString(payload.data);
+  const data = rawData ? Buffer.from(rawData, 'base64') : Buffer.alloc(0);
+  if (data.length > MAX_ATTACHMENT_CHUNK_BYTES) {
+    throw new Error(`attachment_chunk_too_large_limit_${MAX_ATTACHMENT_CHUNK_BYTES}`);
+  }
+
+  const sha256 = readString(payload.sha256)?.toLowerCase() ?? null;
+  if (sha256 !== null && !/^[0-9a-f]{64}$/.test(sha256)) {
+    throw new Error('invalid_attachment_sha256');
+  }
+
+  return {
+    attachmentId,
+    index,
+    count,
+    data,
+    name: readString(payload.name, payload.filename),
+    mimeType: readString(payload.mime_type, payload.mimeType)?.toLowerCase() ?? null,
+    size: readNonNegativeInteger(payload.size),
+    sha256,
+  };
+}
+
+/**
+ * Reduce a client-supplied file name to a safe basename: no directories,
+ * no leading dots, only portable characters.
+ */
+export function sanitizeAttachmentName(name: string): string {
+  const base = name.split(/[\\/]/).pop() ?? '';
+  const cleaned = base
+    .replace(/[^A-Za-z0-9._ -]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim()
+    .slice(-MAX_NAME_CHARS);
+  return cleaned || 'attachment';
+}
+
+function isAllowedType(name: string, mimeType: string, allowedTypes: string[]): boolean {
+  const extension = path.extname(name).toLowerCase();
+  return allowedTypes.some((type) => {
+    if (type.startsWith('.')) {
+      return extension === type;
+    }
+    if (type.endsWith('/*')) {
+      return mimeType.startsWith(type.slice(0, -1));
+    }
+    return mimeType === type;
+  });
+}
+
+/**
+ * Validate the first chunk of an upload against the policy limits and start
+ * buffering it. Throws `attachment_*` codes.
+ */
+export function startAttachment(chunk: AttachmentChunk, settings: Required<AttachmentSettings>): PendingAttachment {
+  if (chunk.index !== 0) {
+    throw new Error('attachment_not_started');
+  }
+  if (!chunk.name || chunk.size === null) {
+    throw new Error('invalid_attachment_metadata');
+  }
+
+  const name = sanitizeAttachmentName(chunk.name);
+  const mimeType = (chunk.mimeType ?? 'application/octet-stream').slice(0, MAX_MIME_CHARS);
+  if (chunk.size > settings.maxFileBytes) {
+    throw new Error(`attachment_too_large_limit_${settings.maxFileBytes}`);
+  }
+  if (!isAllowedType(name, mimeType, settings.allowedTypes)) {
+    throw new Error('attachment_type_not_allowed');
+  }
+  if (chunk.count > Math.max(1, Math.ceil(chunk.size / MAX_ATTACHMENT_CHUNK_BYTES))) {
+    throw new Error('invalid_attachment_chunk_count');
+  }
+
+  return {
+    attachmentId: chunk.attachmentId,
+    name,
+    mimeType,
+    size: chunk.size,
+    chunkCount: chunk.count,
+    chunks: [],
+    receivedBytes: 0,
+    sha256: chunk.sha256,
+    updatedAtMs: Date.now(),
+  };
+}
+
+/**
+ * Append the next chunk in order. Returns true once the last chunk is in
+ * and the byte count (and sha256, when given) matches.
+ */
+export function appendAttachmentChunk(pending: PendingAttachment, chunk: AttachmentChunk): boolean {
+  if (chunk.count !== pending.chunkCount || chunk.index !== pending.chunks.length) {
+    throw new Error(`attachment_chunk_out_of_order_expected_${pending.chunks.length}`);
+  }
+  if (pending.receivedBytes + chunk.data.length > pending.size) {
+    throw new Error('attachment_size_mismatch');
+  }
+
+  pending.chunks.push(chunk.data);
+  pending.receivedBytes += chunk.data.length;
+  pending.sha256 = chunk.sha256 ?? pending.sha256;
+  pending.updatedAtMs = Date.now();
+
+  if (pending.chunks.length < pending.chunkCount) {
+    return false;
+  }
+  if (pending.receivedBytes !== pending.size) {
+    throw new Error('attachment_size_mismatch');
+  }
+  return true;
+}
+
+/** Join the chunks of a finished upload and check its sha256, when one was sent. */
+export function completeAttachment(pending: PendingAttachment): HeldAttachment {
+  const data = Buffer.concat(pending.chunks);
+  const sha256 = createHash('sha256').update(data).digest('hex');
+  if (pending.sha256 && pending.sha256 !== sha256) {
+    throw new Error('attachment_checksum_mismatch');
+  }
+
+  return {
+    attachmentId: pending.attachmentId,
+    name: pending.name,
+    mimeType: pending.mimeType,
+    size: pending.size,
+    sha256,
+    data,
+  };
+}
+
+/** Conversation inbox under `root`; ids are reduced to safe path segments. */
+export function resolveInboxDir(root: string, conversationId: string): string {
+  const segment = conversationId.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_').slice(0, 128);
+  return path.join(root, ATTACHMENT_INBOX_DIR, segment || 'default');
+}
+
+// mkdir does not follow a symlink that already sits at `dir`; lstat then
+// tells a real directory from a link to somewhere else.
+async function makePrivateDir(dir: string): Promise<void> {
+  try {
+    await mkdir(dir, { mode: 0o700 });
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code !== 'EEXIST') {
+      throw err;
+    }
+  }
+  if (!(await lstat(dir)).isDirectory()) {
+    throw new Error('attachment_inbox_not_allowed');
+  }
+  await chmod(dir, 0o700).catch(() => undefined);
+}
+
+// Inside a repository the inbox is hidden through .git/info/exclude, so
+// uploads never show up as untracked files or in a run's diff.
+async function excludeInboxDir(root: string): Promise<void> {
+  let repoRoot: string;
+  try {
+    repoRoot = (await git(['rev-parse', '--show-toplevel'], root)).trim();
+  } catch {
+    // Not a repository, or git is not installed.
+    return;
+  }
+  await addGitExclude(repoRoot, `${ATTACHMENT_INBOX_DIR}/`);
+}
+
+/**
+ * Create the conversation inbox under `root` (0700) and return its path.
+ * Throws `attachment_inbox_not_allowed` when a directory on the way is a
+ * symlink, since it could lead outside the allowed roots.
+ */
+export async function prepareInboxDir(root: string, conversationId: string): Promise<string> {
+  const realRoot = await realpath(root);
+  const inboxDir = resolveInboxDir(realRoot, conversationId);
+  await excludeInboxDir(realRoot);
+  await makePrivateDir(path.dirname(inboxDir));
+  await makePrivateDir(inboxDir);
+  if ((await realpath(inboxDir)) !== inboxDir) {
+    throw new Error('attachment_inbox_not_allowed');
+  }
+  return inboxDir;
+}
+
+/**
+ * Write a held upload into `inboxDir` (0600). The file name is prefixed with
+ * the attachment id so uploads never overwrite each other; `wx` also refuses
+ * to write through a symlink planted at that name.
+ */
+export async function saveAttachment(held: HeldAttachment, inboxDir: string): Promise<StoredAttachment> {
+  const filePath = path.join(inboxDir, `${held.attachmentId}-${held.name}`);
+  await writeFile(filePath, held.data, { mode: 0o600, flag: 'wx' });
+
+  return {
+    attachmentId: held.attachmentId,
+    name: held.name,
+    mimeType: held.mimeType,
+    size: held.size,
+    sha256: held.sha256,
+    path: filePath,
+  };
+}
+
+/** Prefix the prompt with the saved paths so the provider can open the files. */
+export function formatPromptWithAttachments(prompt: string, attachments: StoredAttachment[]): string {
+  if (attachments.length === 0) {
+    return prompt;
+  }
+  const lines = attachments.map((file) => `- ${file.path} (${file.mimeType}, ${file.size} bytes)`);
+  return `The user attached these files, saved on this machine:\n${lines.join('\n')}\n\n${prompt}`;
+}
@@ -1,9 +1,11 @@
 import path from 'node:path';
 import { appendFile, chmod, mkdir } from 'node:fs/promises';
+import { metrics } from './metrics.js';
 
 type AuditEvent = Record<string, unknown>;
 
 const ensuredPaths = new Set<string>();
+const pendingWrites = new Set<Promise<void>>();
 
 async function ensureAuditPath(filePath: string): Promise<void> {
   if (ensuredPaths.has(filePath)) {
@@ -20,8 +22,20 @@ async function ensureAuditPath(filePath: string): Promise<void> {
   ensuredPaths.add(filePath);
 }
 
-export async function appendAuditEvent(filePath: string, event: AuditEvent): Promise<void> {
+async function writeAuditEvent(filePath: string, event: AuditEvent): Promise<void> {
   await ensureAuditPath(filePath);
   const line = `${JSON.stringify(event)}\n`;
   await appendFile(filePath, line, { encoding: 'utf8', mode: 0o600, flag: 'a' });
 }
+
+export function appendAuditEvent(filePath: string, event: AuditEvent): Promise<void> {
+  const write = writeAuditEvent(filePath, event);
+  pendingWrites.add(write);
+  void write.catch(() => metrics.auditWriteFailures.inc()).finally(() => pendingWrites.delete(write));
+  return write;
+}
+
+/** Resolve once every audit write started so far has settled. */
+export async function flushAuditEvents(): Promise<void> {
+  await Promise.allSettled([...pendingWrites]);
+}
@@ -0,0 +1,508 @@
+import os from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import {
+  chmod,
+  copyFile,
+  mkdir,
+  mkdtemp,
+  readFile,
+  rm,
+  rmdir,
+  stat,
+  utimes,
+  writeFile,
+} from 'node:fs/promises';
+import { CONFIG_DIR, JsonStoreWriter } from './config.js';
+import { gitErrorSummary, runGit as git } from './git.js';
+import { captureWorkspaceSnapshot, scopePathspec, walkFiles, type WorkspaceSnapshot } from './workspace-diff.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+export const DEFAULT_CHECKPOINTS_PATH = path.join(CONFIG_DIR, 'checkpoints.json');
+
+const MAX_STORED_CHECKPOINTS = 50;
+// Outside git a checkpoint is a copy of every file, so each one is capped
+// and the oldest copies are evicted once all of them together pass the total.
+const MAX_FILE_CHECKPOINT_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_FILE_CHECKPOINT_BYTES = 500 * 1024 * 1024;
+const CHECKPOINT_REF_PREFIX = 'refs/commands-agent/checkpoints/';
+// commit-tree needs an identity and the user's git config may not have one.
+const CHECKPOINT_GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'commands-agent',
+  GIT_AUTHOR_EMAIL: 'commands-agent@localhost',
+  GIT_COMMITTER_NAME: 'commands-agent',
+  GIT_COMMITTER_EMAIL: 'commands-agent@localhost',
+};
+const CHECKOUT_BATCH_SIZE = 100;
+
+type FileState = { mtimeMs: number; size: number };
+
+// A path the run changed. `after` is the state the run left it in (blob id
+// in git mode, mtime and size in files mode), null when the run deleted it;
+// a rollback only touches the path while it is still in that state.
+export interface CheckpointChange {
+  path: string;
+  status: 'added' | 'modified' | 'deleted';
+  after: string | FileState | null;
+}
+
+export interface Checkpoint {
+  checkpointId: string;
+  // The message whose run started from this state.
+  messageId: string;
+  conversationId: string | null;
+  sessionId: string;
+  requesterUid: string;
+  createdAt: string;
+  mode: 'git' | 'files';
+  root: string;
+  // git mode: commit of the working tree, pinned by a ref so gc keeps it.
+  commit?: string;
+  // git mode: the run's cwd relative to `root`; only paths below it were
+  // snapshotted.
+  scope?: string;
+  // files mode: bytes copied into the checkpoint directory.
+  bytes?: number;
+  // Paths the run changed, recorded when it ended. Until then (or when the
+  // agent stopped mid-run) the checkpoint cannot be rolled back.
+  changes?: CheckpointChange[];
+}
+
+export interface RollbackResult {
+  restored: string[];
+  removed: string[];
+  // Paths the run changed that were left alone: the caller may not touch
+  // them, or they changed again after the run.
+  skipped: string[];
+}
+
+type FileManifest = Record<string, FileState>;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null;
+}
+
+function parseFileState(value: unknown): FileState | null {
+  return isRecord(value) && typeof value.mtimeMs === 'number' && typeof value.size === 'number'
+    ? { mtimeMs: value.mtimeMs, size: value.size }
+    : null;
+}
+
+function parseChanges(value: unknown): CheckpointChange[] | undefined {
+  if (!Array.isArray(value)) {
+    return undefined;
+  }
+  return value.flatMap((change): CheckpointChange[] => {
+    if (
+      !isRecord(change) ||
+      typeof change.path !== 'string' ||
+      (change.status !== 'added' && change.status !== 'modified' && change.status !== 'deleted')
+    ) {
+      return [];
+    }
+    const after = typeof change.after === 'string' ? change.after : parseFileState(change.after);
+    return [{ path: change.path, status: change.status, after }];
+  });
+}
+
+function sameFileState(a: FileState | null, b: string | FileState | null): boolean {
+  if (a === null || b === null) {
+    return a === b;
+  }
+  return typeof b === 'object' && a.mtimeMs === b.mtimeMs && a.size === b.size;
+}
+
+function parseCheckpoint(value: unknown): Checkpoint | null {
+  if (
+    !isRecord(value) ||
+    typeof value.checkpointId !== 'string' ||
+    typeof value.messageId !== 'string' ||
+    typeof value.sessionId !== 'string' ||
+    typeof value.requesterUid !== 'string' ||
+    typeof value.createdAt !== 'string' ||
+    typeof value.root !== 'string' ||
+    (value.mode !== 'git' && value.mode !== 'files') ||
+    (value.mode === 'git' && typeof value.commit !== 'string')
+  ) {
+    return null;
+  }
+  const changes = parseChanges(value.changes);
+  return {
+    checkpointId: value.checkpointId,
+    messageId: value.messageId,
+    conversationId: typeof value.conversationId === 'string' ? value.conversationId : null,
+    sessionId: value.sessionId,
+    requesterUid: value.requesterUid,
+    createdAt: value.createdAt,
+    mode: value.mode,
+    root: value.root,
+    ...(typeof value.commit === 'string' ? { commit: value.commit } : {}),
+    ...(typeof value.scope === 'string' ? { scope: value.scope } : {}),
+    ...(typeof value.bytes === 'number' ? { bytes: value.bytes } : {}),
+    ...(changes ? { changes } : {}),
+  };
+}
+
+/** Blob ids of `paths` in `tree`; paths missing from it are left out. */
+async function treeBlobs(root: string, tree: string, paths: string[]): Promise<Map<string, string>> {
+  const blobs = new Map<string, string>();
+  for (let start = 0; start < paths.length; start += CHECKOUT_BATCH_SIZE) {
+    const batch = paths.slice(start, start + CHECKOUT_BATCH_SIZE);
+    const output = await git(['ls-tree', '-r', '-z', '--full-tree', tree, '--', ...batch], root);
+    for (const record of output.split('\0')) {
+      // "<mode> <type> <object>\t<path>"
+      const tab = record.indexOf('\t');
+      if (tab > 0) {
+        blobs.set(record.slice(tab + 1), record.slice(0, tab).split(' ')[2]);
+      }
+    }
+  }
+  return blobs;
+}
+
+async function gitChanges(before: Extract<WorkspaceSnapshot, { mode: 'git' }>): Promise<CheckpointChange[]> {
+  const after = await captureWorkspaceSnapshot(path.join(before.root, before.scope));
+  if (after.mode !== 'git') {
+    throw new Error('checkpoint_repo_missing');
+  }
+  // -z --raw: ":<mode> <mode> <old> <new> <status>\0<path>\0" per file.
+  const tokens = (await git(
+    ['diff', '--no-renames', '--raw', '--no-abbrev', '-z', before.tree, after.tree, '--', scopePathspec(before)],
+    before.root
+  )).split('\0');
+  const changes: CheckpointChange[] = [];
+  for (let index = 0; index + 1 < tokens.length; index += 2) {
+    const fields = tokens[index].split(' ');
+    const filePath = tokens[index + 1];
+    if (fields.length < 5 || !filePath) {
+      continue;
+    }
+    const code = fields[4];
+    changes.push({
+      path: filePath,
+      status: code === 'A' ? 'added' : code === 'D' ? 'deleted' : 'modified',
+      after: code === 'D' ? null : fields[3],
+    });
+  }
+  return changes;
+}
+
+async function fileChanges(before: Extract<WorkspaceSnapshot, { mode: 'mtime' }>): Promise<CheckpointChange[]> {
+  const after = await walkFiles(before.root);
+  const changes: CheckpointChange[] = [];
+  for (const [filePath, info] of after.files) {
+    const previous = before.files.get(filePath);
+    if (!previous || !sameFileState(previous, info)) {
+      changes.push({ path: filePath, status: previous ? 'modified' : 'added', after: info });
+    }
+  }
+  // A capped walk cannot tell a deleted file from one it never reached.
+  if (before.complete && after.complete) {
+    for (const filePath of before.files.keys()) {
+      if (!after.files.has(filePath)) {
+        changes.push({ path: filePath, status: 'deleted', after: null });
+      }
+    }
+  }
+  return changes;
+}
+
+async function removeFileAndEmptyParents(root: string, relativePath: string): Promise<void> {
+  await rm(path.join(root, relativePath), { force: true });
+  let dir = path.dirname(relativePath);
+  while (dir !== '.' && dir !== path.sep) {
+    try {
+      await rmdir(path.join(root, dir));
+    } catch {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Working-tree states recorded before each run, so a run's file changes can
+ * be undone. Inside git a checkpoint is a commit of the snapshot tree under
+ * refs/commands-agent/checkpoints/ (ignored files are not covered);
+ * elsewhere it is a copy of the files, up to MAX_FILE_CHECKPOINT_BYTES each
+ * and MAX_TOTAL_FILE_CHECKPOINT_BYTES together. Only the most recent
+ * MAX_STORED_CHECKPOINTS are kept. Writes are
+ * serialized, atomic and 0600.
+ */
+export class CheckpointStore {
+  // Oldest first.
+  private entries: Checkpoint[] = [];
+  private readonly writer: JsonStoreWriter;
+  private readonly filesDir: string;
+
+  constructor(private readonly filePath: string = DEFAULT_CHECKPOINTS_PATH) {
+    this.filesDir = path.join(path.dirname(filePath), 'checkpoints');
+    this.writer = new JsonStoreWriter(
+      filePath,
+      () => ({ version: 1, checkpoints: this.entries }),
+      'checkpoint store'
+    );
+  }
+
+  async load(): Promise<void> {
+    let raw: string;
+    try {
+      raw = await readFile(this.filePath, 'utf8');
+    } catch {
+      return;
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.info(`ignoring unreadable checkpoint store ${this.filePath}: ${msg}`);
+      return;
+    }
+
+    if (!isRecord(parsed) || !Array.isArray(parsed.checkpoints)) {
+      return;
+    }
+    this.entries = parsed.checkpoints
+      .map(parseCheckpoint)
+      .filter((entry): entry is Checkpoint => entry !== null)
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  }
+
+  /** Newest first. */
+  list(conversationId?: string): Checkpoint[] {
+    return this.entries
+      .filter((entry) => conversationId === undefined || entry.conversationId === conversationId)
+      .reverse();
+  }
+
+  /** The latest checkpoint taken before `messageId` ran. */
+  find(messageId: string, conversationId?: string): Checkpoint | undefined {
+    return this.list(conversationId).find((entry) => entry.messageId === messageId);
+  }
+
+  /**
+   * Turn the pre-run snapshot into a checkpoint. Throws
+   * `checkpoint_too_large` when a non-git workspace exceeds the size cap.
+   */
+  async create(
+    snapshot: WorkspaceSnapshot,
+    meta: Pick<Checkpoint, 'messageId' | 'conversationId' | 'sessionId' | 'requesterUid'>
+  ): Promise<Checkpoint> {
+    const checkpointId = randomUUID();
+    const checkpoint: Checkpoint = {
+      checkpointId,
+      ...meta,
+      createdAt: new Date().toISOString(),
+      mode: snapshot.mode === 'git' ? 'git' : 'files',
+      root: snapshot.root,
+    };
+
+    if (snapshot.mode === 'git') {
+      const commit = (await git(
+        ['commit-tree', snapshot.tree, '-m', `commands-agent checkpoint before message ${meta.messageId}`],
+        snapshot.root,
+        CHECKPOINT_GIT_IDENTITY
+      )).trim();
+      await git(['update-ref', `${CHECKPOINT_REF_PREFIX}${checkpointId}`, commit], snapshot.root);
+      checkpoint.commit = commit;
+      checkpoint.scope = snapshot.scope;
+    } else {
+      let totalBytes = 0;
+      for (const info of snapshot.files.values()) {
+        totalBytes += info.size;
+      }
+      if (!snapshot.complete || totalBytes > MAX_FILE_CHECKPOINT_BYTES) {
+        throw new Error('checkpoint_too_large');
+      }
+      await this.copyFiles(snapshot, checkpointId);
+      checkpoint.bytes = totalBytes;
+    }
+
+    this.entries.push(checkpoint);
+    this.evict();
+    this.persist();
+    return checkpoint;
+  }
+
+  /**
+   * Record which paths the run that started from `before` changed. Call it
+   * when the run ends, before anything else may edit the workspace.
+   */
+  async recordChanges(checkpoint: Checkpoint, before: WorkspaceSnapshot): Promise<void> {
+    checkpoint.changes = before.mode === 'git' ? await gitChanges(before) : await fileChanges(before);
+    this.persist();
+  }
+
+  /**
+   * Undo the file changes of the checkpoint's run: files it modified or
+   * deleted are restored, files it added are removed. Nothing else in the
+   * workspace is touched. Paths for which `isHidden` returns true, or that
+   * changed again after the run, are reported as skipped. Commits and the
+   * index are left alone.
+   */
+  async restore(checkpoint: Checkpoint, isHidden: (absolutePath: string) => boolean): Promise<RollbackResult> {
+    if (!checkpoint.changes) {
+      throw new Error('checkpoint_incomplete');
+    }
+    try {
+      return checkpoint.mode === 'git'
+        ? await this.restoreGit(checkpoint, isHidden)
+        : await this.restoreFiles(checkpoint, isHidden);
+    } catch (err) {
+      if (err instanceof Error && err.message.startsWith('checkpoint_')) {
+        throw err;
+      }
+      throw new Error(`checkpoint_restore_failed: ${gitErrorSummary(err)}`);
+    }
+  }
+
+  /** Resolve once every queued write has reached the disk. */
+  async flush(): Promise<void> {
+    await this.writer.flush();
+  }
+
+  /** Drop the oldest checkpoints past the count cap, then the oldest file copies past the byte budget. */
+  private evict(): void {
+    while (this.entries.length > MAX_STORED_CHECKPOINTS) {
+      void this.discard(this.entries.shift() as Checkpoint);
+    }
+    let totalBytes = this.entries.reduce((sum, entry) => sum + (entry.bytes ?? 0), 0);
+    while (totalBytes > MAX_TOTAL_FILE_CHECKPOINT_BYTES) {
+      const index = this.entries.findIndex((entry) => (entry.bytes ?? 0) > 0);
+      if (index < 0) {
+        break;
+      }
+      const [evicted] = this.entries.splice(index, 1);
+      totalBytes -= evicted.bytes ?? 0;
+      void this.discard(evicted);
+    }
+  }
+
+  private checkpointDir(checkpointId: string): string {
+    return path.join(this.filesDir, checkpointId);
+  }
+
+  private async copyFiles(snapshot: Extract<WorkspaceSnapshot, { mode: 'mtime' }>, checkpointId: string): Promise<void> {
+    const dir = this.checkpointDir(checkpointId);
+    const manifest: FileManifest = {};
+    await mkdir(this.filesDir, { recursive: true, mode: 0o700 });
+    await chmod(this.filesDir, 0o700).catch(() => undefined);
+    try {
+      // Also when the workspace is empty: the manifest goes in it.
+      await mkdir(dir, { recursive: true, mode: 0o700 });
+      for (const [relativePath, info] of snapshot.files) {
+        const target = path.join(dir, 'files', relativePath);
+        await mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+        try {
+          await copyFile(path.join(snapshot.root, relativePath), target);
+        } catch {
+          // Removed since the snapshot; it was not there before the run either.
+          continue;
+        }
+        manifest[relativePath] = info;
+      }
+      await writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest), { mode: 0o600 });
+    } catch (err) {
+      await rm(dir, { recursive: true, force: true });
+      throw err;
+    }
+  }
+
+  private async restoreGit(checkpoint: Checkpoint, isHidden: (absolutePath: string) => boolean): Promise<RollbackResult> {
+    const current = await captureWorkspaceSnapshot(path.join(checkpoint.root, checkpoint.scope ?? '.'));
+    if (current.mode !== 'git' || !checkpoint.commit) {
+      throw new Error('checkpoint_repo_missing');
+    }
+
+    const changes = checkpoint.changes ?? [];
+    const currentBlobs = await treeBlobs(checkpoint.root, current.tree, changes.map((change) => change.path));
+    const result: RollbackResult = { restored: [], removed: [], skipped: [] };
+    for (const change of changes) {
+      if (
+        isHidden(path.join(checkpoint.root, change.path)) ||
+        (currentBlobs.get(change.path) ?? null) !== change.after
+      ) {
+        result.skipped.push(change.path);
+      } else {
+        (change.status === 'added' ? result.removed : result.restored).push(change.path);
+      }
+    }
+
+    // Check out through a throwaway index so the user's staging area stays as it is.
+    const tmpDir = await mkdtemp(path.join(os.tmpdir(), 'commands-agent-rollback-'));
+    try {
+      const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+      await git(['read-tree', checkpoint.commit], checkpoint.root, env);
+      for (let start = 0; start < result.restored.length; start += CHECKOUT_BATCH_SIZE) {
+        const batch = result.restored.slice(start, start + CHECKOUT_BATCH_SIZE);
+        await git(['checkout-index', '-f', '--', ...batch], checkpoint.root, env);
+      }
+    } finally {
+      await rm(tmpDir, { recursive: true, force: true });
+    }
+    for (const filePath of result.removed) {
+      await removeFileAndEmptyParents(checkpoint.root, filePath);
+    }
+    return result;
+  }
+
+  private async restoreFiles(checkpoint: Checkpoint, isHidden: (absolutePath: string) => boolean): Promise<RollbackResult> {
+    const dir = this.checkpointDir(checkpoint.checkpointId);
+    let manifest: FileManifest;
+    try {
+      manifest = JSON.parse(await readFile(path.join(dir, 'manifest.json'), 'utf8')) as FileManifest;
+    } catch {
+      throw new Error('checkpoint_files_missing');
+    }
+
+    const result: RollbackResult = { restored: [], removed: [], skipped: [] };
+    for (const change of checkpoint.changes ?? []) {
+      const target = path.join(checkpoint.root, change.path);
+      const current = await stat(target).then(
+        (info): FileState | null => (info.isFile() ? { mtimeMs: info.mtimeMs, size: info.size } : null),
+        () => null
+      );
+      const original = manifest[change.path];
+      if (
+        isHidden(target) ||
+        !sameFileState(current, change.after) ||
+        (change.status !== 'added' && !original)
+      ) {
+        result.skipped.push(change.path);
+        continue;
+      }
+      if (change.status === 'added') {
+        await removeFileAndEmptyParents(checkpoint.root, change.path);
+        result.removed.push(change.path);
+        continue;
+      }
+      await mkdir(path.dirname(target), { recursive: true });
+      await copyFile(path.join(dir, 'files', change.path), target);
+      // Keep the original mtime so later diffs see the file as unchanged.
+      await utimes(target, new Date(), new Date(original.mtimeMs));
+      result.restored.push(change.path);
+    }
+    return result;
+  }
+
+  private async discard(checkpoint: Checkpoint): Promise<void> {
+    try {
+      if (checkpoint.mode === 'git') {
+        await git(['update-ref', '-d', `${CHECKPOINT_REF_PREFIX}${checkpoint.checkpointId}`], checkpoint.root);
+      } else {
+        await rm(this.checkpointDir(checkpoint.checkpointId), { recursive: true, force: true });
+      }
+    } catch (err) {
+      // The repository may be gone; the ref went with it.
+      log.debug(`checkpoint discard failed id=${checkpoint.checkpointId}: ${gitErrorSummary(err)}`);
+    }
+  }
+
+  private persist(): void {
+    this.writer.schedule();
+  }
+}
@@ -1,10 +1,42 @@
 import { query } from '@anthropic-ai/claude-agent-sdk';
 import {
+  DEFAULT_MAX_TURNS,
   getCwdPolicyViolation,
   getPromptPolicyViolation,
+  getToolApprovalRequirement,
   getToolPolicyViolation,
 } from './policy.js';
 import type { AgentMcpServers, AgentPolicy, ClaudeRunResult } from './types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+// One step of a tool call: `requested` when the model emits the tool_use
+// block, `awaiting_approval` while an "ask" tool waits for a human,
+// `allowed`/`denied` once local policy decides (policy-managed runs only),
+// then `completed`/`failed` when its result comes back.
+export interface ToolActivityEvent {
+  toolUseId?: string;
+  toolName: string;
+  status: 'requested' | 'awaiting_approval' | 'allowed' | 'denied' | 'completed' | 'failed';
+  input?: Record<string, unknown>;
+  reason?: string;
+}
+
+export interface ToolApprovalRequest {
+  toolUseId?: string;
+  toolName: string;
+  input: Record<string, unknown>;
+  reason: string;
+  // Aborted when the run stops; the handler should settle as denied.
+  signal: AbortSignal;
+}
+
+export interface ToolApprovalDecision {
+  approved: boolean;
+  // Why an unapproved call was denied, e.g. approval_denied or approval_timeout.
+  reason?: string;
+}
 
 interface RunPromptInput {
   prompt: string;
@@ -12,23 +44,40 @@ interface RunPromptInput {
   model: string;
   systemPrompt?: string;
   maxTurns?: number;
+  // Stop the run once its cost passes this many USD.
+  maxCostUsd?: number;
   resumeSessionId?: string;
   mcpServers?: AgentMcpServers;
   policy?: AgentPolicy;
+  abortController?: AbortController;
   onPolicyDecision?: (event: {
     toolName: string;
     allowed: boolean;
     reason?: string;
     toolInput: Record<string, unknown>;
   }) => void;
+  onAssistantTurn?: (event: { turn: number; text: string }) => void;
+  onToolActivity?: (event: ToolActivityEvent) => void;
+  // Without a handler, tools that require approval are denied.
+  onToolApproval?: (request: ToolApprovalRequest) => Promise<ToolApprovalDecision>;
 }
 
+type StreamContentBlock = {
+  type?: string;
+  text?: string;
+  id?: string;
+  name?: string;
+  input?: unknown;
+  tool_use_id?: string;
+  is_error?: boolean;
+};
+
 type StreamMessage = {
   type?: string;
   subtype?: string;
   session_id?: string;
   message?: {
-    content?: Array<{ type?: string; text?: string }> | string;
+    content?: StreamContentBlock[] | string;
   };
   result?: string;
   total_cost_usd?: number;
@@ -96,18 +145,29 @@ function extractAssistantText(message: StreamMessage): string {
   return chunks.join('');
 }
 
+function extractContentBlocks(message: StreamMessage, type: string): StreamContentBlock[] {
+  const content = message.message?.content;
+  if (!Array.isArray(content)) {
+    return [];
+  }
+  return content.filter((block) => block?.type === type);
+}
+
 export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult> {
   const requestedModel = input.model;
   const sdkModel = normalizeModelForSdk(requestedModel);
 
   if (sdkModel !== requestedModel) {
-    console.log(`[runtime] normalized model "${requestedModel}" -> "${sdkModel}" for SDK compatibility`);
+    log.info(`normalized model "${requestedModel}" -> "${sdkModel}" for SDK compatibility`);
   }
 
   const options: NonNullable<Parameters<typeof query>[0]['options']> = {
     cwd: input.cwd,
     model: sdkModel,
-    maxTurns: input.maxTurns ?? 40,
+    maxTurns: input.maxTurns ?? DEFAULT_MAX_TURNS,
+    // The SDK checks the budget after every model call and ends the query
+    // with an error_max_budget_usd result once the running cost passes it.
+    ...(input.maxCostUsd !== undefined ? { maxBudgetUsd: input.maxCostUsd } : {}),
     ...(input.systemPrompt ? { systemPrompt: input.systemPrompt } : {}),
   };
 
@@ -115,6 +175,10 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
     options.resume = input.resumeSessionId;
   }
 
+  if (input.abortController) {
+    options.abortController = input.abortController;
+  }
+
   if (input.policy) {
     // Policy-managed profiles run in SDK isolation so local/global Claude
     // settings cannot silently expand permissions.
@@ -140,8 +204,36 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
     } else if (input.mcpServers && Object.keys(input.mcpServers).length > 0) {
       options.mcpServers = input.mcpServers;
     }
-    options.canUseTool = async (toolName, toolInput) => {
-      const violation = getToolPolicyViolation(toolName, toolInput, input.policy as AgentPolicy);
+    options.canUseTool = async (toolName, toolInput, { toolUseID, signal }) => {
+      const policy = input.policy as AgentPolicy;
+      let violation = getToolPolicyViolation(toolName, toolInput, policy);
+      let approvalDenied = false;
+
+      const approvalReason = violation ? null : getToolApprovalRequirement(toolName, policy);
+      if (approvalReason) {
+        input.onToolActivity?.({
+          toolUseId: toolUseID,
+          toolName,
+          status: 'awaiting_approval',
+          input: toolInput,
+          reason: approvalReason,
+        });
+        const decision = input.onToolApproval
+          ? await input.onToolApproval({ toolUseId: toolUseID, toolName, input: toolInput, reason: approvalReason, signal })
+          : { approved: false, reason: 'approval_unavailable' };
+        if (!decision.approved) {
+          violation = decision.reason ?? 'approval_denied';
+          approvalDenied = true;
+        }
+      }
+
+      input.onToolActivity?.({
+        toolUseId: toolUseID,
+        toolName,
+        status: violation ? 'denied' : 'allowed',
+        input: toolInput,
+        ...(violation ? { reason: violation } : {}),
+      });
       if (violation) {
         if (input.onPolicyDecision) {
           input.onPolicyDecision({
@@ -152,10 +244,14 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
           });
         }
 
+        // A declined approval is a judgement about this one call, so the
+        // model may carry on with another approach.
         return {
           behavior: 'deny',
-          message: `Blocked by local agent policy: ${violation}`,
-          interrupt: true,
+          message: approvalDenied
+            ? `Tool call was not approved: ${violation}`
+            : `Blocked by local agent policy: ${violation}`,
+          interrupt: !approvalDenied,
         };
       }
 
@@ -187,43 +283,89 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
   let costUsd = 0;
   let detectedModel: string | undefined;
   let detectedSessionId: string | undefined;
+  let aborted = false;
+  let budgetExceeded: ClaudeRunResult['budgetExceeded'];
+  const toolNamesById = new Map<string, string>();
 
+  // Prompt and response bodies can hold anything the requester pasted;
+  // they are only logged at debug level.
   const userPrompt = input.prompt.trim();
   if (userPrompt) {
-    console.log(`\n[user prompt]\n${userPrompt}\n`);
+    log.debug(`user prompt:\n${userPrompt}`);
   }
 
-  for await (const raw of query({ prompt: input.prompt, options })) {
-    const message = raw as StreamMessage;
+  try {
+    for await (const raw of query({ prompt: input.prompt, options })) {
+      const message = raw as StreamMessage;
 
-    if (typeof message.session_id === 'string' && message.session_id.trim().length > 0) {
-      detectedSessionId = message.session_id;
-    }
+      if (typeof message.session_id === 'string' && message.session_id.trim().length > 0) {
+        detectedSessionId = message.session_id;
+      }
 
-    if (message.type === 'assistant') {
-      turns += 1;
-      const text = extractAssistantText(message).trim();
-      if (text) {
-        latestAssistant = text;
-        console.log(`\n[assistant turn ${turns}]\n${text}\n`);
+      if (message.type === 'assistant') {
+        turns += 1;
+        const text = extractAssistantText(message).trim();
+        if (text) {
+          latestAssistant = text;
+          log.debug(`assistant turn ${turns}:\n${text}`);
+          if (input.onAssistantTurn) {
+            input.onAssistantTurn({ turn: turns, text });
+          }
+        }
+        for (const block of extractContentBlocks(message, 'tool_use')) {
+          const toolName = typeof block.name === 'string' ? block.name : 'unknown';
+          if (typeof block.id === 'string') {
+            toolNamesById.set(block.id, toolName);
+          }
+          input.onToolActivity?.({
+            toolUseId: block.id,
+            toolName,
+            status: 'requested',
+            input: typeof block.input === 'object' && block.input !== null
+              ? block.input as Record<string, unknown>
+              : {},
+          });
+        }
+        continue;
       }
-      continue;
-    }
 
-    if (message.type === 'system' && message.subtype === 'init' && typeof message.model === 'string') {
-      detectedModel = message.model;
-      continue;
-    }
+      if (message.type === 'user' && input.onToolActivity) {
+        for (const block of extractContentBlocks(message, 'tool_result')) {
+          const toolUseId = typeof block.tool_use_id === 'string' ? block.tool_use_id : undefined;
+          input.onToolActivity({
+            toolUseId,
+            toolName: (toolUseId && toolNamesById.get(toolUseId)) || 'unknown',
+            status: block.is_error ? 'failed' : 'completed',
+          });
+        }
+        continue;
+      }
 
-    if (message.type === 'result') {
-      if (typeof message.result === 'string' && message.result.trim().length > 0) {
-        finalResult = message.result;
+      if (message.type === 'system' && message.subtype === 'init' && typeof message.model === 'string') {
+        detectedModel = message.model;
+        continue;
       }
-      if (typeof message.total_cost_usd === 'number') {
-        costUsd = message.total_cost_usd;
+
+      if (message.type === 'result') {
+        if (typeof message.result === 'string' && message.result.trim().length > 0) {
+          finalResult = message.result;
+        }
+        if (typeof message.total_cost_usd === 'number') {
+          costUsd = message.total_cost_usd;
+        }
+        if (message.subtype === 'error_max_turns') {
+          budgetExceeded = 'turns';
+        } else if (message.subtype === 'error_max_budget_usd') {
+          budgetExceeded = 'cost';
+        }
+        break;
       }
-      break;
     }
+  } catch (err) {
+    if (!input.abortController?.signal.aborted) {
+      throw err;
+    }
+    aborted = true;
   }
 
   if (!finalResult) {
@@ -233,7 +375,7 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
   const requestedFamily = modelFamily(sdkModel);
   const actualFamily = modelFamily(detectedModel);
   if (requestedFamily && actualFamily && requestedFamily !== actualFamily) {
-    console.log(`[runtime] warning: model mismatch requested=${sdkModel} actual=${detectedModel}`);
+    log.warn(`model mismatch requested=${sdkModel} actual=${detectedModel}`);
   }
 
   return {
@@ -242,5 +384,7 @@ export async function runPrompt(input: RunPromptInput): Promise<ClaudeRunResult>
     costUsd,
     model: detectedModel,
     sessionId: detectedSessionId,
+    ...(aborted ? { aborted } : {}),
+    ...(budgetExceeded ? { budgetExceeded } : {}),
   };
 }
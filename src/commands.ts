@@ -0,0 +1,31 @@
+// Prompts the runtime answers itself, without a provider call. Anything
+// else starting with "/" (a path, an unknown command) is an ordinary prompt.
+export const SLASH_COMMANDS = {
+  status: 'provider, model, permission profile and workspace',
+  reset: 'start this conversation over with a fresh provider session',
+  cost: "this conversation's spend and your spend today",
+  model: 'show the model; /model <name> switches this conversation to an allowed one',
+  help: 'list these commands',
+} as const;
+
+export type SlashCommandName = keyof typeof SLASH_COMMANDS;
+
+export interface SlashCommand {
+  name: SlashCommandName;
+  // Whatever followed the command name, trimmed.
+  args: string;
+}
+
+export function parseSlashCommand(prompt: string): SlashCommand | null {
+  const match = /^\/([a-z]+)(?:\s+([\s\S]*))?$/.exec(prompt.trim());
+  if (!match || !Object.hasOwn(SLASH_COMMANDS, match[1])) {
+    return null;
+  }
+  return { name: match[1] as SlashCommandName, args: (match[2] ?? '').trim() };
+}
+
+export function formatSlashCommandHelp(): string {
+  return Object.entries(SLASH_COMMANDS)
+    .map(([name, description]) => `/${name} - ${description}`)
+    .join('\n');
+}
@@ -0,0 +1,25 @@
+import { createHash } from 'node:crypto';
+import { unwatchFile, watchFile, type Stats } from 'node:fs';
+
+const WATCH_INTERVAL_MS = 1000;
+
+/** sha256 of a parsed config, recorded in the audit log when it is applied. */
+export function hashConfig(value: unknown): string {
+  return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * Call `onChange` whenever the file's mtime or size moves. Polling (rather
+ * than fs.watch) keeps working when an editor saves by renaming a new file
+ * over the old one. Returns a function that stops watching.
+ */
+export function watchConfigFile(filePath: string, onChange: () => void): () => void {
+  const listener = (current: Stats, previous: Stats): void => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    onChange();
+  };
+  watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, listener);
+  return () => unwatchFile(filePath, listener);
+}
@@ -1,7 +1,10 @@
 import os from 'node:os';
 import path from 'node:path';
-import { chmod, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { chmod, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
 import type { AgentConfig } from './types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
 
 export const CONFIG_DIR = path.join(os.homedir(), '.commands-agent');
 export const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
@@ -38,3 +41,47 @@ export async function saveConfig(config: AgentConfig): Promise<void> {
   await writeFile(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8' });
   await chmod(CONFIG_PATH, 0o600);
 }
+
+/**
+ * Write `data` as JSON through a temp file and a rename, so readers never
+ * see half a file. The file ends up 0600 and its directory 0700.
+ */
+export async function writePrivateJsonFile(filePath: string, data: unknown): Promise<void> {
+  const dir = path.dirname(filePath);
+  await mkdir(dir, { recursive: true });
+  await chmod(dir, 0o700).catch(() => undefined);
+
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  await rename(tmpPath, filePath);
+  await chmod(filePath, 0o600).catch(() => undefined);
+}
+
+/**
+ * Serialized rewrites of one store file. Each schedule() queues a write of
+ * whatever `read()` returns at that point; a failed write is logged with
+ * `label` and does not stop later ones.
+ */
+export class JsonStoreWriter {
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(
+    private readonly filePath: string,
+    private readonly read: () => unknown,
+    private readonly label: string
+  ) {}
+
+  schedule(): void {
+    this.writeChain = this.writeChain
+      .then(() => writePrivateJsonFile(this.filePath, this.read()))
+      .catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`${this.label} write failed: ${msg}`);
+      });
+  }
+
+  /** Resolve once every queued write has reached the disk. */
+  async flush(): Promise<void> {
+    await this.writeChain;
+  }
+}
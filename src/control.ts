@@ -0,0 +1,284 @@
+import net from 'node:net';
+import path from 'node:path';
+import { chmod, mkdir, rm } from 'node:fs/promises';
+import { CONFIG_DIR } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+export const DEFAULT_CONTROL_SOCKET_PATH = path.join(CONFIG_DIR, 'control.sock');
+
+// JSON-RPC 2.0 error codes.
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const SERVER_ERROR = -32000;
+
+// A request line larger than this is treated as abuse and the client dropped.
+const MAX_REQUEST_BYTES = 64 * 1024;
+const DEFAULT_CALL_TIMEOUT_MS = 10_000;
+// Notifications kept while nobody is subscribed (agent start-up, a desktop
+// reconnect), replayed to the next subscriber.
+const MAX_NOTIFICATION_BACKLOG = 500;
+
+type JsonRecord = Record<string, unknown>;
+
+export type ControlMethod = (params: JsonRecord, client: ControlClient) => unknown;
+
+/** One connected control client; `subscribed` clients receive event notifications. */
+export interface ControlClient {
+  subscribed: boolean;
+}
+
+interface ConnectedClient extends ControlClient {
+  socket: net.Socket;
+}
+
+function isRecord(value: unknown): value is JsonRecord {
+  return typeof value === 'object' && value !== null;
+}
+
+function writeLine(socket: net.Socket, message: JsonRecord): void {
+  if (socket.destroyed || !socket.writable) {
+    return;
+  }
+  socket.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+/** True when something is accepting connections on `socketPath`. */
+function isSocketLive(socketPath: string): Promise<boolean> {
+  return new Promise((resolve) => {
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Local owner control channel: newline-delimited JSON-RPC 2.0 over a Unix
+ * domain socket. The socket is created 0600 inside the 0700 config dir, so
+ * only the owning user can connect. Methods that throw answer with a
+ * JSON-RPC error whose message is the thrown error code.
+ */
+export class ControlServer {
+  private readonly clients = new Set<ConnectedClient>();
+  private readonly backlog: JsonRecord[] = [];
+  private server: net.Server | null = null;
+
+  constructor(
+    private readonly socketPath: string,
+    private readonly methods: Record<string, ControlMethod>
+  ) {}
+
+  async start(): Promise<void> {
+    const dir = path.dirname(this.socketPath);
+    await mkdir(dir, { recursive: true });
+    await chmod(dir, 0o700).catch(() => undefined);
+
+    if (await isSocketLive(this.socketPath)) {
+      throw new Error(`control socket ${this.socketPath} is in use; is another agent running?`);
+    }
+    // Left behind by a runtime that did not shut down cleanly.
+    await rm(this.socketPath, { force: true });
+
+    const server = net.createServer((socket) => this.accept(socket));
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      // Bind with a restrictive umask so the socket is never briefly world-accessible.
+      const previousUmask = process.umask(0o177);
+      try {
+        server.listen(this.socketPath, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      } finally {
+        process.umask(previousUmask);
+      }
+    });
+    await chmod(this.socketPath, 0o600);
+    server.on('error', (err) => {
+      log.warn(`control socket error: ${err.message}`);
+    });
+    this.server = server;
+  }
+
+  /**
+   * Send a JSON-RPC notification to every subscribed client, or keep it for
+   * the next subscriber when there is none.
+   */
+  notify(method: string, params: JsonRecord): void {
+    if (!this.hasSubscribers()) {
+      this.backlog.push({ method, params });
+      if (this.backlog.length > MAX_NOTIFICATION_BACKLOG) {
+        this.backlog.shift();
+      }
+      return;
+    }
+    for (const client of this.clients) {
+      if (client.subscribed) {
+        writeLine(client.socket, { method, params });
+      }
+    }
+  }
+
+  /** Start sending notifications to `client`, beginning with the backlog. */
+  subscribe(client: ControlClient): void {
+    const connected = client as ConnectedClient;
+    if (!this.clients.has(connected) || connected.subscribed) {
+      return;
+    }
+    connected.subscribed = true;
+    for (const message of this.backlog.splice(0)) {
+      writeLine(connected.socket, message);
+    }
+  }
+
+  hasSubscribers(): boolean {
+    for (const client of this.clients) {
+      if (client.subscribed) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async close(): Promise<void> {
+    const server = this.server;
+    if (!server) {
+      return;
+    }
+    this.server = null;
+
+    for (const client of this.clients) {
+      client.socket.end();
+    }
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    await rm(this.socketPath, { force: true }).catch(() => undefined);
+  }
+
+  private accept(socket: net.Socket): void {
+    const client: ConnectedClient = { socket, subscribed: false };
+    this.clients.add(client);
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\n');
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          void this.handleLine(client, line);
+        }
+        newline = buffer.indexOf('\n');
+      }
+      if (buffer.length > MAX_REQUEST_BYTES) {
+        writeLine(socket, { id: null, error: { code: INVALID_REQUEST, message: 'request_too_large' } });
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => undefined);
+    socket.on('close', () => this.clients.delete(client));
+  }
+
+  private async handleLine(client: ConnectedClient, line: string): Promise<void> {
+    let request: unknown;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      writeLine(client.socket, { id: null, error: { code: PARSE_ERROR, message: 'parse_error' } });
+      return;
+    }
+
+    if (!isRecord(request) || typeof request.method !== 'string') {
+      writeLine(client.socket, { id: null, error: { code: INVALID_REQUEST, message: 'invalid_request' } });
+      return;
+    }
+
+    const id = typeof request.id === 'string' || typeof request.id === 'number' ? request.id : null;
+    const method = Object.hasOwn(this.methods, request.method) ? this.methods[request.method] : undefined;
+    if (!method) {
+      writeLine(client.socket, { id, error: { code: METHOD_NOT_FOUND, message: `unknown_method: ${request.method}` } });
+      return;
+    }
+
+    const params = isRecord(request.params) ? request.params : {};
+    try {
+      const result = await method(params, client);
+      writeLine(client.socket, { id, result: result ?? null });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      writeLine(client.socket, { id, error: { code: SERVER_ERROR, message: msg } });
+    }
+  }
+}
+
+/**
+ * Call one method on a running agent's control socket and return its
+ * result. Rejects with the JSON-RPC error message, or `agent_not_running`
+ * when nothing is listening.
+ */
+export function callControlMethod(
+  method: string,
+  params: JsonRecord = {},
+  options: { socketPath?: string; timeoutMs?: number } = {}
+): Promise<unknown> {
+  const socketPath = options.socketPath ?? DEFAULT_CONTROL_SOCKET_PATH;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_CALL_TIMEOUT_MS;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath);
+    socket.setEncoding('utf8');
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('control_call_timeout'));
+    }, timeoutMs);
+    const finish = (err: Error | null, result?: unknown): void => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.once('connect', () => {
+      socket.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })}\n`);
+    });
+    socket.once('error', (err: NodeJS.ErrnoException) => {
+      finish(err.code === 'ENOENT' || err.code === 'ECONNREFUSED' ? new Error('agent_not_running') : err);
+    });
+
+    let buffer = '';
+    socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline < 0) {
+        return;
+      }
+
+      let response: unknown;
+      try {
+        response = JSON.parse(buffer.slice(0, newline));
+      } catch {
+        finish(new Error('invalid_control_response'));
+        return;
+      }
+      if (!isRecord(response)) {
+        finish(new Error('invalid_control_response'));
+        return;
+      }
+      if (isRecord(response.error)) {
+        finish(new Error(typeof response.error.message === 'string' ? response.error.message : 'control_call_failed'));
+        return;
+      }
+      finish(null, response.result);
+    });
+  });
+}
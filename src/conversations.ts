@@ -0,0 +1,189 @@
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { CONFIG_DIR, JsonStoreWriter } from './config.js';
+import type { AgentProvider } from './types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+export const DEFAULT_CONVERSATIONS_PATH = path.join(CONFIG_DIR, 'conversations.json');
+
+const MAX_STORED_CONVERSATIONS = 200;
+export const CONVERSATION_TTL_MS = 14 * 24 * 60 * 60_000;
+
+export interface StoredMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface StoredConversation {
+  conversationId: string;
+  provider: AgentProvider;
+  // Claude SDK session id, or the runtime-generated Ollama session id.
+  sessionId: string;
+  updatedAt: string;
+  // Ollama keeps no server-side history, so its transcript is stored here
+  // when the store persists messages.
+  messages?: StoredMessage[];
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null;
+}
+
+function parseMessages(value: unknown): StoredMessage[] | undefined {
+  if (!Array.isArray(value)) {
+    return undefined;
+  }
+  return value.filter((m): m is StoredMessage =>
+    isRecord(m) &&
+    (m.role === 'system' || m.role === 'user' || m.role === 'assistant') &&
+    typeof m.content === 'string'
+  );
+}
+
+function parseConversation(value: unknown, keepMessages: boolean): StoredConversation | null {
+  if (
+    !isRecord(value) ||
+    typeof value.conversationId !== 'string' ||
+    typeof value.sessionId !== 'string' ||
+    typeof value.updatedAt !== 'string' ||
+    (value.provider !== 'claude' && value.provider !== 'ollama')
+  ) {
+    return null;
+  }
+
+  const messages = keepMessages ? parseMessages(value.messages) : undefined;
+  return {
+    conversationId: value.conversationId,
+    provider: value.provider,
+    sessionId: value.sessionId,
+    updatedAt: value.updatedAt,
+    ...(messages ? { messages } : {}),
+  };
+}
+
+/**
+ * On-disk map of conversation id -> provider session, so remote users keep
+ * their context across runtime restarts. Entries expire after
+ * CONVERSATION_TTL_MS and only the most recent MAX_STORED_CONVERSATIONS are
+ * kept. Writes are serialized, atomic and 0600.
+ *
+ * Transcripts are plaintext, so they are only kept with `persistMessages`;
+ * otherwise they are dropped on load and never written.
+ */
+export class ConversationStore {
+  // Map order is least- to most-recently updated.
+  private readonly entries = new Map<string, StoredConversation>();
+  private readonly writer: JsonStoreWriter;
+  private readonly persistMessages: boolean;
+
+  constructor(
+    private readonly filePath: string = DEFAULT_CONVERSATIONS_PATH,
+    options: { persistMessages?: boolean } = {}
+  ) {
+    this.persistMessages = options.persistMessages ?? false;
+    this.writer = new JsonStoreWriter(
+      filePath,
+      () => ({ version: 1, conversations: [...this.entries.values()] }),
+      'conversation store'
+    );
+  }
+
+  async load(): Promise<void> {
+    let raw: string;
+    try {
+      raw = await readFile(this.filePath, 'utf8');
+    } catch {
+      return;
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.info(`ignoring unreadable conversation store ${this.filePath}: ${msg}`);
+      return;
+    }
+
+    if (!isRecord(parsed) || !Array.isArray(parsed.conversations)) {
+      return;
+    }
+
+    const loaded = parsed.conversations
+      .map((entry) => parseConversation(entry, this.persistMessages))
+      .filter((entry): entry is StoredConversation => entry !== null)
+      .sort((a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt));
+
+    this.entries.clear();
+    for (const entry of loaded) {
+      this.entries.set(entry.conversationId, entry);
+    }
+    this.prune();
+  }
+
+  list(): StoredConversation[] {
+    this.prune();
+    return [...this.entries.values()].reverse();
+  }
+
+  get(conversationId: string): StoredConversation | undefined {
+    this.prune();
+    return this.entries.get(conversationId);
+  }
+
+  set(entry: Omit<StoredConversation, 'updatedAt'>): void {
+    const { messages, ...rest } = entry;
+    this.entries.delete(entry.conversationId);
+    this.entries.set(entry.conversationId, {
+      ...rest,
+      ...(this.persistMessages && messages ? { messages } : {}),
+      updatedAt: new Date().toISOString(),
+    });
+    this.prune();
+    this.persist();
+  }
+
+  /** Remove the given conversations; returns the ids that were present. */
+  forget(conversationIds: string[]): string[] {
+    const removed = conversationIds.filter((id) => this.entries.delete(id));
+    if (removed.length > 0) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  clear(): number {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.persist();
+    return count;
+  }
+
+  /** Resolve once every queued write has reached the disk. */
+  async flush(): Promise<void> {
+    await this.writer.flush();
+  }
+
+  private prune(): void {
+    const cutoff = Date.now() - CONVERSATION_TTL_MS;
+    for (const [id, entry] of this.entries) {
+      const updatedAt = Date.parse(entry.updatedAt);
+      if (!Number.isFinite(updatedAt) || updatedAt < cutoff) {
+        this.entries.delete(id);
+      }
+    }
+    while (this.entries.size > MAX_STORED_CONVERSATIONS) {
+      const oldest = this.entries.keys().next().value;
+      if (!oldest) {
+        break;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  private persist(): void {
+    this.writer.schedule();
+  }
+}
@@ -84,8 +84,8 @@ function deterministicNonceBuffer(direction: FrameDirection, seq: number): Buffe
   return nonce;
 }
 
-function decodeKey(base64Key: string): Buffer {
-  const key = decodeBase64(base64Key, 'session key');
+function decodeKey(rawKey: Buffer | string): Buffer {
+  const key = Buffer.isBuffer(rawKey) ? rawKey : decodeBase64(rawKey, 'session key');
   if (key.length !== AES_KEY_BYTES) {
     throw new Error(`invalid session key length: got ${key.length}, want ${AES_KEY_BYTES}`);
   }
@@ -171,25 +171,29 @@ export function deriveSessionKeys(sharedSecret: Buffer, salt: Buffer): SessionKe
   const info = Buffer.from('commands.com/gateway/v1/e2ee', 'utf8');
   const keyMaterial = Buffer.from(hkdfSync('sha256', sharedSecret, salt, info, 96));
 
-  return {
-    clientToAgentBase64: keyMaterial.subarray(0, 32).toString('base64'),
-    agentToClientBase64: keyMaterial.subarray(32, 64).toString('base64'),
-    controlBase64: keyMaterial.subarray(64, 96).toString('base64'),
+  const keys: SessionKeys = {
+    clientToAgent: Buffer.from(keyMaterial.subarray(0, 32)),
+    agentToClient: Buffer.from(keyMaterial.subarray(32, 64)),
+    control: Buffer.from(keyMaterial.subarray(64, 96)),
   };
+  keyMaterial.fill(0);
+  return keys;
 }
 
 export function deterministicNonceBase64(direction: FrameDirection, seq: number): string {
   return deterministicNonceBuffer(direction, seq).toString('base64');
 }
 
+// `key` is the raw 32-byte session key, held in a buffer the caller zeroes
+// when the session ends; a base64 string is still accepted.
 export function encryptFramePayload(params: {
-  keyBase64: string;
+  key: Buffer | string;
   direction: FrameDirection;
   seq: number;
   plaintextUtf8: string;
   aadBase64?: string;
 }): EncryptedFramePayload {
-  const key = decodeKey(params.keyBase64);
+  const key = decodeKey(params.key);
   const nonce = deterministicNonceBuffer(params.direction, params.seq);
 
   const cipher = createCipheriv(AES_256_GCM, key, nonce, {
@@ -220,7 +224,7 @@ export function encryptFramePayload(params: {
 }
 
 export function decryptFramePayload(params: {
-  keyBase64: string;
+  key: Buffer | string;
   direction: FrameDirection;
   seq: number;
   nonceBase64: string;
@@ -228,7 +232,7 @@ export function decryptFramePayload(params: {
   tagBase64: string;
   aadBase64?: string;
 }): string {
-  const key = decodeKey(params.keyBase64);
+  const key = decodeKey(params.key);
   const expectedNonce = deterministicNonceBuffer(params.direction, params.seq);
   const receivedNonce = decodeBase64(params.nonceBase64, 'nonce');
 
@@ -264,6 +268,7 @@ export function decryptFramePayload(params: {
   return plaintext.toString('utf8');
 }
 
-export function shortFingerprint(base64Value: string): string {
-  return createHash('sha256').update(Buffer.from(base64Value, 'base64')).digest('hex').slice(0, 16);
+export function shortFingerprint(value: string | Buffer): string {
+  const raw = typeof value === 'string' ? Buffer.from(value, 'base64') : value;
+  return createHash('sha256').update(raw).digest('hex').slice(0, 16);
 }
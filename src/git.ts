@@ -0,0 +1,39 @@
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { appendFile, readFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 15_000;
+const GIT_MAX_BUFFER = 16 * 1024 * 1024;
+
+/** Run git in `cwd` and return stdout; rejects on a non-zero exit or timeout. */
+export async function runGit(args: string[], cwd: string, env: Record<string, string> = {}): Promise<string> {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    env: { ...process.env, ...env },
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: GIT_MAX_BUFFER,
+    encoding: 'utf8',
+  });
+  return stdout;
+}
+
+/** Add `entry` to the repository's .git/info/exclude unless it is already listed. */
+export async function addGitExclude(repoRoot: string, entry: string): Promise<void> {
+  const excludePath = path.resolve(repoRoot, (await runGit(['rev-parse', '--git-path', 'info/exclude'], repoRoot)).trim());
+  const current = await readFile(excludePath, 'utf8').catch(() => '');
+  if (current.split('\n').some((line) => line.trim() === entry)) {
+    return;
+  }
+  const prefix = current.length > 0 && !current.endsWith('\n') ? '\n' : '';
+  await appendFile(excludePath, `${prefix}${entry}\n`, 'utf8');
+}
+
+/** First line of git's stderr (or the error message), for error codes. */
+export function gitErrorSummary(err: unknown): string {
+  const stderr = typeof err === 'object' && err !== null ? (err as { stderr?: unknown }).stderr : undefined;
+  const text = typeof stderr === 'string' && stderr.trim() ? stderr : (err instanceof Error ? err.message : String(err));
+  return text.trim().split('\n')[0] ?? '';
+}
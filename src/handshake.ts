@@ -36,7 +36,8 @@ export interface AcknowledgeHandshakeResult {
   controlKeyFingerprint: string;
   gatewayAckPosted: boolean;
   gatewayAckError?: string;
-  sessionKeys: SessionKeys;
+  // Frame keys only; the control key is zeroed once fingerprinted.
+  sessionKeys: Omit<SessionKeys, 'control'>;
 }
 
 export async function acknowledgeHandshake(
@@ -66,7 +67,10 @@ export async function acknowledgeHandshake(
     input.clientEphemeralPublicKey
   );
   const salt = Buffer.from(transcriptHash, 'base64');
-  const sessionKeys = deriveSessionKeys(sharedSecret, salt);
+  const { control, ...sessionKeys } = deriveSessionKeys(sharedSecret, salt);
+  sharedSecret.fill(0);
+  const controlKeyFingerprint = shortFingerprint(control);
+  control.fill(0);
 
   let status = 'agent_acknowledged';
   let gatewayAckPosted = false;
@@ -89,6 +93,8 @@ export async function acknowledgeHandshake(
     if (!ack.ok) {
       gatewayAckError = `http_ack_failed: ${ack.error}`;
       if (requireGatewayAck) {
+        sessionKeys.clientToAgent.fill(0);
+        sessionKeys.agentToClient.fill(0);
         throw new Error(`Handshake ack failed: ${ack.error}`);
       }
       status = 'pending_gateway_ack';
@@ -109,7 +115,7 @@ export async function acknowledgeHandshake(
     agentIdentitySignature,
     transcriptHash,
     agentEphemeralFingerprint: shortFingerprint(ephemeral.publicKeyRawBase64),
-    controlKeyFingerprint: shortFingerprint(sessionKeys.controlBase64),
+    controlKeyFingerprint,
     gatewayAckPosted,
     ...(gatewayAckError ? { gatewayAckError } : {}),
     sessionKeys,
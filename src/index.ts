@@ -17,10 +17,37 @@ import { runOllamaPrompt } from './ollama.js';
 import { gatewayHealth, registerIdentityKey } from './gateway.js';
 import { acknowledgeHandshake } from './handshake.js';
 import { startRuntime } from './runtime.js';
+import { callControlMethod, DEFAULT_CONTROL_SOCKET_PATH } from './control.js';
 import { describeMcpServers, loadMcpServersFromFile } from './mcp.js';
 import { refreshGatewayOAuthToken, runGatewayOAuthLogin } from './oauth.js';
-import { createDefaultPolicy } from './policy.js';
+import {
+  createDefaultPolicy,
+  describePolicy,
+  loadPolicyFromFile,
+} from './policy.js';
+import { DEFAULT_QUOTA_USAGE_PATH } from './quota.js';
+import { ConversationStore, DEFAULT_CONVERSATIONS_PATH } from './conversations.js';
+import { CheckpointStore, DEFAULT_CHECKPOINTS_PATH } from './checkpoints.js';
+import { appendAuditEvent, flushAuditEvents } from './audit.js';
+import {
+  listAgentWorktrees,
+  mergeAgentWorktree,
+  removeAgentWorktree,
+  resolveRepoRoot,
+  WORKTREE_BRANCH_PREFIX,
+  worktreeBranchName,
+} from './worktrees.js';
 import type { AgentConfig, AgentMcpServers, AgentProvider, PermissionProfile } from './types.js';
+import {
+  configureLogger,
+  createLogger,
+  DEFAULT_LOG_FILE_MAX_BYTES,
+  isLogLevel,
+  type LogFormat,
+} from './logger.js';
+
+const log = createLogger('runtime');
+const authLog = createLogger('auth');
 
 type ParsedArgs = {
   command: string;
@@ -199,6 +226,13 @@ function createRuntimePolicy(permissionProfile: PermissionProfile, allowedRoot:
   });
 }
 
+// Only an explicit --policy-config (or persisted policyConfigPath) is loaded,
+// so a stray file on disk never changes what requesters may do. Without one
+// the runtime policy is derived from --permission-profile.
+function resolvePolicyConfigPath(flags: Map<string, string>, config: AgentConfig): string | undefined {
+  return flags.get('policy-config')?.trim() || config.policyConfigPath?.trim() || undefined;
+}
+
 function printHelp(): void {
   console.log(`commands-com-agent
 
@@ -209,6 +243,10 @@ Commands:
   run             Execute a local prompt using configured provider (Claude/Ollama)
   ack-handshake   Create/sign/post handshake ack to gateway
   start           Start always-on websocket runtime with reconnect
+  conversations   List or forget stored conversation sessions (list|forget)
+  ctl             Inspect or manage a running agent over its control socket
+  worktrees       List, merge back or clean up per-conversation agent worktrees (list|merge|clean)
+  checkpoints     List pre-run checkpoints or roll the workspace back to one (list|rollback)
 
 Examples:
   commands-agent login --gateway-url https://api.commands.com
@@ -218,6 +256,33 @@ Examples:
   commands-agent run --prompt "Summarize this repository" --cwd /Users/me/Code/app --permission-profile read-only
   commands-agent start --provider ollama --model llama3.2 --ollama-base-url http://localhost:11434
   commands-agent start --default-cwd /Users/me/Code --heartbeat-ms 15000 --audit-log-path ~/.commands-agent/audit.log --permission-profile dev-safe
+  commands-agent start --max-concurrent-runs 2 --max-queue-depth 5
+  commands-agent start --policy-config ~/.commands-agent/policy.json
+  commands-agent start --session-idle-timeout-ms 1800000 --session-max-lifetime-ms 43200000
+  commands-agent start --shutdown-grace-ms 30000
+  commands-agent start --log-level debug --log-format json --log-file ~/.commands-agent/agent.log --log-file-max-bytes 10485760
+  commands-agent start --metrics-port 9464   (Prometheus /metrics, /healthz, /readyz on 127.0.0.1)
+  commands-agent start --control-socket ~/.commands-agent/control.sock   (or --no-control-socket)
+  commands-agent start --desktop-control   (owner approvals come from the desktop app over the control socket)
+  commands-agent start --desktop-control --prompt-approval --prompt-approval-timeout-ms 600000
+  commands-agent start --default-cwd /Users/me/Code/app --conversation-worktrees   (each conversation runs on its own agent/<id> branch)
+  commands-agent start --provider ollama --persist-ollama-transcripts   (keep Ollama transcripts across restarts, plaintext on disk)
+  commands-agent start --default-cwd /Users/me/notes --file-checkpoints   (checkpoint non-git cwds by copying their files)
+  commands-agent conversations list --json
+  commands-agent conversations forget conv_123 conv_456
+  commands-agent conversations forget --all
+  commands-agent ctl sessions
+  commands-agent ctl messages --json
+  commands-agent ctl cancel <session-id> <message-id>
+  commands-agent ctl end-session <session-id>
+  commands-agent ctl reload-policy
+  commands-agent ctl config
+  commands-agent worktrees list --repo /Users/me/Code/app
+  commands-agent worktrees merge conv_123   (or the branch name, e.g. agent/conv_123)
+  commands-agent worktrees clean conv_123 --keep-branch
+  commands-agent worktrees clean --all
+  commands-agent checkpoints list --conversation conv_123 --json
+  commands-agent checkpoints rollback msg_456 --conversation conv_123
 `);
 }
 
@@ -237,7 +302,7 @@ async function cmdLogin(flags: Map<string, string>): Promise<void> {
 
   const mcpServers = await resolveMcpServers(flags, undefined);
 
-  console.log('[auth] starting gateway OAuth login');
+  authLog.info('starting gateway OAuth login');
   const oauth = await runGatewayOAuthLogin({
     gatewayUrl,
     clientId,
@@ -286,9 +351,9 @@ async function cmdLogin(flags: Map<string, string>): Promise<void> {
   await saveConfig(config);
   console.log(`Saved config: ${CONFIG_PATH}`);
   if (reusingExistingDevice) {
-    console.log(`[auth] reusing existing device id: ${deviceId}`);
+    authLog.info(`reusing existing device id: ${deviceId}`);
   } else {
-    console.log(`[auth] generated device id: ${deviceId}`);
+    authLog.info(`generated device id: ${deviceId}`);
   }
 
   if (mcpServers) {
@@ -307,7 +372,7 @@ async function cmdLogin(flags: Map<string, string>): Promise<void> {
     throw new Error(`Failed to register identity key: ${reg.error}`);
   }
 
-  console.log(`[auth] login complete${oauth.email ? ` for ${oauth.email}` : ''}`);
+  authLog.info(`login complete${oauth.email ? ` for ${oauth.email}` : ''}`);
   console.log(`Registered identity key for device ${config.deviceId}`);
   console.log(`Identity fingerprint: ${shortFingerprint(config.identity.publicKeyRawBase64)}`);
   console.log(`Permission profile: ${config.permissionProfile}`);
@@ -467,6 +532,288 @@ async function cmdRun(flags: Map<string, string>, positionals: string[]): Promis
   if (result.model) {
     console.log(`Model: ${result.model}`);
   }
+  if (result.budgetExceeded) {
+    console.log(`Stopped early: ${result.budgetExceeded === 'turns' ? 'turn limit' : 'cost budget'} reached`);
+  }
+}
+
+async function cmdConversations(flags: Map<string, string>, positionals: string[]): Promise<void> {
+  const [action = 'list', ...conversationIds] = positionals;
+  // Keep whatever transcripts the file holds; only the agent decides what to persist.
+  const store = new ConversationStore(DEFAULT_CONVERSATIONS_PATH, { persistMessages: true });
+  await store.load();
+
+  if (action === 'list') {
+    const entries = store.list();
+    if (hasFlag(flags, 'json')) {
+      console.log(JSON.stringify(entries.map((entry) => ({
+        conversationId: entry.conversationId,
+        provider: entry.provider,
+        sessionId: entry.sessionId,
+        updatedAt: entry.updatedAt,
+        messageCount: entry.messages?.length ?? null,
+      })), null, 2));
+      return;
+    }
+
+    console.log(`Conversation store: ${DEFAULT_CONVERSATIONS_PATH}`);
+    if (entries.length === 0) {
+      console.log('No stored conversations');
+      return;
+    }
+    for (const entry of entries) {
+      const messages = entry.messages ? ` messages=${entry.messages.length}` : '';
+      console.log(`${entry.conversationId}  provider=${entry.provider} session=${entry.sessionId} updated=${entry.updatedAt}${messages}`);
+    }
+    return;
+  }
+
+  if (action === 'forget') {
+    const all = hasFlag(flags, 'all');
+    if (!all && conversationIds.length === 0) {
+      throw new Error('Usage: commands-agent conversations forget <conversation-id>... | --all');
+    }
+
+    // A running agent owns the file and would write its in-memory copy
+    // back, so ask it to forget; edit the file only when none is running.
+    try {
+      const result = await callControlMethod(
+        'conversations.forget',
+        all ? { all: true } : { conversationIds },
+        { socketPath: optional(flags, 'socket', DEFAULT_CONTROL_SOCKET_PATH) }
+      ) as { removed: string[] };
+      if (all) {
+        console.log(`Forgot ${result.removed.length} conversation(s)`);
+        return;
+      }
+      const removed = new Set(result.removed);
+      for (const id of conversationIds) {
+        console.log(removed.has(id) ? `Forgot ${id}` : `Not found: ${id}`);
+      }
+      return;
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      if (msg !== 'agent_not_running') {
+        throw err;
+      }
+    }
+
+    if (all) {
+      const count = store.clear();
+      await store.flush();
+      console.log(`Forgot ${count} conversation(s)`);
+      return;
+    }
+
+    const removed = new Set(store.forget(conversationIds));
+    await store.flush();
+    for (const id of conversationIds) {
+      console.log(removed.has(id) ? `Forgot ${id}` : `Not found: ${id}`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown conversations action: ${action} (expected list|forget)`);
+}
+
+async function cmdCtl(flags: Map<string, string>, positionals: string[]): Promise<void> {
+  const [action, ...args] = positionals;
+  const socketPath = optional(flags, 'socket', DEFAULT_CONTROL_SOCKET_PATH);
+  const call = (method: string, params: Record<string, unknown> = {}): Promise<unknown> =>
+    callControlMethod(method, params, { socketPath });
+  const asJson = hasFlag(flags, 'json');
+
+  if (action === 'sessions') {
+    const sessions = await call('sessions.list') as Array<Record<string, unknown>>;
+    if (asJson) {
+      console.log(JSON.stringify(sessions, null, 2));
+      return;
+    }
+    if (sessions.length === 0) {
+      console.log('No open sessions');
+      return;
+    }
+    for (const session of sessions) {
+      const requester = session.requesterEmail ?? session.requesterUid ?? 'none';
+      const ageSeconds = Math.round(Number(session.ageMs) / 1000);
+      const idleSeconds = Math.round(Number(session.idleMs) / 1000);
+      console.log(`${session.sessionId}  requester=${requester} age=${ageSeconds}s idle=${idleSeconds}s runs=${session.runs}`);
+    }
+    return;
+  }
+
+  if (action === 'messages') {
+    const messages = await call('messages.list') as Array<Record<string, unknown>>;
+    if (asJson) {
+      console.log(JSON.stringify(messages, null, 2));
+      return;
+    }
+    if (messages.length === 0) {
+      console.log('No messages in flight');
+      return;
+    }
+    for (const message of messages) {
+      const requester = message.requesterUid ? ` requester=${message.requesterUid}` : '';
+      console.log(`${message.sessionId} ${message.messageId}  state=${message.state}${requester}`);
+    }
+    return;
+  }
+
+  if (action === 'cancel') {
+    const [sessionId, messageId] = args;
+    if (!sessionId || !messageId) {
+      throw new Error('Usage: commands-agent ctl cancel <session-id> <message-id>');
+    }
+    await call('messages.cancel', { sessionId, messageId });
+    console.log(`Cancelled ${messageId}`);
+    return;
+  }
+
+  if (action === 'end-session') {
+    const [sessionId] = args;
+    if (!sessionId) {
+      throw new Error('Usage: commands-agent ctl end-session <session-id>');
+    }
+    await call('sessions.end', { sessionId });
+    console.log(`Ended ${sessionId}`);
+    return;
+  }
+
+  if (action === 'reload-policy') {
+    const policy = await call('policy.reload');
+    console.log(asJson ? JSON.stringify(policy, null, 2) : 'Policy reloaded');
+    return;
+  }
+
+  if (action === 'config') {
+    console.log(JSON.stringify(await call('config.get'), null, 2));
+    return;
+  }
+
+  throw new Error(
+    `Unknown ctl action: ${action ?? '(missing)'} (expected sessions|messages|cancel|end-session|reload-policy|config)`
+  );
+}
+
+async function cmdWorktrees(flags: Map<string, string>, positionals: string[]): Promise<void> {
+  const [action = 'list', ...targets] = positionals;
+  const repoRoot = await resolveRepoRoot(optional(flags, 'repo', process.cwd()));
+  // Accept either the branch name or the conversation id it was made for.
+  const branches = targets.map((target) => (
+    target.startsWith(WORKTREE_BRANCH_PREFIX) ? target : worktreeBranchName(target)
+  ));
+
+  if (action === 'list') {
+    const worktrees = await listAgentWorktrees(repoRoot);
+    if (hasFlag(flags, 'json')) {
+      console.log(JSON.stringify(worktrees, null, 2));
+      return;
+    }
+    if (worktrees.length === 0) {
+      console.log(`No agent worktrees in ${repoRoot}`);
+      return;
+    }
+    for (const worktree of worktrees) {
+      console.log(`${worktree.branch}  ahead=${worktree.ahead} dirty=${worktree.dirty} path=${worktree.path}`);
+    }
+    return;
+  }
+
+  if (action === 'merge') {
+    if (branches.length === 0) {
+      throw new Error('Usage: commands-agent worktrees merge <conversation-id|branch>...');
+    }
+    for (const branch of branches) {
+      const merged = await mergeAgentWorktree(repoRoot, branch);
+      console.log(`Merged ${branch}${merged.committed ? ' (committed pending changes first)' : ''}`);
+    }
+    return;
+  }
+
+  if (action === 'clean') {
+    const keepBranch = hasFlag(flags, 'keep-branch');
+    const selected = hasFlag(flags, 'all')
+      ? (await listAgentWorktrees(repoRoot)).map((worktree) => worktree.branch)
+      : branches;
+    if (selected.length === 0) {
+      throw new Error('Usage: commands-agent worktrees clean <conversation-id|branch>... | --all [--keep-branch]');
+    }
+    // Removing a worktree discards its uncommitted changes; a running agent
+    // recreates it on the conversation's next message.
+    for (const branch of selected) {
+      await removeAgentWorktree(repoRoot, branch, { keepBranch });
+      console.log(`Removed ${branch}${keepBranch ? ' (branch kept)' : ''}`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown worktrees action: ${action} (expected list|merge|clean)`);
+}
+
+async function cmdCheckpoints(flags: Map<string, string>, positionals: string[]): Promise<void> {
+  const [action = 'list', messageId] = positionals;
+  const conversationId = flags.get('conversation')?.trim() || undefined;
+  const store = new CheckpointStore();
+  await store.load();
+
+  if (action === 'list') {
+    const entries = store.list(conversationId);
+    if (hasFlag(flags, 'json')) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    if (entries.length === 0) {
+      console.log('No checkpoints');
+      return;
+    }
+    for (const entry of entries) {
+      const conversation = entry.conversationId ? ` conversation=${entry.conversationId}` : '';
+      console.log(`${entry.messageId}  mode=${entry.mode} root=${entry.root} created=${entry.createdAt}${conversation}`);
+    }
+    return;
+  }
+
+  if (action === 'rollback') {
+    if (!messageId) {
+      throw new Error('Usage: commands-agent checkpoints rollback <message-id> [--conversation <id>]');
+    }
+    const checkpoint = store.find(messageId, conversationId);
+    if (!checkpoint) {
+      throw new Error(`checkpoint_not_found: ${messageId}`);
+    }
+
+    // The owner at the keyboard is not limited to a requester's roots.
+    const result = await store.restore(checkpoint, () => false);
+    const config = await loadConfig();
+    await appendAuditEvent(optional(flags, 'audit-log-path', path.join(CONFIG_DIR, 'audit.log')), {
+      at: new Date().toISOString(),
+      event: 'checkpoint.rollback',
+      source: 'cli',
+      device_id: config?.deviceId ?? null,
+      conversation_id: checkpoint.conversationId,
+      message_id: checkpoint.messageId,
+      checkpoint_id: checkpoint.checkpointId,
+      root: checkpoint.root,
+      restored: result.restored,
+      removed: result.removed,
+      skipped: result.skipped,
+    });
+    await flushAuditEvents();
+
+    console.log(`Rolled back ${checkpoint.root} to before ${checkpoint.messageId} (${checkpoint.createdAt})`);
+    for (const filePath of result.restored) {
+      console.log(`  restored ${filePath}`);
+    }
+    for (const filePath of result.removed) {
+      console.log(`  removed  ${filePath}`);
+    }
+    for (const filePath of result.skipped) {
+      console.log(`  skipped  ${filePath} (changed again since that run)`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown checkpoints action: ${action} (expected list|rollback)`);
 }
 
 async function cmdAckHandshake(flags: Map<string, string>): Promise<void> {
@@ -483,6 +830,9 @@ async function cmdAckHandshake(flags: Map<string, string>): Promise<void> {
     clientEphemeralPublicKey,
     clientSessionNonce,
   });
+  // This command only reports the handshake; nothing will use the frame keys.
+  ack.sessionKeys.clientToAgent.fill(0);
+  ack.sessionKeys.agentToClient.fill(0);
 
   console.log(`Handshake acknowledged: ${ack.status}`);
   console.log(`Session: ${ack.sessionId}`);
@@ -500,6 +850,33 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
   const reconnectMinMs = parseIntStrict(optional(flags, 'reconnect-min-ms', '1000'), 'reconnect-min-ms');
   const reconnectMaxMs = parseIntStrict(optional(flags, 'reconnect-max-ms', '30000'), 'reconnect-max-ms');
   const auditLogPath = optional(flags, 'audit-log-path', path.join(CONFIG_DIR, 'audit.log'));
+  const maxQueueDepth = parseIntStrict(optional(flags, 'max-queue-depth', '5'), 'max-queue-depth');
+  const maxConcurrentRuns = parseIntStrict(optional(flags, 'max-concurrent-runs', '2'), 'max-concurrent-runs');
+  const sessionIdleTimeoutMs = parseIntStrict(
+    optional(flags, 'session-idle-timeout-ms', String(30 * 60_000)),
+    'session-idle-timeout-ms'
+  );
+  const sessionMaxLifetimeMs = parseIntStrict(
+    optional(flags, 'session-max-lifetime-ms', String(12 * 60 * 60_000)),
+    'session-max-lifetime-ms'
+  );
+  const desktopControl = hasFlag(flags, 'desktop-control');
+  const metricsPort = flags.has('metrics-port') ? parseIntStrict(required(flags, 'metrics-port'), 'metrics-port') : null;
+  if (metricsPort !== null && metricsPort > 65535) {
+    throw new Error(`Invalid numeric value for metrics-port: ${metricsPort}`);
+  }
+  const controlSocketPath = hasFlag(flags, 'no-control-socket')
+    ? null
+    : optional(flags, 'control-socket', DEFAULT_CONTROL_SOCKET_PATH);
+  const shutdownGraceMs = parseIntStrict(optional(flags, 'shutdown-grace-ms', '30000'), 'shutdown-grace-ms');
+  const promptApproval = hasFlag(flags, 'prompt-approval');
+  const promptApprovalTimeoutMs = parseIntStrict(
+    optional(flags, 'prompt-approval-timeout-ms', String(10 * 60_000)),
+    'prompt-approval-timeout-ms'
+  );
+  const conversationWorktrees = hasFlag(flags, 'conversation-worktrees');
+  const persistOllamaTranscripts = hasFlag(flags, 'persist-ollama-transcripts');
+  const fileCheckpoints = hasFlag(flags, 'file-checkpoints');
   const modelOverride = flags.get('model')?.trim();
   const selectedModel = modelOverride && modelOverride.length > 0
     ? modelOverride
@@ -512,11 +889,18 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
     config.permissionProfile ?? 'dev-safe'
   );
   const systemPrompt = flags.get('system-prompt')?.trim() || '';
-  const runtimePolicy = createRuntimePolicy(permissionProfile, defaultCwd);
+  const policyConfigPath = resolvePolicyConfigPath(flags, config);
+  const runtimePolicy = policyConfigPath
+    ? await loadPolicyFromFile(policyConfigPath)
+    : createRuntimePolicy(permissionProfile, defaultCwd);
+  const quotaUsagePath = optional(flags, 'quota-usage-path', DEFAULT_QUOTA_USAGE_PATH);
 
   if (reconnectMinMs > reconnectMaxMs) {
     throw new Error('reconnect-min-ms cannot be greater than reconnect-max-ms');
   }
+  if (sessionIdleTimeoutMs > sessionMaxLifetimeMs) {
+    throw new Error('session-idle-timeout-ms cannot be greater than session-max-lifetime-ms');
+  }
 
   const deviceNameOverride = flags.get('device-name')?.trim();
 
@@ -544,21 +928,21 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
     (effectiveConfig.ollamaBaseUrl ?? '') !== (config.ollamaBaseUrl ?? '')
   ) {
     if (effectiveConfig.provider !== (config.provider ?? 'claude')) {
-      console.log(`[runtime] provider override: ${effectiveConfig.provider} (was ${config.provider ?? 'claude'})`);
+      log.info(`provider override: ${effectiveConfig.provider} (was ${config.provider ?? 'claude'})`);
     }
     if (effectiveConfig.model !== config.model) {
-      console.log(`[runtime] model override: ${effectiveConfig.model} (was ${config.model})`);
+      log.info(`model override: ${effectiveConfig.model} (was ${config.model})`);
     }
     if ((effectiveConfig.ollamaBaseUrl ?? '') !== (config.ollamaBaseUrl ?? '')) {
-      console.log(`[runtime] ollama base url: ${effectiveConfig.ollamaBaseUrl ?? DEFAULT_OLLAMA_BASE_URL}`);
+      log.info(`ollama base url: ${effectiveConfig.ollamaBaseUrl ?? DEFAULT_OLLAMA_BASE_URL}`);
     }
     if (effectiveConfig.permissionProfile !== config.permissionProfile) {
-      console.log(
-        `[runtime] permission profile: ${effectiveConfig.permissionProfile} (was ${config.permissionProfile ?? 'dev-safe'})`
+      log.info(
+        `permission profile: ${effectiveConfig.permissionProfile} (was ${config.permissionProfile ?? 'dev-safe'})`
       );
     }
     await savePersistentConfig();
-    console.log('[runtime] saved updated runtime config to local config');
+    log.info('saved updated runtime config to local config');
   }
 
   const preflight = await registerIdentityKey(
@@ -575,7 +959,7 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
         throw new Error('device token is invalid and no refresh token is available; run `INIT_AGENT=1 ./start-agent.sh` to re-authenticate');
       }
 
-      console.log('[auth] access token rejected by gateway; attempting refresh token exchange');
+      authLog.info('access token rejected by gateway; attempting refresh token exchange');
       try {
         const refreshed = await refreshGatewayOAuthToken({
           gatewayUrl: effectiveConfig.gatewayUrl,
@@ -599,7 +983,7 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
         }
 
         await savePersistentConfig();
-        console.log('[auth] refreshed access token and updated local config');
+        authLog.info('refreshed access token and updated local config');
       } catch (refreshErr) {
         const refreshMsg = refreshErr instanceof Error ? refreshErr.message : String(refreshErr);
         if (!isRefreshTokenMissingError(refreshMsg)) {
@@ -610,7 +994,7 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
         const openBrowser = !headless && !hasFlag(flags, 'no-open-browser');
         const oauthScope = effectiveConfig.tokenScope?.trim() || 'read_assets write_assets offline_access device';
 
-        console.log('[auth] refresh token missing/expired; starting OAuth login to recover session');
+        authLog.info('refresh token missing/expired; starting OAuth login to recover session');
         const oauth = await runGatewayOAuthLogin({
           gatewayUrl: effectiveConfig.gatewayUrl,
           clientId: 'commands-agent',
@@ -636,7 +1020,7 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
         }
 
         await savePersistentConfig();
-        console.log('[auth] re-authenticated and updated local config');
+        authLog.info('re-authenticated and updated local config');
       }
 
       const retry = await registerIdentityKey(
@@ -657,29 +1041,68 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
   const controller = new AbortController();
 
   const stop = (): void => {
-    console.log('\n[runtime] shutdown requested');
+    if (controller.signal.aborted) {
+      log.info('second shutdown signal; exiting without drain');
+      process.exit(1);
+    }
+    log.info(`shutdown requested; draining (grace ${shutdownGraceMs}ms, signal again to force)`);
     controller.abort();
   };
 
-  process.once('SIGINT', stop);
-  process.once('SIGTERM', stop);
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
 
-  console.log('[runtime] starting commands-agent websocket runtime');
-  console.log(`[runtime] gateway=${effectiveConfig.gatewayUrl} device=${effectiveConfig.deviceId}`);
-  console.log(`[runtime] provider=${effectiveConfig.provider ?? 'claude'}`);
-  console.log(`[runtime] model=${effectiveConfig.model}`);
+  log.info('starting commands-agent websocket runtime');
+  log.info(`gateway=${effectiveConfig.gatewayUrl} device=${effectiveConfig.deviceId}`);
+  log.info(`provider=${effectiveConfig.provider ?? 'claude'}`);
+  log.info(`model=${effectiveConfig.model}`);
   if ((effectiveConfig.provider ?? 'claude') === 'ollama') {
-    console.log(`[runtime] ollama-base-url=${effectiveConfig.ollamaBaseUrl ?? DEFAULT_OLLAMA_BASE_URL}`);
+    log.info(`ollama-base-url=${effectiveConfig.ollamaBaseUrl ?? DEFAULT_OLLAMA_BASE_URL}`);
+  }
+  log.info(`permission-profile=${effectiveConfig.permissionProfile ?? 'dev-safe'}`);
+  if (policyConfigPath) {
+    log.info(`policy-config=${policyConfigPath} (${describePolicy(runtimePolicy)})`);
+  }
+  log.info(`default-cwd=${defaultCwd}`);
+  log.info(`audit-log=${auditLogPath}`);
+  log.info(`max-queue-depth=${maxQueueDepth}`);
+  log.info(`max-concurrent-runs=${maxConcurrentRuns}`);
+  log.info(`session-idle-timeout-ms=${sessionIdleTimeoutMs} session-max-lifetime-ms=${sessionMaxLifetimeMs}`);
+  log.info(`shutdown-grace-ms=${shutdownGraceMs}`);
+  log.info(`mcp-servers=${describeMcpServers(effectiveConfig.mcpServers)}`);
+  log.info(`control-socket=${controlSocketPath ?? 'disabled'}`);
+  if (metricsPort !== null) {
+    log.info(`metrics=http://127.0.0.1:${metricsPort}/metrics`);
+  }
+  if (desktopControl) {
+    log.info('desktop-control=control-socket');
+    if (!controlSocketPath) {
+      log.warn('--desktop-control without a control socket cannot receive owner decisions');
+    }
+  }
+  if (promptApproval) {
+    log.info(`prompt-approval=owner timeout-ms=${promptApprovalTimeoutMs}`);
+    if (!desktopControl) {
+      log.warn('--prompt-approval without --desktop-control rejects every shared prompt');
+    }
+  }
+  if (conversationWorktrees) {
+    log.info('conversation-worktrees=enabled');
+    if (selectedProvider !== 'claude') {
+      log.warn('--conversation-worktrees only applies to the claude provider');
+    }
+  }
+  if (persistOllamaTranscripts) {
+    log.info(`persist-ollama-transcripts=enabled (plaintext in ${DEFAULT_CONVERSATIONS_PATH})`);
+  }
+  if (fileCheckpoints) {
+    log.info('file-checkpoints=enabled');
   }
-  console.log(`[runtime] permission-profile=${effectiveConfig.permissionProfile ?? 'dev-safe'}`);
-  console.log(`[runtime] default-cwd=${defaultCwd}`);
-  console.log(`[runtime] audit-log=${auditLogPath}`);
-  console.log(`[runtime] mcp-servers=${describeMcpServers(effectiveConfig.mcpServers)}`);
   if (effectiveConfig.systemPrompt) {
-    console.log(`[runtime] system-prompt=${effectiveConfig.systemPrompt.length} chars`);
+    log.info(`system-prompt=${effectiveConfig.systemPrompt.length} chars`);
   }
   if (flags.get('mcp-config')) {
-    console.log(`[runtime] using mcp config: ${flags.get('mcp-config')}`);
+    log.info(`using mcp config: ${flags.get('mcp-config')}`);
   }
 
   try {
@@ -691,6 +1114,24 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
         reconnectMinMs,
         reconnectMaxMs,
         auditLogPath,
+        maxQueueDepth,
+        maxConcurrentRuns,
+        quotaUsagePath,
+        sessionIdleTimeoutMs,
+        sessionMaxLifetimeMs,
+        conversationStorePath: DEFAULT_CONVERSATIONS_PATH,
+        checkpointStorePath: DEFAULT_CHECKPOINTS_PATH,
+        desktopControl,
+        controlSocketPath,
+        policyConfigPath: policyConfigPath ?? null,
+        mcpConfigPath: flags.get('mcp-config') ?? null,
+        metricsPort,
+        shutdownGraceMs,
+        promptApproval,
+        promptApprovalTimeoutMs,
+        conversationWorktrees,
+        persistOllamaTranscripts,
+        fileCheckpoints,
       },
       controller.signal
     );
@@ -699,11 +1140,31 @@ async function cmdStart(flags: Map<string, string>): Promise<void> {
     process.removeListener('SIGTERM', stop);
   }
 
-  console.log('[runtime] stopped');
+  log.info('stopped');
+}
+
+// Logging flags apply to every command; only `start` logs much.
+function configureLoggingFromFlags(flags: Map<string, string>): void {
+  const level = optional(flags, 'log-level', 'info');
+  if (!isLogLevel(level)) {
+    throw new Error(`Invalid log-level: ${level} (expected debug|info|warn|error)`);
+  }
+  const format = optional(flags, 'log-format', 'text');
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Invalid log-format: ${format} (expected text|json)`);
+  }
+  const filePath = flags.get('log-file')?.trim() || null;
+  const maxFileBytes = parseIntStrict(
+    optional(flags, 'log-file-max-bytes', String(DEFAULT_LOG_FILE_MAX_BYTES)),
+    'log-file-max-bytes'
+  );
+
+  configureLogger({ level, format: format as LogFormat, filePath, maxFileBytes });
 }
 
 async function main(): Promise<void> {
   const { command, flags, positionals } = parseArgs(process.argv);
+  configureLoggingFromFlags(flags);
 
   switch (command) {
     case 'login':
@@ -724,6 +1185,18 @@ async function main(): Promise<void> {
     case 'start':
       await cmdStart(flags);
       return;
+    case 'conversations':
+      await cmdConversations(flags, positionals);
+      return;
+    case 'ctl':
+      await cmdCtl(flags, positionals);
+      return;
+    case 'worktrees':
+      await cmdWorktrees(flags, positionals);
+      return;
+    case 'checkpoints':
+      await cmdCheckpoints(flags, positionals);
+      return;
     case 'help':
     case '--help':
     case '-h':
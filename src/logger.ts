@@ -0,0 +1,157 @@
+import path from 'node:path';
+import { appendFileSync, chmodSync, mkdirSync, renameSync, statSync } from 'node:fs';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export type LogFormat = 'text' | 'json';
+
+export interface LoggerOptions {
+  level: LogLevel;
+  format: LogFormat;
+  // Also append every line to this file, rotated at maxFileBytes.
+  filePath: string | null;
+  maxFileBytes: number;
+}
+
+export interface Logger {
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+const LEVEL_ORDER: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+// Rotated files kept next to the live one: app.log.1 (newest) .. app.log.5.
+const MAX_ROTATED_FILES = 5;
+export const DEFAULT_LOG_FILE_MAX_BYTES = 10 * 1024 * 1024;
+
+// Secret shapes that must never reach stdout or a log file, whatever the level.
+const SECRET_PATTERNS: Array<[RegExp, string]> = [
+  [/-----BEGIN ([A-Z ]*)PRIVATE KEY-----[\s\S]*?(-----END \1PRIVATE KEY-----|$)/g, '[redacted private key]'],
+  [/\b(Bearer)\s+[A-Za-z0-9._~+/-]+=*/gi, '$1 [redacted]'],
+  [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, '[redacted aws access key]'],
+  [/\b(aws_secret_access_key|AWS_SECRET_ACCESS_KEY)(["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/g, '$1$2[redacted]'],
+  [/\bsk-ant-[A-Za-z0-9_-]{10,}/g, '[redacted api key]'],
+];
+
+let options: LoggerOptions = {
+  level: 'info',
+  format: 'text',
+  filePath: null,
+  maxFileBytes: DEFAULT_LOG_FILE_MAX_BYTES,
+};
+let fileBytes = 0;
+
+export function isLogLevel(value: string): value is LogLevel {
+  return Object.hasOwn(LEVEL_ORDER, value);
+}
+
+export function redactSecrets(text: string): string {
+  let redacted = text;
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  return redacted;
+}
+
+function redactValue(value: unknown): unknown {
+  if (typeof value === 'string') {
+    return redactSecrets(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, redactValue(inner)]));
+  }
+  return value;
+}
+
+export function configureLogger(next: Partial<LoggerOptions>): void {
+  options = { ...options, ...next };
+  fileBytes = 0;
+  if (!options.filePath) {
+    return;
+  }
+
+  const dir = path.dirname(options.filePath);
+  mkdirSync(dir, { recursive: true });
+  try {
+    fileBytes = statSync(options.filePath).size;
+  } catch {
+    fileBytes = 0;
+  }
+}
+
+function rotateLogFile(filePath: string): void {
+  for (let index = MAX_ROTATED_FILES - 1; index >= 1; index -= 1) {
+    try {
+      renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+    } catch {
+      // Gaps in the sequence are fine.
+    }
+  }
+  try {
+    renameSync(filePath, `${filePath}.1`);
+  } catch {
+    // Nothing to rotate yet.
+  }
+  fileBytes = 0;
+}
+
+function writeToFile(line: string): void {
+  const filePath = options.filePath;
+  if (!filePath) {
+    return;
+  }
+
+  const bytes = Buffer.byteLength(line);
+  if (fileBytes > 0 && fileBytes + bytes > options.maxFileBytes) {
+    rotateLogFile(filePath);
+  }
+  try {
+    appendFileSync(filePath, line, { encoding: 'utf8', mode: 0o600 });
+    if (fileBytes === 0) {
+      chmodSync(filePath, 0o600);
+    }
+    fileBytes += bytes;
+  } catch (err) {
+    // Keep logging to stdout; a broken log file must not take the agent down.
+    const msg = err instanceof Error ? err.message : String(err);
+    process.stderr.write(`[logger] log file write failed: ${msg}\n`);
+  }
+}
+
+function write(level: LogLevel, scope: string, message: string, fields?: Record<string, unknown>): void {
+  if (LEVEL_ORDER[level] < LEVEL_ORDER[options.level]) {
+    return;
+  }
+
+  const ts = new Date().toISOString();
+  const safeMessage = redactSecrets(message);
+  const safeFields = fields ? (redactValue(fields) as Record<string, unknown>) : undefined;
+
+  if (options.format === 'json') {
+    const line = `${JSON.stringify({ ts, level, scope, msg: safeMessage, ...safeFields })}\n`;
+    process.stdout.write(line);
+    writeToFile(line);
+    return;
+  }
+
+  const levelTag = level === 'info' ? '' : `${level === 'warn' ? 'warning' : level}: `;
+  const fieldText = safeFields
+    ? Object.entries(safeFields).map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join('')
+    : '';
+  const line = `[${scope}] ${levelTag}${safeMessage}${fieldText}\n`;
+  process.stdout.write(line);
+  writeToFile(`${ts} ${line}`);
+}
+
+/** Logger for one subsystem; `scope` becomes the `[scope]` prefix or JSON field. */
+export function createLogger(scope: string): Logger {
+  return {
+    debug: (message, fields) => write('debug', scope, message, fields),
+    info: (message, fields) => write('info', scope, message, fields),
+    warn: (message, fields) => write('warn', scope, message, fields),
+    error: (message, fields) => write('error', scope, message, fields),
+  };
+}
@@ -145,3 +145,37 @@ export function describeMcpServers(mcpServers: AgentMcpServers | undefined): str
 
   return names.join(', ');
 }
+
+/**
+ * MCP server settings with secrets removed: env and header values, URL
+ * credentials and query strings, and command arguments (which often carry
+ * tokens) are reduced to their names or counts.
+ */
+export function summarizeMcpServers(mcpServers: AgentMcpServers | undefined): Record<string, unknown> {
+  const summary: Record<string, unknown> = {};
+  for (const [name, server] of Object.entries(mcpServers ?? {})) {
+    if (server.type === 'sse' || server.type === 'http') {
+      let url = '[invalid url]';
+      try {
+        const parsed = new URL(server.url);
+        url = `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+      } catch {
+        // Keep the placeholder; the raw value may hold credentials.
+      }
+      summary[name] = {
+        type: server.type,
+        url,
+        headers: Object.keys(server.headers ?? {}),
+      };
+      continue;
+    }
+
+    summary[name] = {
+      type: 'stdio',
+      command: server.command,
+      argCount: server.args?.length ?? 0,
+      env: Object.keys(server.env ?? {}),
+    };
+  }
+  return summary;
+}
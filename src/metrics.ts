@@ -0,0 +1,244 @@
+import http from 'node:http';
+
+type Labels = Record<string, string>;
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels: Labels): string {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatNumber(value: number): string {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+interface Metric {
+  render(): string[];
+}
+
+class Counter implements Metric {
+  private readonly values = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(private readonly name: string, private readonly help: string) {}
+
+  inc(labels: Labels = {}, value = 1): void {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    const key = labelKey(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += value;
+    } else {
+      this.values.set(key, { labels: { ...labels }, value });
+    }
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+    return lines;
+  }
+}
+
+/** Gauge read at scrape time from a callback, so it can never drift from the source. */
+class Gauge implements Metric {
+  private collect: () => number = () => 0;
+
+  constructor(private readonly name: string, private readonly help: string) {}
+
+  track(collect: () => number): void {
+    this.collect = collect;
+  }
+
+  render(): string[] {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      `${this.name} ${formatNumber(this.collect())}`,
+    ];
+  }
+}
+
+class Histogram implements Metric {
+  private readonly series = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+
+  constructor(
+    private readonly name: string,
+    private readonly help: string,
+    private readonly buckets: number[]
+  ) {}
+
+  observe(value: number, labels: Labels = {}): void {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const key = labelKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const registry: Metric[] = [];
+
+function register<T extends Metric>(metric: T): T {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Process-wide runtime metrics. Label values must stay low-cardinality:
+ * providers, models, outcomes and error codes, never ids or paths.
+ */
+export const metrics = {
+  reconnects: register(new Counter('commands_agent_reconnects_total', 'Gateway reconnect attempts.')),
+  websocketConnected: register(new Gauge('commands_agent_websocket_connected', '1 while the gateway websocket is open.')),
+  handshakes: register(new Counter('commands_agent_handshakes_total', 'E2EE session handshakes by outcome.')),
+  activeSessions: register(new Gauge('commands_agent_active_sessions', 'Established E2EE sessions.')),
+  inFlightRuns: register(new Gauge('commands_agent_in_flight_prompts', 'Prompts queued or running.')),
+  prompts: register(new Counter('commands_agent_prompts_total', 'Prompts by provider, model and outcome.')),
+  promptDuration: register(new Histogram(
+    'commands_agent_prompt_duration_seconds',
+    'Provider run time per prompt, excluding queue wait.',
+    [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+  )),
+  promptTurns: register(new Histogram(
+    'commands_agent_prompt_turns',
+    'Agent turns per completed prompt.',
+    [1, 2, 5, 10, 20, 50, 100]
+  )),
+  costUsd: register(new Counter('commands_agent_cost_usd_total', 'Provider cost in USD.')),
+  policyDenials: register(new Counter('commands_agent_policy_denials_total', 'Prompts and tool calls refused, by stage and reason.')),
+  auditWriteFailures: register(new Counter('commands_agent_audit_write_failures_total', 'Audit log writes that failed.')),
+};
+
+// Every `reason` label policyDenials may carry. Violation strings often end
+// in a path, tool name, deny pattern or limit; they are reduced to the code
+// they start with, and anything unknown becomes `other`. A code that
+// extends another (tool_disallowed_read_only) must come before it.
+const DENIAL_REASONS = [
+  'requester_denied',
+  'requester_not_in_allowlist',
+  'prompt_too_large',
+  'cwd_not_in_allowed_roots',
+  'cwd_in_blocked_root',
+  'tool_disallowed_read_only',
+  'tool_disallowed',
+  'tool_not_in_allowlist',
+  'bash_command_blocked',
+  'bash_command_not_in_allowlist',
+  'path_not_in_allowed_roots',
+  'path_in_blocked_root',
+  'approval_denied',
+  'approval_timeout',
+  'approval_unavailable',
+  'quota_exceeded_prompts_per_minute',
+  'quota_exceeded_cost_daily',
+  'quota_exceeded_turns_daily',
+  'unknown_workspace',
+  'workspace_not_allowed',
+  'worktree_outside_allowed_roots',
+  'attachments_disabled',
+  'attachment_too_large',
+  'attachment_type_not_allowed',
+  'attachment_inbox_not_allowed',
+  'too_many_attachments',
+  'too_many_pending_attachments',
+  'too_many_held_attachments',
+];
+
+/** Fixed `reason` label for a policyDenials increment. */
+export function denialReasonLabel(reason: string): string {
+  const code = reason.replace(/^policy_violation_/, '');
+  return DENIAL_REASONS.find((candidate) => code === candidate || code.startsWith(`${candidate}_`)) ?? 'other';
+}
+
+export function renderMetrics(): string {
+  return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * Serve /metrics (Prometheus text format), /healthz (liveness) and /readyz
+ * (readiness) on 127.0.0.1 only. Resolves once listening, with a function
+ * that stops the server.
+ */
+export async function startMetricsServer(
+  port: number,
+  probes: { isReady: () => boolean }
+): Promise<() => Promise<void>> {
+  const server = http.createServer((req, res) => {
+    const pathname = (req.url ?? '/').split('?')[0];
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE }).end(renderMetrics());
+      return;
+    }
+    if (pathname === '/healthz') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok\n');
+      return;
+    }
+    if (pathname === '/readyz') {
+      const ready = probes.isReady();
+      res.writeHead(ready ? 200 : 503, { 'Content-Type': 'text/plain' }).end(ready ? 'ready\n' : 'not ready\n');
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('not found\n');
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  return () => new Promise<void>((resolve) => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
@@ -4,6 +4,9 @@ import { spawn } from 'node:child_process';
 import { URL } from 'node:url';
 import { createInterface } from 'node:readline/promises';
 import { stdin as input, stdout as output } from 'node:process';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
 
 interface OAuthTokenResponse {
   access_token: string;
@@ -378,8 +381,8 @@ export async function runGatewayOAuthLogin(options: OAuthLoginOptions): Promise<
       codeChallenge,
     });
 
-    console.log('[auth] headless mode enabled');
-    console.log('[auth] open this URL in a browser and authenticate:');
+    log.info('headless mode enabled');
+    log.info('open this URL in a browser and authenticate:');
     console.log(authorizeURL);
     authorizationCode = await promptForCode('Paste authorization code: ');
   } else {
@@ -402,11 +405,11 @@ export async function runGatewayOAuthLogin(options: OAuthLoginOptions): Promise<
     if (options.openBrowser) {
       const opened = maybeOpenBrowser(authorizeURL);
       if (!opened) {
-        console.log('[auth] failed to open browser automatically');
+        log.warn('failed to open browser automatically');
       }
     }
 
-    console.log('[auth] complete sign-in in your browser:');
+    log.info('complete sign-in in your browser:');
     console.log(authorizeURL);
 
     authorizationCode = await callback.waitForCode();
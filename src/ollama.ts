@@ -7,6 +7,8 @@ interface RunOllamaPromptInput {
   systemPrompt?: string;
   resumeSessionId?: string;
   ollamaBaseUrl?: string;
+  signal?: AbortSignal;
+  onDelta?: (text: string) => void;
 }
 
 type OllamaRole = 'system' | 'user' | 'assistant';
@@ -53,6 +55,70 @@ function normalizeOllamaBaseUrl(input: string | undefined): string {
   return normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
 }
 
+interface OllamaStreamResult {
+  text: string;
+  model?: string;
+}
+
+async function readOllamaStream(
+  response: Response,
+  onDelta: (text: string) => void
+): Promise<OllamaStreamResult> {
+  if (!response.body) {
+    throw new Error('ollama_stream_missing_body');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let text = '';
+  let model: string | undefined;
+
+  const handleLine = (line: string): void => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    let chunk: unknown;
+    try {
+      chunk = JSON.parse(trimmed);
+    } catch {
+      throw new Error('ollama_stream_invalid_chunk');
+    }
+
+    const record = chunk as { error?: unknown; model?: unknown; message?: { content?: unknown } };
+    if (typeof record.error === 'string') {
+      throw new Error(`ollama_request_failed:${record.error}`);
+    }
+    if (typeof record.model === 'string') {
+      model = record.model;
+    }
+    const delta = typeof record.message?.content === 'string' ? record.message.content : '';
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop() ?? '';
+    for (const line of lines) {
+      handleLine(line);
+    }
+  }
+  buffered += decoder.decode();
+  handleLine(buffered);
+
+  return { text, model };
+}
+
 function createSessionId(): string {
   return `ollama_${crypto.randomUUID()}`;
 }
@@ -78,6 +144,22 @@ function enforceMessageBounds(messages: OllamaMessage[]): OllamaMessage[] {
   return systemMessage ? [systemMessage, ...tail] : tail;
 }
 
+/** Copy of the cached transcript for a session, for persistence. */
+export function getOllamaSessionMessages(sessionId: string): OllamaMessage[] | undefined {
+  return sessionMessages.get(sessionId)?.map((message) => ({ ...message }));
+}
+
+/** Drop the cached transcript for a session, e.g. when its conversation is forgotten. */
+export function forgetOllamaSessionMessages(sessionId: string): void {
+  sessionMessages.delete(sessionId);
+}
+
+/** Seed the cache with a transcript restored from disk. */
+export function restoreOllamaSessionMessages(sessionId: string, messages: OllamaMessage[]): void {
+  sessionMessages.set(sessionId, enforceMessageBounds(messages.map((message) => ({ ...message }))));
+  enforceSessionCacheBounds();
+}
+
 export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<ClaudeRunResult> {
   const prompt = input.prompt.trim();
   if (!prompt) {
@@ -98,10 +180,18 @@ export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<Clau
   }
   history.push({ role: 'user', content: prompt });
 
+  if (input.signal?.aborted) {
+    throw new Error('ollama_request_cancelled');
+  }
+
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 120_000);
+  const onCallerAbort = (): void => controller.abort();
+  input.signal?.addEventListener('abort', onCallerAbort, { once: true });
 
   try {
+    const onDelta = input.onDelta;
+    const streaming = typeof onDelta === 'function';
     const response = await fetch(`${baseUrl}/api/chat`, {
       method: 'POST',
       headers: {
@@ -110,16 +200,18 @@ export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<Clau
       body: JSON.stringify({
         model,
         messages: history,
-        stream: false,
+        stream: streaming,
       }),
       signal: controller.signal,
     });
 
     let payload: unknown = null;
-    try {
-      payload = await response.json();
-    } catch {
-      // handled by status/body checks below
+    if (!response.ok || !streaming) {
+      try {
+        payload = await response.json();
+      } catch {
+        // handled by status/body checks below
+      }
     }
 
     if (!response.ok) {
@@ -130,12 +222,24 @@ export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<Clau
       throw new Error(`ollama_request_failed:${errorMessage}`);
     }
 
-    const assistantText =
-      typeof (payload as { message?: { content?: unknown } })?.message?.content === 'string'
-        ? (payload as { message: { content: string } }).message.content
-        : typeof (payload as { response?: unknown })?.response === 'string'
-          ? (payload as { response: string }).response
-          : '';
+    let assistantText: string;
+    let reportedModel: string | undefined;
+    if (onDelta) {
+      const streamed = await readOllamaStream(response, onDelta);
+      assistantText = streamed.text;
+      reportedModel = streamed.model;
+    } else {
+      assistantText =
+        typeof (payload as { message?: { content?: unknown } })?.message?.content === 'string'
+          ? (payload as { message: { content: string } }).message.content
+          : typeof (payload as { response?: unknown })?.response === 'string'
+            ? (payload as { response: string }).response
+            : '';
+      reportedModel =
+        typeof (payload as { model?: unknown })?.model === 'string'
+          ? (payload as { model: string }).model
+          : undefined;
+    }
 
     if (!assistantText.trim()) {
       throw new Error('ollama_empty_response');
@@ -146,10 +250,7 @@ export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<Clau
     sessionMessages.set(sessionId, boundedHistory);
     enforceSessionCacheBounds();
 
-    const detectedModel =
-      typeof (payload as { model?: unknown })?.model === 'string'
-        ? (payload as { model: string }).model
-        : model;
+    const detectedModel = reportedModel ?? model;
 
     return {
       result: assistantText,
@@ -158,7 +259,13 @@ export async function runOllamaPrompt(input: RunOllamaPromptInput): Promise<Clau
       model: detectedModel,
       sessionId,
     };
+  } catch (err) {
+    if (input.signal?.aborted) {
+      throw new Error('ollama_request_cancelled');
+    }
+    throw err;
   } finally {
     clearTimeout(timeout);
+    input.signal?.removeEventListener('abort', onCallerAbort);
   }
 }
@@ -2,7 +2,17 @@ import os from 'node:os';
 import path from 'node:path';
 import { access, readFile } from 'node:fs/promises';
 import { CONFIG_DIR } from './config.js';
-import type { AgentPolicy, PolicyPreset } from './types.js';
+import { redactSecrets } from './logger.js';
+import type {
+  AgentPolicy,
+  AttachmentSettings,
+  PolicyOverlay,
+  PolicyPreset,
+  RequesterLimits,
+  RequesterLimitsPolicy,
+  ToolApprovalSettings,
+  WorkspaceDefinition,
+} from './types.js';
 
 export const DEFAULT_POLICY_CONFIG_PATH = path.join(CONFIG_DIR, 'policy.json');
 
@@ -20,6 +30,41 @@ const FILE_PATH_TOOL_NAMES = new Set([
 
 const BASH_TOOL_NAME = 'Bash';
 const DEFAULT_MAX_PROMPT_CHARS = 24_000;
+// Claude runs stop after this many turns unless the policy sets maxTurns.
+export const DEFAULT_MAX_TURNS = 40;
+
+export const DEFAULT_REQUESTER_LIMITS: Required<RequesterLimits> = {
+  promptsPerMinute: 10,
+  costUsdPerDay: 5,
+  turnsPerDay: 400,
+};
+
+const REQUESTER_LIMIT_FIELDS = ['promptsPerMinute', 'costUsdPerDay', 'turnsPerDay'] as const;
+
+export const DEFAULT_APPROVAL_TIMEOUT_MS = 120_000;
+
+export const DEFAULT_ATTACHMENT_SETTINGS: Required<AttachmentSettings> = {
+  enabled: false,
+  maxFileBytes: 10 * 1024 * 1024,
+  maxFilesPerMessage: 5,
+  allowedTypes: [
+    'text/*',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'application/json',
+    '.log',
+    '.txt',
+    '.md',
+    '.diff',
+    '.patch',
+  ],
+};
+
+const TOOL_SUMMARY_MAX_CHARS = 160;
+const REDACTED_PATH = '[redacted path]';
 
 const SAFE_DISALLOWED_TOOLS = [
   'Bash',
@@ -79,6 +124,341 @@ function asStringArray(value: unknown, fieldName: string): string[] {
   return value.map((v) => v.trim());
 }
 
+function parseRequesterLimits(value: unknown, fieldName: string): RequesterLimits {
+  if (!isRecord(value)) {
+    throw new Error(`Policy field "${fieldName}" must be an object`);
+  }
+
+  const limits: RequesterLimits = {};
+  for (const field of REQUESTER_LIMIT_FIELDS) {
+    const raw = value[field];
+    if (raw === undefined) {
+      continue;
+    }
+    if (raw !== null && (typeof raw !== 'number' || !Number.isFinite(raw) || raw <= 0)) {
+      throw new Error(`Policy field "${fieldName}.${field}" must be a positive number or null`);
+    }
+    limits[field] = raw;
+  }
+  return limits;
+}
+
+function parseRequesterLimitsPolicy(value: unknown): RequesterLimitsPolicy {
+  if (!isRecord(value)) {
+    throw new Error('Policy field "limits" must be an object');
+  }
+
+  const out: RequesterLimitsPolicy = {};
+  if (value.defaults !== undefined) {
+    out.defaults = parseRequesterLimits(value.defaults, 'limits.defaults');
+  }
+
+  if (value.overrides !== undefined) {
+    if (!isRecord(value.overrides)) {
+      throw new Error('Policy field "limits.overrides" must be an object');
+    }
+    out.overrides = {};
+    for (const [key, limits] of Object.entries(value.overrides)) {
+      const normalizedKey = key.trim();
+      if (!normalizedKey) {
+        throw new Error('Policy field "limits.overrides" has an empty requester key');
+      }
+      // Emails match case-insensitively; uids are kept verbatim.
+      const overrideKey = normalizedKey.includes('@') ? normalizedKey.toLowerCase() : normalizedKey;
+      out.overrides[overrideKey] = parseRequesterLimits(limits, `limits.overrides.${normalizedKey}`);
+    }
+  }
+
+  return out;
+}
+
+function parseRequesterPatterns(value: unknown, fieldName: string): string[] {
+  const patterns = asStringArray(value, fieldName);
+  return patterns.map((pattern) => {
+    if (pattern.startsWith('*@')) {
+      const domain = pattern.slice(2);
+      if (!domain || domain.includes('@') || domain.includes('*')) {
+        throw new Error(`Policy field "${fieldName}" has invalid domain pattern "${pattern}"`);
+      }
+      return `*@${domain.toLowerCase()}`;
+    }
+    if (pattern.includes('*')) {
+      throw new Error(`Policy field "${fieldName}" only supports "*@domain" wildcards, got "${pattern}"`);
+    }
+    if (pattern.includes('@')) {
+      const at = pattern.indexOf('@');
+      if (at === 0 || at === pattern.length - 1 || pattern.indexOf('@', at + 1) !== -1) {
+        throw new Error(`Policy field "${fieldName}" has invalid email "${pattern}"`);
+      }
+      return pattern.toLowerCase();
+    }
+    return pattern;
+  });
+}
+
+// `prefix` is "" for the top level or "<overlay field>." for an overlay.
+function parseRunBudgets(value: Record<string, unknown>, prefix: string): Pick<AgentPolicy, 'maxTurns' | 'maxCostUsdPerMessage'> {
+  const budgets: Pick<AgentPolicy, 'maxTurns' | 'maxCostUsdPerMessage'> = {};
+  if (value.maxTurns !== undefined) {
+    if (typeof value.maxTurns !== 'number' || !Number.isInteger(value.maxTurns) || value.maxTurns <= 0) {
+      throw new Error(`Policy field "${prefix}maxTurns" must be a positive integer`);
+    }
+    budgets.maxTurns = value.maxTurns;
+  }
+  if (value.maxCostUsdPerMessage !== undefined) {
+    const maxCost = value.maxCostUsdPerMessage;
+    if (typeof maxCost !== 'number' || !Number.isFinite(maxCost) || maxCost <= 0) {
+      throw new Error(`Policy field "${prefix}maxCostUsdPerMessage" must be a positive number`);
+    }
+    budgets.maxCostUsdPerMessage = maxCost;
+  }
+  return budgets;
+}
+
+function parsePolicyOverlay(value: unknown, fieldName: string): PolicyOverlay {
+  if (!isRecord(value)) {
+    throw new Error(`Policy field "${fieldName}" must be an object`);
+  }
+
+  const overlay: PolicyOverlay = {};
+  if (value.preset !== undefined) {
+    if (typeof value.preset !== 'string' || !isValidPolicyPreset(value.preset)) {
+      throw new Error(`Policy field "${fieldName}.preset" must be safe|balanced|power`);
+    }
+    overlay.preset = value.preset;
+  }
+  if (value.allowedCwdRoots !== undefined) {
+    overlay.allowedCwdRoots = asStringArray(value.allowedCwdRoots, `${fieldName}.allowedCwdRoots`);
+  }
+  if (value.blockedPathRoots !== undefined) {
+    overlay.blockedPathRoots = asStringArray(value.blockedPathRoots, `${fieldName}.blockedPathRoots`);
+  }
+  if (value.allowedTools !== undefined && !(Array.isArray(value.allowedTools) && value.allowedTools.length === 0)) {
+    overlay.allowedTools = asStringArray(value.allowedTools, `${fieldName}.allowedTools`);
+  }
+  if (value.disallowedTools !== undefined) {
+    overlay.disallowedTools = asStringArray(value.disallowedTools, `${fieldName}.disallowedTools`);
+  }
+  if (value.askTools !== undefined) {
+    overlay.askTools = asStringArray(value.askTools, `${fieldName}.askTools`);
+  }
+  if (value.maxPromptChars !== undefined) {
+    const maxPromptChars = value.maxPromptChars;
+    if (typeof maxPromptChars !== 'number' || !Number.isFinite(maxPromptChars) || maxPromptChars <= 0) {
+      throw new Error(`Policy field "${fieldName}.maxPromptChars" must be a positive number`);
+    }
+    overlay.maxPromptChars = Math.floor(maxPromptChars);
+  }
+  Object.assign(overlay, parseRunBudgets(value, `${fieldName}.`));
+  if (value.bash !== undefined) {
+    if (!isRecord(value.bash)) {
+      throw new Error(`Policy field "${fieldName}.bash" must be an object`);
+    }
+    overlay.bash = {
+      ...(value.bash.denyPatterns !== undefined
+        ? { denyPatterns: asStringArray(value.bash.denyPatterns, `${fieldName}.bash.denyPatterns`) }
+        : {}),
+      ...(value.bash.allowPatterns !== undefined
+        ? { allowPatterns: asStringArray(value.bash.allowPatterns, `${fieldName}.bash.allowPatterns`) }
+        : {}),
+    };
+  }
+  return overlay;
+}
+
+function parseToolApprovalSettings(value: unknown): ToolApprovalSettings {
+  if (!isRecord(value)) {
+    throw new Error('Policy field "approvals" must be an object');
+  }
+
+  const settings: ToolApprovalSettings = {};
+  if (value.route !== undefined) {
+    if (value.route !== 'requester' && value.route !== 'owner') {
+      throw new Error('Policy field "approvals.route" must be requester|owner');
+    }
+    settings.route = value.route;
+  }
+  if (value.timeoutMs !== undefined) {
+    const timeoutMs = value.timeoutMs;
+    if (typeof timeoutMs !== 'number' || !Number.isFinite(timeoutMs) || timeoutMs < 1000) {
+      throw new Error('Policy field "approvals.timeoutMs" must be a number >= 1000');
+    }
+    settings.timeoutMs = Math.floor(timeoutMs);
+  }
+  return settings;
+}
+
+function parseAttachmentSettings(value: unknown): AttachmentSettings {
+  if (!isRecord(value)) {
+    throw new Error('Policy field "attachments" must be an object');
+  }
+
+  const settings: AttachmentSettings = {};
+  if (value.enabled !== undefined) {
+    if (typeof value.enabled !== 'boolean') {
+      throw new Error('Policy field "attachments.enabled" must be a boolean');
+    }
+    settings.enabled = value.enabled;
+  }
+  for (const field of ['maxFileBytes', 'maxFilesPerMessage'] as const) {
+    const raw = value[field];
+    if (raw === undefined) {
+      continue;
+    }
+    if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < 1) {
+      throw new Error(`Policy field "attachments.${field}" must be a positive number`);
+    }
+    settings[field] = Math.floor(raw);
+  }
+  if (value.allowedTypes !== undefined) {
+    settings.allowedTypes = asStringArray(value.allowedTypes, 'attachments.allowedTypes')
+      .map((type) => type.toLowerCase());
+  }
+  return settings;
+}
+
+const WORKSPACE_NAME_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+function parseWorkspaces(value: unknown): Record<string, WorkspaceDefinition> {
+  if (!isRecord(value)) {
+    throw new Error('Policy field "workspaces" must be an object');
+  }
+
+  const workspaces: Record<string, WorkspaceDefinition> = {};
+  for (const [name, raw] of Object.entries(value)) {
+    if (!WORKSPACE_NAME_RE.test(name)) {
+      throw new Error(`Policy field "workspaces" has an invalid name "${name}" (letters, digits, ".", "_", "-")`);
+    }
+    const fieldName = `workspaces.${name}`;
+    if (!isRecord(raw) || typeof raw.path !== 'string' || raw.path.trim().length === 0) {
+      throw new Error(`Policy field "${fieldName}.path" must be a non-empty string`);
+    }
+    if (raw.description !== undefined && typeof raw.description !== 'string') {
+      throw new Error(`Policy field "${fieldName}.description" must be a string`);
+    }
+    const description = raw.description?.trim();
+    workspaces[name] = {
+      path: normalizePath(raw.path),
+      ...(description ? { description } : {}),
+      ...(raw.policy !== undefined ? { policy: parsePolicyOverlay(raw.policy, `${fieldName}.policy`) } : {}),
+    };
+  }
+  return workspaces;
+}
+
+function parsePolicyOverlays(value: unknown): NonNullable<AgentPolicy['overlays']> {
+  if (!isRecord(value)) {
+    throw new Error('Policy field "overlays" must be an object');
+  }
+
+  const overlays: NonNullable<AgentPolicy['overlays']> = {};
+  if (value.owner !== undefined) {
+    overlays.owner = parsePolicyOverlay(value.owner, 'overlays.owner');
+  }
+  if (value.grantees !== undefined) {
+    overlays.grantees = parsePolicyOverlay(value.grantees, 'overlays.grantees');
+  }
+  if (value.requesters !== undefined) {
+    if (!isRecord(value.requesters)) {
+      throw new Error('Policy field "overlays.requesters" must be an object');
+    }
+    overlays.requesters = {};
+    for (const [key, overlay] of Object.entries(value.requesters)) {
+      const [pattern] = parseRequesterPatterns([key], 'overlays.requesters');
+      overlays.requesters[pattern] = parsePolicyOverlay(overlay, `overlays.requesters.${key}`);
+    }
+  }
+  return overlays;
+}
+
+const PRESET_RANK: Record<PolicyPreset, number> = { safe: 0, balanced: 1, power: 2 };
+
+// Roots of `overlay` inside one of `base`, plus roots of `base` inside one
+// of `overlay`: the directories both lists allow.
+function intersectRoots(base: string[], overlay: string[]): string[] {
+  const normalized = overlay.map(normalizePath);
+  return [...new Set([
+    ...normalized.filter((root) => base.some((baseRoot) => hasPathPrefix(root, baseRoot))),
+    ...base.filter((baseRoot) => normalized.some((root) => hasPathPrefix(baseRoot, root))),
+  ])];
+}
+
+function intersectNames(base: string[] | undefined, overlay: string[] | undefined): string[] | undefined {
+  if (!base || !overlay) {
+    return base ?? overlay;
+  }
+  const lower = new Set(overlay.map((name) => name.toLowerCase()));
+  return base.filter((name) => lower.has(name.toLowerCase()));
+}
+
+function union(base: string[] | undefined, overlay: string[] | undefined): string[] | undefined {
+  return base && overlay ? [...new Set([...base, ...overlay])] : base ?? overlay;
+}
+
+/**
+ * Narrow `policy` by `overlay`; an overlay can take rights away but never
+ * add them. The stricter preset wins, allowed roots, tools and bash allow
+ * patterns are intersected, blocked roots, disallowed/ask tools and deny
+ * patterns are merged, and limits take the lower value.
+ */
+function applyPolicyOverlay(policy: AgentPolicy, overlay: PolicyOverlay): AgentPolicy {
+  const preset = overlay.preset && PRESET_RANK[overlay.preset] < PRESET_RANK[policy.preset]
+    ? overlay.preset
+    : policy.preset;
+  // Narrowing to read-only keeps the same tool denylist a "safe" default
+  // policy would have.
+  const disallowedTools = [...new Set([
+    ...policy.disallowedTools,
+    ...(overlay.disallowedTools ?? []),
+    ...(preset === 'safe' && policy.preset !== 'safe' ? SAFE_DISALLOWED_TOOLS : []),
+  ])];
+  const allowedTools = intersectNames(policy.allowedTools, overlay.allowedTools);
+  const askTools = union(policy.askTools, overlay.askTools);
+  const allowPatterns = policy.bash.allowPatterns && overlay.bash?.allowPatterns
+    ? policy.bash.allowPatterns.filter((pattern) => overlay.bash?.allowPatterns?.includes(pattern))
+    : policy.bash.allowPatterns ?? overlay.bash?.allowPatterns;
+  // An empty allow list means "no restriction", so two lists without a
+  // common pattern leave no bash command allowed at all.
+  if (allowPatterns && allowPatterns.length === 0 && !disallowedTools.includes(BASH_TOOL_NAME)) {
+    disallowedTools.push(BASH_TOOL_NAME);
+  }
+  const maxTurns = overlay.maxTurns !== undefined
+    ? Math.min(policy.maxTurns ?? DEFAULT_MAX_TURNS, overlay.maxTurns)
+    : policy.maxTurns;
+  const maxCostUsdPerMessage = overlay.maxCostUsdPerMessage !== undefined
+    ? Math.min(policy.maxCostUsdPerMessage ?? Infinity, overlay.maxCostUsdPerMessage)
+    : policy.maxCostUsdPerMessage;
+
+  return {
+    ...policy,
+    preset,
+    allowedCwdRoots: overlay.allowedCwdRoots
+      ? intersectRoots(policy.allowedCwdRoots, overlay.allowedCwdRoots)
+      : policy.allowedCwdRoots,
+    blockedPathRoots: union(policy.blockedPathRoots, overlay.blockedPathRoots) ?? [],
+    ...(allowedTools ? { allowedTools } : {}),
+    disallowedTools,
+    ...(askTools ? { askTools } : {}),
+    maxPromptChars: Math.min(policy.maxPromptChars, overlay.maxPromptChars ?? Infinity),
+    ...(maxTurns !== undefined ? { maxTurns } : {}),
+    ...(maxCostUsdPerMessage !== undefined ? { maxCostUsdPerMessage } : {}),
+    bash: {
+      denyPatterns: union(policy.bash.denyPatterns, overlay.bash?.denyPatterns) ?? [],
+      ...(allowPatterns && allowPatterns.length > 0 ? { allowPatterns } : {}),
+    },
+  };
+}
+
+function matchesRequesterPattern(pattern: string, uid: string, email: string | null): boolean {
+  if (pattern.startsWith('*@')) {
+    return email !== null && email.endsWith(pattern.slice(1));
+  }
+  if (pattern.includes('@')) {
+    return email === pattern;
+  }
+  return uid === pattern;
+}
+
 function hasPathPrefix(candidate: string, root: string): boolean {
   return candidate === root || candidate.startsWith(`${root}${path.sep}`);
 }
@@ -157,7 +537,13 @@ function normalizePolicy(policy: AgentPolicy): AgentPolicy {
     ...policy,
     allowedCwdRoots: policy.allowedCwdRoots.map(normalizePath),
     blockedPathRoots: policy.blockedPathRoots.map(normalizePath),
+    ...(policy.allowedTools
+      ? { allowedTools: policy.allowedTools.map((tool) => tool.trim()).filter((tool) => tool.length > 0) }
+      : {}),
     disallowedTools: policy.disallowedTools.map((tool) => tool.trim()).filter((tool) => tool.length > 0),
+    ...(policy.askTools
+      ? { askTools: policy.askTools.map((tool) => tool.trim()).filter((tool) => tool.length > 0) }
+      : {}),
     maxPromptChars: policy.maxPromptChars,
     bash: {
       denyPatterns: policy.bash.denyPatterns,
@@ -237,6 +623,16 @@ export async function loadPolicyFromFile(filePath: string): Promise<AgentPolicy>
   const disallowedTools = Array.isArray(parsed.disallowedTools)
     ? asStringArray(parsed.disallowedTools, 'disallowedTools')
     : [];
+  // An empty list in the file means "no restriction".
+  const allowedTools = Array.isArray(parsed.allowedTools) && parsed.allowedTools.length > 0
+    ? asStringArray(parsed.allowedTools, 'allowedTools')
+    : undefined;
+  const askTools = Array.isArray(parsed.askTools)
+    ? asStringArray(parsed.askTools, 'askTools')
+    : undefined;
+  const models = Array.isArray(parsed.models)
+    ? asStringArray(parsed.models, 'models')
+    : undefined;
 
   const maxPromptChars = parsed.maxPromptChars;
   if (typeof maxPromptChars !== 'number' || !Number.isFinite(maxPromptChars) || maxPromptChars <= 0) {
@@ -253,17 +649,106 @@ export async function loadPolicyFromFile(filePath: string): Promise<AgentPolicy>
     ? asStringArray(bashRaw.allowPatterns, 'bash.allowPatterns')
     : undefined;
 
+  let requesters: AgentPolicy['requesters'];
+  if (parsed.requesters !== undefined) {
+    const requestersRaw = parsed.requesters;
+    if (!isRecord(requestersRaw)) {
+      throw new Error(`Invalid policy config ${resolvedPath}: requesters must be an object`);
+    }
+    try {
+      requesters = {
+        ...(requestersRaw.allow !== undefined
+          ? { allow: parseRequesterPatterns(requestersRaw.allow, 'requesters.allow') }
+          : {}),
+        ...(requestersRaw.deny !== undefined
+          ? { deny: parseRequesterPatterns(requestersRaw.deny, 'requesters.deny') }
+          : {}),
+      };
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
+  let overlays: AgentPolicy['overlays'];
+  if (parsed.overlays !== undefined) {
+    try {
+      overlays = parsePolicyOverlays(parsed.overlays);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
+  let approvals: ToolApprovalSettings | undefined;
+  if (parsed.approvals !== undefined) {
+    try {
+      approvals = parseToolApprovalSettings(parsed.approvals);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
+  let attachments: AttachmentSettings | undefined;
+  if (parsed.attachments !== undefined) {
+    try {
+      attachments = parseAttachmentSettings(parsed.attachments);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
+  let workspaces: Record<string, WorkspaceDefinition> | undefined;
+  if (parsed.workspaces !== undefined) {
+    try {
+      workspaces = parseWorkspaces(parsed.workspaces);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
+  let runBudgets: Pick<AgentPolicy, 'maxTurns' | 'maxCostUsdPerMessage'>;
+  try {
+    runBudgets = parseRunBudgets(parsed, '');
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+  }
+
+  let limits: RequesterLimitsPolicy | undefined;
+  if (parsed.limits !== undefined) {
+    try {
+      limits = parseRequesterLimitsPolicy(parsed.limits);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid policy config ${resolvedPath}: ${msg}`);
+    }
+  }
+
   return normalizePolicy({
     version: 1,
     preset: presetRaw,
     allowedCwdRoots,
     blockedPathRoots,
+    ...(allowedTools ? { allowedTools } : {}),
     disallowedTools,
+    ...(askTools ? { askTools } : {}),
+    ...(approvals ? { approvals } : {}),
+    ...(attachments ? { attachments } : {}),
+    ...(workspaces ? { workspaces } : {}),
+    ...(models ? { models } : {}),
     maxPromptChars: Math.floor(maxPromptChars),
+    ...runBudgets,
     bash: {
       denyPatterns,
       ...(allowPatterns ? { allowPatterns } : {}),
     },
+    ...(limits ? { limits } : {}),
+    ...(requesters ? { requesters } : {}),
+    ...(overlays ? { overlays } : {}),
   });
 }
 
@@ -285,12 +770,146 @@ export function summarizePolicy(policy: AgentPolicy | undefined): Record<string,
     preset: policy.preset,
     allowedCwdRoots: [...policy.allowedCwdRoots],
     blockedPathRoots: [...policy.blockedPathRoots],
+    allowedTools: policy.allowedTools ? [...policy.allowedTools] : undefined,
     disallowedTools: [...policy.disallowedTools],
+    askTools: policy.askTools ? [...policy.askTools] : undefined,
+    approvals: policy.approvals,
+    attachments: policy.attachments,
+    workspaces: policy.workspaces,
+    models: policy.models ? [...policy.models] : undefined,
     maxPromptChars: policy.maxPromptChars,
+    maxTurns: policy.maxTurns,
+    maxCostUsdPerMessage: policy.maxCostUsdPerMessage,
     bash: {
       denyPatterns: [...policy.bash.denyPatterns],
       allowPatterns: policy.bash.allowPatterns ? [...policy.bash.allowPatterns] : undefined,
     },
+    limits: policy.limits,
+    requesters: policy.requesters
+      ? {
+          allow: policy.requesters.allow ? [...policy.requesters.allow] : undefined,
+          deny: policy.requesters.deny ? [...policy.requesters.deny] : undefined,
+        }
+      : undefined,
+    overlays: policy.overlays,
+  };
+}
+
+/**
+ * Policy for one requester: the base policy with the owner or grantees
+ * overlay applied, then every matching per-requester overlay in file order.
+ * `overlays` names what was applied, for the audit log.
+ */
+export function resolveEffectivePolicy(
+  policy: AgentPolicy | undefined,
+  requester: { uid: string; email?: string | null; isOwner: boolean }
+): { policy: AgentPolicy | undefined; overlays: string[] } {
+  if (!policy?.overlays) {
+    return { policy, overlays: [] };
+  }
+
+  const applied: string[] = [];
+  let effective = policy;
+
+  const roleOverlay = requester.isOwner ? policy.overlays.owner : policy.overlays.grantees;
+  if (roleOverlay) {
+    effective = applyPolicyOverlay(effective, roleOverlay);
+    applied.push(requester.isOwner ? 'owner' : 'grantees');
+  }
+
+  const email = requester.email?.trim().toLowerCase() || null;
+  for (const [pattern, overlay] of Object.entries(policy.overlays.requesters ?? {})) {
+    if (matchesRequesterPattern(pattern, requester.uid, email)) {
+      effective = applyPolicyOverlay(effective, overlay);
+      applied.push(pattern);
+    }
+  }
+
+  return { policy: applied.length > 0 ? normalizePolicy(effective) : policy, overlays: applied };
+}
+
+/**
+ * Workspace `name` for a requester whose effective policy is `policy`: its
+ * path, and that policy narrowed by the workspace overlay. Throws
+ * `unknown_workspace`, or `workspace_not_allowed` when the path falls
+ * outside the requester's allowed roots or the narrowed ones.
+ */
+export function resolveWorkspace(
+  policy: AgentPolicy | undefined,
+  name: string
+): { path: string; policy: AgentPolicy } {
+  const workspace = policy?.workspaces && Object.hasOwn(policy.workspaces, name)
+    ? policy.workspaces[name]
+    : undefined;
+  if (!policy || !workspace) {
+    throw new Error('unknown_workspace');
+  }
+
+  // The requester's own roots decide first, so a workspace overlay can never
+  // grant a path the requester could not already use.
+  if (getCwdPolicyViolation(workspace.path, policy)) {
+    throw new Error('workspace_not_allowed');
+  }
+  const scoped = workspace.policy ? normalizePolicy(applyPolicyOverlay(policy, workspace.policy)) : policy;
+  if (scoped !== policy && getCwdPolicyViolation(workspace.path, scoped)) {
+    throw new Error('workspace_not_allowed');
+  }
+  return { path: workspace.path, policy: scoped };
+}
+
+/** The workspaces a requester with effective `policy` may pick; paths are not included. */
+export function listWorkspaces(
+  policy: AgentPolicy | undefined
+): Array<{ name: string; description: string | null; preset: PolicyPreset }> {
+  return Object.entries(policy?.workspaces ?? {}).flatMap(([name, workspace]) => {
+    try {
+      const { policy: scoped } = resolveWorkspace(policy, name);
+      return [{ name, description: workspace.description ?? null, preset: scoped.preset }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+export function getRequesterPolicyViolation(
+  requester: { uid: string; email?: string | null },
+  policy: AgentPolicy | undefined
+): string | null {
+  const acl = policy?.requesters;
+  if (!acl) {
+    return null;
+  }
+
+  const email = requester.email?.trim().toLowerCase() || null;
+  const matches = (pattern: string): boolean => matchesRequesterPattern(pattern, requester.uid, email);
+
+  if (acl.deny?.some(matches)) {
+    return 'requester_denied';
+  }
+
+  if (acl.allow && acl.allow.length > 0 && !acl.allow.some(matches)) {
+    return 'requester_not_in_allowlist';
+  }
+
+  return null;
+}
+
+/**
+ * Effective limits for one requester: built-in defaults, then the policy's
+ * `limits.defaults`, then overrides matching the uid and finally the email.
+ */
+export function resolveRequesterLimits(
+  policy: AgentPolicy | undefined,
+  requester: { uid: string; email?: string | null }
+): Required<RequesterLimits> {
+  const overrides = policy?.limits?.overrides ?? {};
+  const email = requester.email?.trim().toLowerCase();
+
+  return {
+    ...DEFAULT_REQUESTER_LIMITS,
+    ...policy?.limits?.defaults,
+    ...overrides[requester.uid],
+    ...(email ? overrides[email] : undefined),
   };
 }
 
@@ -328,6 +947,14 @@ export function getToolPolicyViolation(
     return `tool_disallowed_${toolName}`;
   }
 
+  // A defined list is an allowlist even when overlays narrowed it to empty.
+  if (policy.allowedTools) {
+    const allowed = policy.allowedTools.some((tool) => tool.trim().toLowerCase() === lowerToolName);
+    if (!allowed) {
+      return `tool_not_in_allowlist_${toolName}`;
+    }
+  }
+
   // "safe" preset is our read-only mode. Deny mutating tools even when they
   // come from MCP servers with names like "filesystem__write_file".
   if (policy.preset === 'safe' && isMutatingToolName(toolName)) {
@@ -374,3 +1001,92 @@ export function getToolPolicyViolation(
 
   return null;
 }
+
+/**
+ * Return `tool_requires_approval_<tool>` when policy allows the call only
+ * after a human approves it. Callers check getToolPolicyViolation first.
+ */
+export function getToolApprovalRequirement(toolName: string, policy: AgentPolicy): string | null {
+  const lowerToolName = toolName.trim().toLowerCase();
+  const ask = policy.askTools?.some((tool) => tool === '*' || tool.trim().toLowerCase() === lowerToolName);
+  return ask ? `tool_requires_approval_${toolName}` : null;
+}
+
+export function resolveToolApprovalSettings(policy: AgentPolicy | undefined): Required<ToolApprovalSettings> {
+  return {
+    route: policy?.approvals?.route ?? 'requester',
+    timeoutMs: policy?.approvals?.timeoutMs ?? DEFAULT_APPROVAL_TIMEOUT_MS,
+  };
+}
+
+export function resolveAttachmentSettings(policy: AgentPolicy | undefined): Required<AttachmentSettings> {
+  return { ...DEFAULT_ATTACHMENT_SETTINGS, ...policy?.attachments };
+}
+
+// Secrets are redacted before truncation, which could cut one short of its pattern.
+function truncateSummary(text: string): string {
+  const singleLine = redactSecrets(text).replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= TOOL_SUMMARY_MAX_CHARS) {
+    return singleLine;
+  }
+  return `${singleLine.slice(0, TOOL_SUMMARY_MAX_CHARS - 1)}…`;
+}
+
+function isPathVisible(candidate: string, policy: AgentPolicy): boolean {
+  const resolved = normalizePath(candidate);
+  if (policy.blockedPathRoots.some((root) => hasPathPrefix(resolved, root))) {
+    return false;
+  }
+  return policy.allowedCwdRoots.some((root) => hasPathPrefix(resolved, root));
+}
+
+function redactBlockedRoots(text: string, policy: AgentPolicy): string {
+  const home = os.homedir();
+  let out = text;
+  for (const root of policy.blockedPathRoots) {
+    const forms = [root];
+    if (root.startsWith(`${home}${path.sep}`)) {
+      forms.push(`~${root.slice(home.length)}`, `$HOME${root.slice(home.length)}`);
+    }
+    for (const form of forms) {
+      out = out.split(form).join(REDACTED_PATH);
+    }
+  }
+  return out;
+}
+
+/**
+ * One-line, human-readable description of a tool call's input for progress
+ * frames sent to remote requesters. With a policy, paths outside the allowed
+ * roots (or inside blocked roots) are redacted; tokens and keys are redacted
+ * as in log lines; values of unknown fields are never included.
+ */
+export function summarizeToolInput(
+  toolName: string,
+  input: Record<string, unknown>,
+  policy: AgentPolicy | undefined
+): string {
+  if (toolName === BASH_TOOL_NAME) {
+    const command = getBashCommand(input);
+    if (!command) {
+      return '';
+    }
+    return truncateSummary(`$ ${policy ? redactBlockedRoots(command, policy) : command}`);
+  }
+
+  const parts: string[] = [];
+  if (typeof input.pattern === 'string' && input.pattern.trim()) {
+    parts.push(`pattern: ${input.pattern.trim()}`);
+  }
+  for (const candidate of extractPathsFromInput(input)) {
+    parts.push(!policy || isPathVisible(candidate, policy) ? candidate : REDACTED_PATH);
+  }
+  if (typeof input.url === 'string' && input.url.trim()) {
+    parts.push(input.url.trim());
+  }
+
+  if (parts.length > 0) {
+    return truncateSummary(parts.join(' '));
+  }
+  return truncateSummary(Object.keys(input).join(', '));
+}
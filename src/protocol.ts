@@ -0,0 +1,97 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Agent <-> gateway protocol versions this runtime speaks, oldest first.
+ *   1: handshake, session.message, encrypted session.result / session.error.
+ *   2: negotiated optional features (see ProtocolFeature).
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = [1, 2] as const;
+
+export type ProtocolFeature = 'streaming' | 'cancel' | 'attachments' | 'approvals' | 'rollback' | 'workspaces';
+
+// Optional features this runtime implements, advertised in agent.hello.
+export const AGENT_FEATURES: readonly ProtocolFeature[] = [
+  'streaming',
+  'cancel',
+  'attachments',
+  'approvals',
+  'rollback',
+  'workspaces',
+];
+
+export interface NegotiatedProtocol {
+  version: number;
+  features: Set<ProtocolFeature>;
+  // False until the gateway answered agent.hello; the legacy defaults apply.
+  negotiated: boolean;
+}
+
+function readAgentVersion(): string {
+  try {
+    // dist/protocol.js and src/protocol.ts both sit one level below package.json.
+    const raw = readFileSync(new URL('../package.json', import.meta.url), 'utf8');
+    const parsed: unknown = JSON.parse(raw);
+    if (typeof parsed === 'object' && parsed !== null && typeof (parsed as { version?: unknown }).version === 'string') {
+      return (parsed as { version: string }).version;
+    }
+  } catch {
+    // Fall through; a missing package.json must not stop the runtime.
+  }
+  return 'unknown';
+}
+
+export const AGENT_VERSION = readAgentVersion();
+
+/**
+ * Until the gateway answers, behave as before negotiation existed: gateways
+ * that predate gateway.hello relay every frame the agent supports.
+ */
+export function legacyProtocol(): NegotiatedProtocol {
+  return {
+    version: SUPPORTED_PROTOCOL_VERSIONS[0],
+    features: new Set(AGENT_FEATURES),
+    negotiated: false,
+  };
+}
+
+function parseVersions(frame: Record<string, unknown>): number[] {
+  const raw = frame.protocol_versions ?? frame.protocolVersions ?? frame.protocol_version ?? frame.protocolVersion;
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values.filter((value): value is number => Number.isInteger(value) && (value as number) > 0);
+}
+
+function parseFeatures(frame: Record<string, unknown>): Set<string> {
+  const raw = frame.features;
+  if (Array.isArray(raw)) {
+    return new Set(raw.filter((value): value is string => typeof value === 'string'));
+  }
+  // Also accept a { feature: true } map.
+  if (typeof raw === 'object' && raw !== null) {
+    return new Set(Object.entries(raw).filter(([, enabled]) => enabled === true).map(([name]) => name));
+  }
+  return new Set();
+}
+
+/**
+ * Pick the highest protocol version both sides support and the features
+ * both advertise. Throws `protocol_version_mismatch` (with both version
+ * lists in the message) when the versions do not overlap.
+ */
+export function negotiateProtocol(frame: Record<string, unknown>): NegotiatedProtocol {
+  const gatewayVersions = parseVersions(frame);
+  const common = SUPPORTED_PROTOCOL_VERSIONS.filter((version) => gatewayVersions.includes(version));
+  if (common.length === 0) {
+    throw new Error(
+      `protocol_version_mismatch: agent supports [${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}], ` +
+      `gateway supports [${gatewayVersions.join(', ') || 'none'}]; upgrade commands-agent or the gateway`
+    );
+  }
+
+  const version = Math.max(...common);
+  const gatewayFeatures = parseFeatures(frame);
+  // A gateway that answered negotiates features on any version; only one
+  // that never answers gets legacyProtocol()'s everything.
+  const features = new Set(AGENT_FEATURES.filter((feature) => gatewayFeatures.has(feature)));
+
+  return { version, features, negotiated: true };
+}
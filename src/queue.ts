@@ -0,0 +1,217 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+type QueueTask = () => Promise<void>;
+
+interface QueueEntry {
+  keys: string[];
+  task: QueueTask;
+  running: boolean;
+  signal?: AbortSignal;
+  onAbort?: () => void;
+}
+
+/**
+ * Runs tasks one at a time per key, in arrival order. A task may hold
+ * several keys (a session and a conversation): it starts only once it is
+ * first in line on every one of them, and different keys run independently.
+ * `maxDepth` bounds how many tasks may wait on a key behind the one running.
+ */
+export class KeyedSerialQueue {
+  // Per key, the running task (if any) first, then the waiting ones.
+  private readonly lanes = new Map<string, QueueEntry[]>();
+
+  constructor(private readonly maxDepth: number) {}
+
+  /**
+   * Enqueue a task and return its position: 0 when it starts immediately,
+   * otherwise its 1-based place among the waiting tasks of its busiest key.
+   * Returns null without enqueueing when one of its keys already has
+   * `maxDepth` tasks waiting. A waiting task whose `signal` aborts is dropped
+   * without running, so it stops counting toward `maxDepth`; the caller
+   * reports the cancellation.
+   */
+  enqueue(keys: string | string[], task: QueueTask, signal?: AbortSignal): number | null {
+    const entryKeys = [...new Set(typeof keys === 'string' ? [keys] : keys)];
+    if (entryKeys.some((key) => this.waitingCount(key) >= this.maxDepth)) {
+      return null;
+    }
+
+    const entry: QueueEntry = { keys: entryKeys, task, running: false, signal };
+    for (const key of entryKeys) {
+      const lane = this.lanes.get(key);
+      if (lane) {
+        lane.push(entry);
+      } else {
+        this.lanes.set(key, [entry]);
+      }
+    }
+
+    if (this.isFirstInLine(entry)) {
+      this.start(entry);
+      return 0;
+    }
+
+    if (signal) {
+      entry.onAbort = () => {
+        if (!entry.running) {
+          this.remove(entry);
+        }
+      };
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+    return Math.max(...entryKeys.map((key) => this.waitingCount(key)));
+  }
+
+  private waitingCount(key: string): number {
+    return this.lanes.get(key)?.filter((entry) => !entry.running).length ?? 0;
+  }
+
+  private isFirstInLine(entry: QueueEntry): boolean {
+    return entry.keys.every((key) => this.lanes.get(key)?.[0] === entry);
+  }
+
+  private start(entry: QueueEntry): void {
+    entry.running = true;
+    if (entry.onAbort) {
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+    }
+    void entry.task()
+      .catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`queued task failed key=${entry.keys.join(',')} error=${msg}`);
+      })
+      .finally(() => this.remove(entry));
+  }
+
+  /** Take an entry off all its lanes and start whatever that unblocks. */
+  private remove(entry: QueueEntry): void {
+    for (const key of entry.keys) {
+      const lane = this.lanes.get(key);
+      if (!lane) {
+        continue;
+      }
+      const index = lane.indexOf(entry);
+      if (index >= 0) {
+        lane.splice(index, 1);
+      }
+      if (lane.length === 0) {
+        this.lanes.delete(key);
+      }
+    }
+    for (const key of entry.keys) {
+      const next = this.lanes.get(key)?.[0];
+      if (next && !next.running && this.isFirstInLine(next)) {
+        this.start(next);
+      }
+    }
+  }
+}
+
+interface SchedulerWaiter {
+  resolve: () => void;
+  reject: (err: Error) => void;
+}
+
+/**
+ * Caps how many runs execute at once across the whole runtime. Waiting runs
+ * are grouped per key (the requester uid) and slots are handed out
+ * round-robin between keys, so one busy requester cannot starve the rest.
+ */
+export class FairRunScheduler {
+  private active = 0;
+  // Map insertion order doubles as the round-robin rotation.
+  private readonly waiters = new Map<string, SchedulerWaiter[]>();
+
+  constructor(private readonly maxConcurrent: number) {}
+
+  /** True when a new acquire() would have to wait for a slot. */
+  isSaturated(): boolean {
+    return this.active >= this.maxConcurrent || this.waiters.size > 0;
+  }
+
+  waitingCount(): number {
+    let count = 0;
+    for (const queue of this.waiters.values()) {
+      count += queue.length;
+    }
+    return count;
+  }
+
+  /**
+   * Resolve once a run slot is held; the caller must call release() exactly
+   * once afterwards. Rejects with `run_cancelled` if the signal aborts first.
+   */
+  acquire(key: string, signal?: AbortSignal): Promise<void> {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('run_cancelled'));
+    }
+
+    if (!this.isSaturated()) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+
+    return new Promise<void>((resolve, reject) => {
+      const onAbort = (): void => {
+        this.removeWaiter(key, waiter);
+        reject(new Error('run_cancelled'));
+      };
+      const waiter: SchedulerWaiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject,
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const queue = this.waiters.get(key);
+      if (queue) {
+        queue.push(waiter);
+      } else {
+        this.waiters.set(key, [waiter]);
+      }
+    });
+  }
+
+  release(): void {
+    this.active = Math.max(0, this.active - 1);
+
+    while (this.active < this.maxConcurrent) {
+      const next = this.waiters.entries().next();
+      if (next.done) {
+        return;
+      }
+
+      const [key, queue] = next.value;
+      const waiter = queue.shift();
+      // Move the key to the back of the rotation (or drop it when drained).
+      this.waiters.delete(key);
+      if (queue.length > 0) {
+        this.waiters.set(key, queue);
+      }
+      if (!waiter) {
+        continue;
+      }
+
+      this.active += 1;
+      waiter.resolve();
+    }
+  }
+
+  private removeWaiter(key: string, waiter: SchedulerWaiter): void {
+    const queue = this.waiters.get(key);
+    if (!queue) {
+      return;
+    }
+    const index = queue.indexOf(waiter);
+    if (index >= 0) {
+      queue.splice(index, 1);
+    }
+    if (queue.length === 0) {
+      this.waiters.delete(key);
+    }
+  }
+}
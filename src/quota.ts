@@ -0,0 +1,162 @@
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { CONFIG_DIR, JsonStoreWriter } from './config.js';
+import type { RequesterLimits } from './types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
+
+export const DEFAULT_QUOTA_USAGE_PATH = path.join(CONFIG_DIR, 'quota-usage.json');
+
+const PROMPT_WINDOW_MS = 60_000;
+
+interface RequesterUsage {
+  // UTC day (YYYY-MM-DD) the daily counters belong to.
+  day: string;
+  costUsd: number;
+  turns: number;
+  promptTimes: number[];
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null;
+}
+
+function utcDay(now: number): string {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function parseUsage(value: unknown): RequesterUsage | null {
+  if (!isRecord(value) || typeof value.day !== 'string') {
+    return null;
+  }
+  const costUsd = typeof value.costUsd === 'number' && Number.isFinite(value.costUsd) ? value.costUsd : 0;
+  const turns = typeof value.turns === 'number' && Number.isFinite(value.turns) ? value.turns : 0;
+  const promptTimes = Array.isArray(value.promptTimes)
+    ? value.promptTimes.filter((t): t is number => typeof t === 'number' && Number.isFinite(t))
+    : [];
+  return { day: value.day, costUsd, turns, promptTimes };
+}
+
+/**
+ * Per-requester prompt rate and daily spend counters, persisted as JSON so
+ * daily quotas survive restarts. Writes are serialized and atomic.
+ */
+export class QuotaTracker {
+  private readonly usage = new Map<string, RequesterUsage>();
+  private readonly writer: JsonStoreWriter;
+
+  constructor(private readonly filePath: string = DEFAULT_QUOTA_USAGE_PATH) {
+    this.writer = new JsonStoreWriter(filePath, () => this.serialize(), 'quota usage');
+  }
+
+  async load(): Promise<void> {
+    let raw: string;
+    try {
+      raw = await readFile(this.filePath, 'utf8');
+    } catch {
+      return;
+    }
+
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.info(`ignoring unreadable quota usage file ${this.filePath}: ${msg}`);
+      return;
+    }
+
+    if (!isRecord(parsed) || !isRecord(parsed.requesters)) {
+      return;
+    }
+
+    for (const [key, value] of Object.entries(parsed.requesters)) {
+      const usage = parseUsage(value);
+      if (usage) {
+        this.usage.set(key, usage);
+      }
+    }
+  }
+
+  /**
+   * Return the quota error code the next prompt from `key` would hit, or
+   * null when it is within its limits.
+   */
+  check(key: string, limits: Required<RequesterLimits>, now = Date.now()): string | null {
+    const usage = this.current(key, now);
+
+    if (limits.promptsPerMinute !== null) {
+      const recent = usage.promptTimes.filter((t) => now - t < PROMPT_WINDOW_MS).length;
+      if (recent >= limits.promptsPerMinute) {
+        return 'quota_exceeded_prompts_per_minute';
+      }
+    }
+
+    if (limits.costUsdPerDay !== null && usage.costUsd >= limits.costUsdPerDay) {
+      return 'quota_exceeded_cost_daily';
+    }
+
+    if (limits.turnsPerDay !== null && usage.turns >= limits.turnsPerDay) {
+      return 'quota_exceeded_turns_daily';
+    }
+
+    return null;
+  }
+
+  recordPrompt(key: string, now = Date.now()): void {
+    const usage = this.current(key, now);
+    usage.promptTimes = usage.promptTimes.filter((t) => now - t < PROMPT_WINDOW_MS);
+    usage.promptTimes.push(now);
+    this.persist();
+  }
+
+  recordUsage(key: string, delta: { costUsd: number; turns: number }, now = Date.now()): void {
+    const usage = this.current(key, now);
+    usage.costUsd += Number.isFinite(delta.costUsd) ? delta.costUsd : 0;
+    usage.turns += Number.isFinite(delta.turns) ? delta.turns : 0;
+    this.persist();
+  }
+
+  /** Snapshot of today's counters for `key`. */
+  snapshot(key: string, now = Date.now()): { day: string; costUsd: number; turns: number } {
+    const usage = this.current(key, now);
+    return { day: usage.day, costUsd: usage.costUsd, turns: usage.turns };
+  }
+
+  /** Resolve once every queued write has reached the disk. */
+  async flush(): Promise<void> {
+    await this.writer.flush();
+  }
+
+  private current(key: string, now: number): RequesterUsage {
+    const day = utcDay(now);
+    let usage = this.usage.get(key);
+    if (!usage) {
+      usage = { day, costUsd: 0, turns: 0, promptTimes: [] };
+      this.usage.set(key, usage);
+    } else if (usage.day !== day) {
+      usage.day = day;
+      usage.costUsd = 0;
+      usage.turns = 0;
+    }
+    return usage;
+  }
+
+  private persist(): void {
+    this.writer.schedule();
+  }
+
+  private serialize(): unknown {
+    const today = utcDay(Date.now());
+    const requesters: Record<string, RequesterUsage> = {};
+    for (const [key, usage] of this.usage) {
+      // Yesterday's counters are dead weight; drop them instead of growing forever.
+      if (usage.day !== today) {
+        continue;
+      }
+      requesters[key] = usage;
+    }
+    return { version: 1, requesters };
+  }
+}
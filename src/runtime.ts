@@ -1,16 +1,89 @@
+import { randomUUID } from 'node:crypto';
 import { setTimeout as sleep } from 'node:timers/promises';
 import WebSocket, { type RawData } from 'ws';
-import type { AgentConfig, SessionKeys } from './types.js';
+import type { AgentConfig, AgentPolicy } from './types.js';
 import {
   decryptFramePayload,
   encryptFramePayload,
   type FrameDirection,
 } from './crypto.js';
-import { appendAuditEvent } from './audit.js';
+import { appendAuditEvent, flushAuditEvents } from './audit.js';
+import {
+  appendAttachmentChunk,
+  ATTACHMENT_UPLOAD_TIMEOUT_MS,
+  completeAttachment,
+  formatPromptWithAttachments,
+  MAX_HELD_ATTACHMENTS,
+  MAX_PENDING_ATTACHMENTS,
+  parseAttachmentChunk,
+  prepareInboxDir,
+  resolveInboxDir,
+  saveAttachment,
+  startAttachment,
+  type HeldAttachment,
+  type PendingAttachment,
+  type StoredAttachment,
+} from './attachments.js';
+import { ControlServer, DEFAULT_CONTROL_SOCKET_PATH, type ControlClient } from './control.js';
 import { registerIdentityKey } from './gateway.js';
 import { acknowledgeHandshake } from './handshake.js';
-import { runPrompt } from './claude.js';
-import { runOllamaPrompt } from './ollama.js';
+import {
+  runPrompt,
+  type ToolActivityEvent,
+  type ToolApprovalDecision,
+  type ToolApprovalRequest,
+} from './claude.js';
+import {
+  forgetOllamaSessionMessages,
+  getOllamaSessionMessages,
+  restoreOllamaSessionMessages,
+  runOllamaPrompt,
+} from './ollama.js';
+import { CONVERSATION_TTL_MS, ConversationStore, DEFAULT_CONVERSATIONS_PATH } from './conversations.js';
+import { formatSlashCommandHelp, parseSlashCommand, type SlashCommand } from './commands.js';
+import { CheckpointStore, DEFAULT_CHECKPOINTS_PATH, type Checkpoint } from './checkpoints.js';
+import { FairRunScheduler, KeyedSerialQueue } from './queue.js';
+import { describeMcpServers, loadMcpServersFromFile, summarizeMcpServers } from './mcp.js';
+import { hashConfig, watchConfigFile } from './config-watch.js';
+import {
+  captureWorkspaceSnapshot,
+  collectWorkspaceDiff,
+  type DiffArtifact,
+  type WorkspaceSnapshot,
+} from './workspace-diff.js';
+import {
+  ensureConversationWorktree,
+  resolveConversationWorktree,
+  type ConversationWorktree,
+} from './worktrees.js';
+import { denialReasonLabel, metrics, startMetricsServer } from './metrics.js';
+import {
+  AGENT_FEATURES,
+  AGENT_VERSION,
+  legacyProtocol,
+  negotiateProtocol,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  type NegotiatedProtocol,
+  type ProtocolFeature,
+} from './protocol.js';
+import {
+  describePolicy,
+  getCwdPolicyViolation,
+  getRequesterPolicyViolation,
+  listWorkspaces,
+  loadPolicyFromFile,
+  resolveAttachmentSettings,
+  resolveEffectivePolicy,
+  resolveRequesterLimits,
+  resolveToolApprovalSettings,
+  resolveWorkspace,
+  summarizePolicy,
+  summarizeToolInput,
+} from './policy.js';
+import { DEFAULT_QUOTA_USAGE_PATH, QuotaTracker } from './quota.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('runtime');
 
 export interface RuntimeOptions {
   defaultCwd: string;
@@ -18,6 +91,46 @@ export interface RuntimeOptions {
   reconnectMinMs: number;
   reconnectMaxMs: number;
   auditLogPath: string;
+  maxQueueDepth: number;
+  maxConcurrentRuns: number;
+  quotaUsagePath: string;
+  sessionIdleTimeoutMs: number;
+  sessionMaxLifetimeMs: number;
+  conversationStorePath: string;
+  checkpointStorePath: string;
+  // The desktop app is attached through the control socket and answers
+  // owner decisions (approvals); set when it spawned the runtime.
+  desktopControl: boolean;
+  // Unix socket for local JSON-RPC control (ctl commands, desktop app);
+  // null disables it.
+  controlSocketPath: string | null;
+  // Localhost port for /metrics, /healthz and /readyz; null disables it.
+  metricsPort: number | null;
+  // Config files watched and hot-reloaded (also on SIGHUP); null when the
+  // policy came from the permission profile or no --mcp-config was given.
+  policyConfigPath: string | null;
+  mcpConfigPath: string | null;
+  // Park prompts from non-owners until the owner approves them on the desktop.
+  promptApproval: boolean;
+  promptApprovalTimeoutMs: number;
+  // How long a shutdown waits for running prompts before cancelling them.
+  shutdownGraceMs: number;
+  // Run each conversation's Claude prompts in its own git worktree on an
+  // agent/<conversationId> branch instead of the requested cwd.
+  conversationWorktrees: boolean;
+  // Keep Ollama transcripts in the conversation store (plaintext on disk)
+  // so conversations keep their context across restarts.
+  persistOllamaTranscripts: boolean;
+  // Checkpoint a cwd outside git by copying its files. Off by default: the
+  // cwd may be a whole home directory.
+  fileCheckpoints: boolean;
+}
+
+// Frame keys live in buffers (not base64 strings) so they can be zeroed
+// when the session ends. The control key is not needed after the handshake.
+interface RuntimeSessionKeys {
+  clientToAgent: Buffer;
+  agentToClient: Buffer;
 }
 
 interface RuntimeSession {
@@ -25,14 +138,75 @@ interface RuntimeSession {
   handshakeId: string;
   conversationId?: string;
   establishedAt: string;
-  keys: SessionKeys;
+  establishedAtMs: number;
+  lastActivityAtMs: number;
+  keys: RuntimeSessionKeys;
   claudeSessionId?: string;
+  // Who sent the most recent prompt, for control-socket introspection.
+  requesterUid?: string;
+  requesterEmail?: string | null;
   nextIncomingSeq: number;
   nextOutgoingSeq: number;
+  // Uploads still receiving chunks, finished ones held in memory until a
+  // session.message that references them may run, and those already written
+  // to the inbox; all keyed by attachment id.
+  pendingAttachments: Map<string, PendingAttachment>;
+  heldAttachments: Map<string, HeldAttachment>;
+  attachments: Map<string, StoredAttachment>;
+  ended?: boolean;
+}
+
+interface InFlightRun {
+  sessionId: string;
+  messageId: string;
+  conversationId?: string;
+  requesterUid: string;
+  controller: AbortController;
+  queuedAt: number;
+  startedAt?: number;
+  cancelReason?: string;
+}
+
+// An "ask" tool call waiting for a decision. Requester-routed approvals
+// are answered with session.approval.response, owner-routed ones through
+// the desktop control channel.
+interface PendingApproval {
+  approvalId: string;
+  sessionId: string;
+  messageId: string;
+  route: 'requester' | 'owner';
+  encrypted: boolean;
+  settle: (decision: ToolApprovalDecision) => void;
+}
+
+interface PromptApprovalDecision {
+  approved: boolean;
+  reason?: string;
+  // Optional owner note, relayed to the requester with a rejection.
+  note?: string;
+}
+
+// A received prompt parked until the owner decides (prompt-approval mode).
+interface PendingPromptApproval {
+  approvalId: string;
+  sessionId: string;
+  messageId: string;
+  settle: (decision: PromptApprovalDecision) => void;
 }
 
 type JsonRecord = Record<string, unknown>;
 
+type ConfigReloadTrigger = 'watch' | 'sighup' | 'control';
+
+// Ollama emits one chunk per token; coalesce them so each encrypted delta
+// frame carries a readable slice of text instead of a single token.
+const DELTA_FLUSH_MS = 150;
+const SESSION_SWEEP_MAX_INTERVAL_MS = 30_000;
+const OWNER_NOTE_MAX_CHARS = 500;
+const DRAIN_POLL_MS = 100;
+// After the grace period, how long cancelled runs get to report back.
+const DRAIN_CANCEL_WAIT_MS = 5_000;
+
 function isRecord(value: unknown): value is JsonRecord {
   return typeof value === 'object' && value !== null;
 }
@@ -60,6 +234,31 @@ function fallbackRequesterDisplayName(email: string | null, uid: string): string
   return uid.length > 12 ? uid.slice(0, 12) : uid;
 }
 
+// Requester identity is asserted by the gateway on the outer frame.
+function parseRequester(frame: JsonRecord): { uid: string; email: string | null; displayName: string } {
+  const requester = isRecord(frame.requester) ? frame.requester : null;
+  const uid = firstString(
+    frame.requester_uid,
+    frame.requesterUid,
+    frame.user_id,
+    frame.userId,
+    requester?.uid
+  ) ?? 'unknown';
+  const email = firstString(
+    frame.requester_email,
+    frame.requesterEmail,
+    requester?.email
+  );
+  const displayName = firstString(
+    frame.requester_display_name,
+    frame.requesterDisplayName,
+    requester?.display_name,
+    requester?.displayName,
+    requester?.name
+  ) ?? fallbackRequesterDisplayName(email, uid);
+  return { uid, email, displayName };
+}
+
 function parsePositiveSeq(raw: unknown): number | null {
   if (typeof raw === 'number') {
     if (Number.isInteger(raw) && raw > 0) {
@@ -106,6 +305,19 @@ function buildAadBase64(
   return Buffer.from(raw, 'utf8').toString('base64');
 }
 
+function inFlightKey(sessionId: string, messageId: string): string {
+  return `${sessionId}:${messageId}`;
+}
+
+function hasEncryptedFields(frame: JsonRecord): boolean {
+  return (
+    typeof frame.ciphertext === 'string' ||
+    typeof frame.nonce === 'string' ||
+    typeof frame.aad === 'string' ||
+    typeof frame.tag === 'string'
+  );
+}
+
 function rawDataToString(data: RawData): string {
   if (data instanceof Buffer) {
     return data.toString('utf8');
@@ -128,6 +340,12 @@ function toWsUrl(gatewayUrl: string, deviceId: string): string {
   return url.toString();
 }
 
+function zeroSessionKeys(session: RuntimeSession): void {
+  session.ended = true;
+  session.keys.clientToAgent.fill(0);
+  session.keys.agentToClient.fill(0);
+}
+
 function sendJson(ws: WebSocket, payload: unknown): void {
   if (ws.readyState !== WebSocket.OPEN) {
     return;
@@ -139,24 +357,40 @@ function sendJson(ws: WebSocket, payload: unknown): void {
   ws.send(JSON.stringify(payload), (err) => {
     if (err) {
       const msg = err instanceof Error ? err.message : String(err);
-      console.log(`[runtime] websocket send failed frame=${frameType} error=${msg}`);
+      log.warn(`websocket send failed frame=${frameType} error=${msg}`);
     }
   });
 }
 
-/**
- * Emit a structured event line to stdout that the desktop app can intercept.
- * Format: __DESKTOP_EVENT__:{json}\n
- */
-function emitDesktopEvent(event: string, data: Record<string, unknown>): void {
-  const line = JSON.stringify({ event, ...data, ts: new Date().toISOString() });
-  process.stdout.write(`__DESKTOP_EVENT__:${line}\n`);
-}
-
 class AgentRuntime {
   private readonly sessions = new Map<string, RuntimeSession>();
   private readonly conversationClaudeSessions = new Map<string, string>();
+  // Keyed like the prompt queue (conversation:<id> or session:<id>). Usage
+  // counts since the runtime started; models are /model overrides. Both are
+  // dropped once a key has been idle for CONVERSATION_TTL_MS.
+  private readonly conversationUsage = new Map<string, { costUsd: number; turns: number; prompts: number }>();
+  private readonly conversationModels = new Map<string, string>();
+  private readonly conversationLastUsedAtMs = new Map<string, number>();
+  private readonly inFlightRuns = new Map<string, InFlightRun>();
+  private readonly pendingApprovals = new Map<string, PendingApproval>();
+  private readonly pendingPromptApprovals = new Map<string, PendingPromptApproval>();
+  private readonly promptQueue: KeyedSerialQueue;
+  private readonly runScheduler: FairRunScheduler;
+  private readonly quotas: QuotaTracker;
+  private readonly conversations: ConversationStore;
+  private readonly checkpoints: CheckpointStore;
+  private activeWs: WebSocket | null = null;
+  private control: ControlServer | null = null;
+  // Reset to the legacy defaults on every connect, then set by gateway.hello.
+  private protocol: NegotiatedProtocol = legacyProtocol();
+  // Set when retrying cannot help (no common protocol version); stops the runtime.
+  private fatalError: Error | null = null;
+  private reloadChain: Promise<void> = Promise.resolve();
+  // Hashes of the applied policy / MCP config, to skip no-op reloads.
+  private readonly configHashes: { policy: string; mcp: string };
   private backoffMs: number;
+  private draining = false;
+  private drainPromise: Promise<void> | null = null;
 
   constructor(
     private readonly config: AgentConfig,
@@ -164,25 +398,148 @@ class AgentRuntime {
     private readonly signal: AbortSignal
   ) {
     this.backoffMs = options.reconnectMinMs;
+    this.promptQueue = new KeyedSerialQueue(options.maxQueueDepth);
+    this.runScheduler = new FairRunScheduler(options.maxConcurrentRuns);
+    this.quotas = new QuotaTracker(options.quotaUsagePath);
+    this.conversations = new ConversationStore(options.conversationStorePath, {
+      persistMessages: options.persistOllamaTranscripts,
+    });
+    this.checkpoints = new CheckpointStore(options.checkpointStorePath);
+    this.configHashes = { policy: hashConfig(config.policy), mcp: hashConfig(config.mcpServers) };
   }
 
   async run(): Promise<void> {
+    await this.quotas.load();
+    await this.checkpoints.load();
+    await this.restoreConversations();
+
+    const sweepIntervalMs = Math.min(
+      SESSION_SWEEP_MAX_INTERVAL_MS,
+      this.options.sessionIdleTimeoutMs,
+      this.options.sessionMaxLifetimeMs
+    );
+    if (this.options.controlSocketPath) {
+      const control = new ControlServer(this.options.controlSocketPath, this.controlMethods());
+      await control.start();
+      this.control = control;
+    }
+
+    metrics.websocketConnected.track(() => (this.activeWs?.readyState === WebSocket.OPEN ? 1 : 0));
+    metrics.activeSessions.track(() => this.sessions.size);
+    metrics.inFlightRuns.track(() => this.inFlightRuns.size);
+    const stopMetrics = this.options.metricsPort
+      ? await startMetricsServer(this.options.metricsPort, {
+          isReady: () => this.activeWs?.readyState === WebSocket.OPEN && !this.draining,
+        })
+      : null;
+
+    const sweepTimer = setInterval(() => this.sweepExpiredSessions(), sweepIntervalMs);
+    const stopWatchers = [
+      this.options.policyConfigPath
+        ? watchConfigFile(this.options.policyConfigPath, () => void this.reloadConfigFile('policy', 'watch'))
+        : null,
+      this.options.mcpConfigPath
+        ? watchConfigFile(this.options.mcpConfigPath, () => void this.reloadConfigFile('mcp', 'watch'))
+        : null,
+    ];
+    const onSighup = (): void => {
+      log.info('SIGHUP received; reloading config');
+      this.reloadAllConfig('sighup');
+    };
+    process.on('SIGHUP', onSighup);
+    try {
+      await this.runConnectionLoop();
+      // Also covers a shutdown that arrives while disconnected.
+      await this.drain();
+      if (this.fatalError) {
+        throw this.fatalError;
+      }
+    } finally {
+      clearInterval(sweepTimer);
+      process.removeListener('SIGHUP', onSighup);
+      for (const stop of stopWatchers) {
+        stop?.();
+      }
+      await this.control?.close();
+      this.control = null;
+      await stopMetrics?.();
+    }
+  }
+
+  private promptMetricLabels(model = this.config.model): { provider: string; model: string } {
+    return { provider: this.config.provider ?? 'claude', model };
+  }
+
+  private recordConversationUsage(conversationKey: string, delta: { costUsd: number; turns: number }): void {
+    const usage = this.conversationUsage.get(conversationKey) ?? { costUsd: 0, turns: 0, prompts: 0 };
+    usage.costUsd += Number.isFinite(delta.costUsd) ? delta.costUsd : 0;
+    usage.turns += Number.isFinite(delta.turns) ? delta.turns : 0;
+    usage.prompts += 1;
+    this.conversationUsage.set(conversationKey, usage);
+    this.conversationLastUsedAtMs.set(conversationKey, Date.now());
+  }
+
+  private pruneConversationState(now: number): void {
+    for (const [key, lastUsedAtMs] of this.conversationLastUsedAtMs) {
+      if (now - lastUsedAtMs >= CONVERSATION_TTL_MS) {
+        this.conversationLastUsedAtMs.delete(key);
+        this.conversationUsage.delete(key);
+        this.conversationModels.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Emit a structured event for the desktop app: as a JSON-RPC `event`
+   * notification to control-socket subscribers, and as a
+   * __DESKTOP_EVENT__:{json} stdout line for anything tailing the output.
+   */
+  private emitDesktopEvent(event: string, data: Record<string, unknown>): void {
+    const record = { event, ...data, ts: new Date().toISOString() };
+    process.stdout.write(`__DESKTOP_EVENT__:${JSON.stringify(record)}\n`);
+    this.control?.notify('event', record);
+  }
+
+  private async restoreConversations(): Promise<void> {
+    await this.conversations.load();
+
+    const provider = this.config.provider === 'ollama' ? 'ollama' : 'claude';
+    let restored = 0;
+    for (const entry of this.conversations.list()) {
+      // A Claude session id means nothing to Ollama and vice versa.
+      if (entry.provider !== provider) {
+        continue;
+      }
+      this.conversationClaudeSessions.set(entry.conversationId, entry.sessionId);
+      if (provider === 'ollama' && entry.messages) {
+        restoreOllamaSessionMessages(entry.sessionId, entry.messages);
+      }
+      restored += 1;
+    }
+
+    if (restored > 0) {
+      log.info(`restored ${restored} conversation(s) from ${this.options.conversationStorePath}`);
+    }
+  }
+
+  private async runConnectionLoop(): Promise<void> {
     while (!this.signal.aborted) {
       try {
         await this.connectOnce();
         this.backoffMs = this.options.reconnectMinMs;
       } catch (err) {
         const msg = err instanceof Error ? err.message : String(err);
-        console.log(`[runtime] connection cycle failed: ${msg}`);
+        log.warn(`connection cycle failed: ${msg}`);
       }
 
-      if (this.signal.aborted) {
+      if (this.signal.aborted || this.fatalError) {
         break;
       }
 
       const jitter = Math.floor(Math.random() * 500);
       const waitMs = this.backoffMs + jitter;
-      console.log(`[runtime] reconnecting in ${waitMs}ms`);
+      log.info(`reconnecting in ${waitMs}ms`);
+      metrics.reconnects.inc();
       await sleep(waitMs);
       this.backoffMs = Math.min(this.backoffMs * 2, this.options.reconnectMaxMs);
     }
@@ -202,7 +559,7 @@ class AgentRuntime {
     }
 
     const wsUrl = toWsUrl(this.config.gatewayUrl, this.config.deviceId);
-    console.log(`[runtime] connecting ${wsUrl}`);
+    log.info(`connecting ${wsUrl}`);
 
     await new Promise<void>((resolve, reject) => {
       const ws = new WebSocket(wsUrl, {
@@ -234,25 +591,46 @@ class AgentRuntime {
       };
 
       const onAbort = (): void => {
-        if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        if (ws.readyState === WebSocket.CONNECTING) {
           ws.close(1000, 'shutdown');
+          finish();
+          return;
         }
-        finish();
+        void this.drain().finally(() => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.close(1001, 'shutdown');
+          }
+          finish();
+        });
       };
 
       this.signal.addEventListener('abort', onAbort, { once: true });
+      if (this.signal.aborted) {
+        // Shutdown arrived while identity registration was in flight.
+        onAbort();
+      }
 
       ws.on('open', () => {
-        console.log('[runtime] connected');
+        log.info('connected');
+        this.activeWs = ws;
+        this.protocol = legacyProtocol();
         sendJson(ws, {
           type: 'agent.hello',
           device_id: this.config.deviceId,
-          agent_version: '0.1.0',
+          agent_version: AGENT_VERSION,
+          protocol_versions: [...SUPPORTED_PROTOCOL_VERSIONS],
+          features: [...AGENT_FEATURES],
+          // Pre-negotiation capability flags, kept for older gateways.
           capabilities: {
             plaintext_prompt_execution: true,
             handshake_ack_http: true,
             encrypted_frames: true,
             encrypted_algorithms: ['aes-256-gcm'],
+            streaming_deltas: true,
+            message_cancel: true,
+            message_queue: true,
+            tool_activity: true,
+            tool_approvals: true,
           },
         });
 
@@ -278,13 +656,16 @@ class AgentRuntime {
 
       ws.on('close', (code: number, reasonBuf: Buffer) => {
         const reason = reasonBuf.toString('utf8');
-        console.log(`[runtime] socket closed code=${code} reason=${reason || '(none)'}`);
+        log.info(`socket closed code=${code} reason=${reason || '(none)'}`);
+        if (this.activeWs === ws) {
+          this.activeWs = null;
+        }
         finish();
       });
 
       ws.on('error', (err: Error) => {
         const msg = err instanceof Error ? err.message : String(err);
-        console.log(`[runtime] socket error: ${msg}`);
+        log.warn(`socket error: ${msg}`);
         finish(new Error(msg));
       });
     });
@@ -329,6 +710,11 @@ class AgentRuntime {
       return;
     }
 
+    if (frameType === 'gateway.hello' || frameType === 'agent.hello.ack') {
+      this.handleGatewayHello(ws, parsed);
+      return;
+    }
+
     if (frameType === 'session.handshake.request') {
       await this.handleHandshakeRequest(ws, parsed);
       return;
@@ -339,15 +725,55 @@ class AgentRuntime {
       return;
     }
 
+    if (frameType === 'session.message.cancel') {
+      if (!this.hasFeature('cancel')) {
+        this.rejectUnnegotiatedFrame(ws, parsed, 'cancel');
+        return;
+      }
+      await this.handleMessageCancel(ws, parsed);
+      return;
+    }
+
+    if (frameType === 'session.approval.response') {
+      if (!this.hasFeature('approvals')) {
+        this.rejectUnnegotiatedFrame(ws, parsed, 'approvals');
+        return;
+      }
+      await this.handleApprovalResponse(ws, parsed);
+      return;
+    }
+
+    if (frameType === 'session.attachment') {
+      if (!this.hasFeature('attachments')) {
+        this.rejectUnnegotiatedFrame(ws, parsed, 'attachments');
+        return;
+      }
+      await this.handleAttachmentChunk(ws, parsed);
+      return;
+    }
+
+    if (frameType === 'session.rollback') {
+      if (!this.hasFeature('rollback')) {
+        this.rejectUnnegotiatedFrame(ws, parsed, 'rollback');
+        return;
+      }
+      await this.handleRollback(ws, parsed);
+      return;
+    }
+
+    if (frameType === 'session.workspaces') {
+      if (!this.hasFeature('workspaces')) {
+        this.rejectUnnegotiatedFrame(ws, parsed, 'workspaces');
+        return;
+      }
+      await this.handleWorkspacesRequest(ws, parsed);
+      return;
+    }
+
     if (frameType === 'session.cancel') {
       const sessionId = firstString(parsed.session_id, parsed.sessionId);
       if (sessionId) {
-        const session = this.sessions.get(sessionId);
-        this.sessions.delete(sessionId);
-        emitDesktopEvent('session.ended', {
-          sessionId,
-          conversationId: session?.conversationId,
-        });
+        this.endSession(sessionId, 'session_cancelled', { notifyClient: false });
       }
       sendJson(ws, {
         type: 'session.cancelled',
@@ -363,6 +789,44 @@ class AgentRuntime {
     });
   }
 
+  /**
+   * The gateway's answer to agent.hello: settle on the highest common
+   * protocol version and the features both sides support. With no common
+   * version the runtime cannot talk to this gateway at all, so it stops
+   * instead of reconnecting forever.
+   */
+  private handleGatewayHello(ws: WebSocket, frame: JsonRecord): void {
+    try {
+      this.protocol = negotiateProtocol(frame);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.error(msg);
+      this.fatalError = new Error(msg);
+      ws.close(1002, 'protocol_version_mismatch');
+      return;
+    }
+
+    const features = [...this.protocol.features].join(',') || 'none';
+    const gatewayVersion = firstString(frame.gateway_version, frame.gatewayVersion);
+    log.info(
+      `protocol negotiated version=${this.protocol.version} features=${features}` +
+      (gatewayVersion ? ` gateway_version=${gatewayVersion}` : '')
+    );
+  }
+
+  private hasFeature(feature: ProtocolFeature): boolean {
+    return this.protocol.features.has(feature);
+  }
+
+  private rejectUnnegotiatedFrame(ws: WebSocket, frame: JsonRecord, feature: ProtocolFeature): void {
+    this.sendSessionError(ws, {
+      sessionId: firstString(frame.session_id, frame.sessionId) ?? 'unknown',
+      messageId: firstString(frame.message_id, frame.messageId) ?? 'unknown',
+      error: 'feature_not_negotiated',
+      details: { feature },
+    });
+  }
+
   private async handleHandshakeRequest(ws: WebSocket, frame: JsonRecord): Promise<void> {
     const sessionId = firstString(frame.session_id, frame.sessionId);
     const handshakeId = firstString(frame.handshake_id, frame.handshakeId);
@@ -371,6 +835,7 @@ class AgentRuntime {
     const clientSessionNonce = firstString(frame.client_session_nonce, frame.clientSessionNonce);
 
     if (!sessionId || !handshakeId || !clientEphemeralPublicKey || !clientSessionNonce) {
+      metrics.handshakes.inc({ outcome: 'failed' });
       sendJson(ws, {
         type: 'session.handshake.ack',
         status: 'error',
@@ -405,21 +870,32 @@ class AgentRuntime {
         requireGatewayAck: false,
       });
 
-      const establishedAt = new Date().toISOString();
+      const establishedAtMs = Date.now();
+      const establishedAt = new Date(establishedAtMs).toISOString();
       const resumedClaudeSessionId =
         conversationId ? this.conversationClaudeSessions.get(conversationId) : undefined;
+      const previous = this.sessions.get(sessionId);
+      if (previous) {
+        zeroSessionKeys(previous);
+      }
       this.sessions.set(sessionId, {
         sessionId,
         handshakeId,
         conversationId,
         establishedAt,
+        establishedAtMs,
+        lastActivityAtMs: establishedAtMs,
         keys: ack.sessionKeys,
         claudeSessionId: resumedClaudeSessionId,
         nextIncomingSeq: 1,
         nextOutgoingSeq: 1,
+        pendingAttachments: new Map(),
+        heldAttachments: new Map(),
+        attachments: new Map(),
       });
 
-      emitDesktopEvent('session.started', { sessionId, handshakeId, conversationId, establishedAt });
+      metrics.handshakes.inc({ outcome: 'ok' });
+      this.emitDesktopEvent('session.started', { sessionId, handshakeId, conversationId, establishedAt });
 
       sendJson(ws, {
         type: 'session.handshake.ack',
@@ -437,7 +913,8 @@ class AgentRuntime {
       });
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
-      console.log(`[runtime] handshake failed session=${sessionId} handshake=${handshakeId} error=${msg}`);
+      log.warn(`handshake failed session=${sessionId} handshake=${handshakeId} error=${msg}`);
+      metrics.handshakes.inc({ outcome: 'failed' });
       sendJson(ws, {
         type: 'session.handshake.ack',
         status: 'error',
@@ -457,21 +934,28 @@ class AgentRuntime {
       conversationId?: string;
       session?: RuntimeSession;
       encrypted?: boolean;
+      details?: JsonRecord;
     }
   ): void {
-    const { sessionId, messageId, error, conversationId, session, encrypted } = params;
+    const { sessionId, messageId, error, conversationId, session, encrypted, details } = params;
     const resolvedConversationId = conversationId ?? session?.conversationId;
 
+    // Keys of an ended session are zeroed; there is nobody left to answer.
+    if (session?.ended) {
+      return;
+    }
+
     if (session && encrypted) {
       const seq = session.nextOutgoingSeq;
       const direction: FrameDirection = 'agent_to_client';
       const aad = buildAadBase64(sessionId, messageId, seq, direction);
 
       const encryptedPayload = encryptFramePayload({
-        keyBase64: session.keys.agentToClientBase64,
+        key: session.keys.agentToClient,
         direction,
         seq,
         plaintextUtf8: JSON.stringify({
+          ...details,
           error,
           message_id: messageId,
           session_id: sessionId,
@@ -499,164 +983,1736 @@ class AgentRuntime {
       session_id: sessionId,
       message_id: messageId,
       ...(resolvedConversationId ? { conversation_id: resolvedConversationId } : {}),
+      ...details,
       error,
     });
   }
 
-  private async handleSessionMessage(ws: WebSocket, frame: JsonRecord): Promise<void> {
-    const sessionId = firstString(frame.session_id, frame.sessionId);
-    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+  private sendSessionPayload(
+    ws: WebSocket,
+    params: {
+      type: string;
+      sessionId: string;
+      messageId: string;
+      conversationId?: string;
+      session: RuntimeSession;
+      encrypted: boolean;
+      payload: JsonRecord;
+    }
+  ): void {
+    const { type, sessionId, messageId, conversationId, session, encrypted, payload } = params;
 
-    if (!sessionId) {
+    if (session.ended) {
+      return;
+    }
+
+    if (encrypted) {
+      const seq = session.nextOutgoingSeq;
+      const direction: FrameDirection = 'agent_to_client';
+      const aad = buildAadBase64(sessionId, messageId, seq, direction);
+
+      const encryptedPayload = encryptFramePayload({
+        key: session.keys.agentToClient,
+        direction,
+        seq,
+        plaintextUtf8: JSON.stringify({
+          ...payload,
+          session_id: sessionId,
+          message_id: messageId,
+        }),
+        aadBase64: aad,
+      });
+
+      session.nextOutgoingSeq += 1;
+
+      sendJson(ws, {
+        type,
+        session_id: sessionId,
+        message_id: messageId,
+        ...(conversationId ? { conversation_id: conversationId } : {}),
+        encrypted: true,
+        handshake_id: session.handshakeId,
+        ...encryptedPayload,
+      });
+      return;
+    }
+
+    sendJson(ws, {
+      type,
+      session_id: sessionId,
+      message_id: messageId,
+      ...(conversationId ? { conversation_id: conversationId } : {}),
+      ...payload,
+      handshake_id: session.handshakeId,
+    });
+  }
+
+  /**
+   * Validate seq/direction and decrypt a client_to_agent frame. Sends the
+   * matching session.error and returns null when the frame is rejected; on
+   * success the session's incoming seq is advanced.
+   */
+  private decryptSessionFrame(
+    ws: WebSocket,
+    params: {
+      frame: JsonRecord;
+      session: RuntimeSession;
+      sessionId: string;
+      messageId: string;
+    }
+  ): JsonRecord | null {
+    const { frame, session, sessionId, messageId } = params;
+
+    const seq = parsePositiveSeq(frame.seq);
+    if (!seq) {
       this.sendSessionError(ws, {
-        sessionId: 'unknown',
+        sessionId,
         messageId,
-        error: 'missing_session_id',
+        error: 'invalid_or_missing_seq',
+        session,
+        encrypted: true,
       });
-      return;
+      return null;
     }
 
-    const session = this.sessions.get(sessionId);
-    if (!session) {
+    if (seq !== session.nextIncomingSeq) {
       this.sendSessionError(ws, {
         sessionId,
         messageId,
-        error: 'handshake_not_established',
+        error: `unexpected_seq_expected_${session.nextIncomingSeq}_got_${seq}`,
+        session,
+        encrypted: true,
       });
-      return;
+      return null;
     }
 
-    const hasEncryptedFields =
-      typeof frame.ciphertext === 'string' ||
-      typeof frame.nonce === 'string' ||
-      typeof frame.aad === 'string' ||
-      typeof frame.tag === 'string';
+    const direction = normalizeDirection(firstString(frame.direction), 'client_to_agent');
+    if (direction !== 'client_to_agent') {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: `invalid_direction_${direction}`,
+        session,
+        encrypted: true,
+      });
+      return null;
+    }
 
-    let encryptedRequest = false;
-    let prompt: string | null;
-    let cwd: string;
-    let conversationId = firstString(frame.conversation_id, frame.conversationId) ?? session.conversationId;
-    const requester = isRecord(frame.requester) ? frame.requester : null;
-    const requesterUID = firstString(
-      frame.requester_uid,
-      frame.requesterUid,
-      frame.user_id,
-      frame.userId,
-      requester?.uid
-    ) ?? 'unknown';
-    const requesterEmail = firstString(
-      frame.requester_email,
-      frame.requesterEmail,
-      requester?.email
-    );
-    const requesterDisplayName = firstString(
-      frame.requester_display_name,
-      frame.requesterDisplayName,
-      requester?.display_name,
-      requester?.displayName,
-      requester?.name
-    ) ?? fallbackRequesterDisplayName(requesterEmail, requesterUID);
-    const receivedAt = firstString(frame.received_at, frame.receivedAt) ?? new Date().toISOString();
+    const ciphertext = firstString(frame.ciphertext);
+    const nonce = firstString(frame.nonce);
+    const tag = firstString(frame.tag, frame.auth_tag, frame.authTag);
+    const aad = firstString(frame.aad) ?? undefined;
 
-    if (hasEncryptedFields) {
-      encryptedRequest = true;
+    if (!ciphertext || !nonce || !tag) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'missing_encrypted_fields',
+        session,
+        encrypted: true,
+      });
+      return null;
+    }
 
-      const seq = parsePositiveSeq(frame.seq);
-      if (!seq) {
-        this.sendSessionError(ws, {
-          sessionId,
-          messageId,
-          error: 'invalid_or_missing_seq',
-          session,
-          encrypted: true,
-        });
-        return;
-      }
+    let decryptedText: string;
+    try {
+      decryptedText = decryptFramePayload({
+        key: session.keys.clientToAgent,
+        direction: 'client_to_agent',
+        seq,
+        nonceBase64: nonce,
+        ciphertextBase64: ciphertext,
+        tagBase64: tag,
+        ...(aad ? { aadBase64: aad } : {}),
+      });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: `decrypt_failed_${msg}`,
+        session,
+        encrypted: true,
+      });
+      return null;
+    }
 
-      if (seq !== session.nextIncomingSeq) {
-        this.sendSessionError(ws, {
-          sessionId,
-          messageId,
-          error: `unexpected_seq_expected_${session.nextIncomingSeq}_got_${seq}`,
-          session,
-          encrypted: true,
-        });
-        return;
-      }
+    let decryptedPayload: unknown;
+    try {
+      decryptedPayload = JSON.parse(decryptedText);
+    } catch {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'decrypted_payload_not_json',
+        session,
+        encrypted: true,
+      });
+      return null;
+    }
 
-      const direction = normalizeDirection(firstString(frame.direction), 'client_to_agent');
-      if (direction !== 'client_to_agent') {
-        this.sendSessionError(ws, {
-          sessionId,
-          messageId,
-          error: `invalid_direction_${direction}`,
-          session,
-          encrypted: true,
-        });
-        return;
-      }
+    if (!isRecord(decryptedPayload)) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'decrypted_payload_invalid_shape',
+        session,
+        encrypted: true,
+      });
+      return null;
+    }
 
-      const ciphertext = firstString(frame.ciphertext);
-      const nonce = firstString(frame.nonce);
-      const tag = firstString(frame.tag, frame.auth_tag, frame.authTag);
-      const aad = firstString(frame.aad) ?? undefined;
+    session.nextIncomingSeq += 1;
+    session.lastActivityAtMs = Date.now();
+    return decryptedPayload;
+  }
 
-      if (!ciphertext || !nonce || !tag) {
-        this.sendSessionError(ws, {
+  /**
+   * Refuse a session.message before it reaches the provider: audit the
+   * decision, surface it on the desktop and answer with a session.error.
+   */
+  private async rejectSessionMessage(
+    ws: WebSocket,
+    params: {
+      session: RuntimeSession;
+      sessionId: string;
+      messageId: string;
+      conversationId?: string;
+      encrypted: boolean;
+      requesterUID: string;
+      requesterEmail: string | null;
+      auditEvent: string;
+      error: string;
+      auditFields?: JsonRecord;
+      errorDetails?: JsonRecord;
+    }
+  ): Promise<void> {
+    const { session, sessionId, messageId, conversationId, encrypted, error } = params;
+    // The owner declining a parked prompt, or a shutdown, is not a policy denial.
+    const outcome = error === 'agent_shutting_down'
+      ? 'shutting_down'
+      : (params.auditEvent === 'session.message.not_approved' ? 'not_approved' : 'rejected');
+    metrics.prompts.inc({ ...this.promptMetricLabels(), outcome });
+    if (outcome === 'rejected') {
+      metrics.policyDenials.inc({ stage: 'prompt', reason: denialReasonLabel(error) });
+    }
+
+    try {
+      await appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: params.auditEvent,
+        requester_uid: params.requesterUID,
+        requester_email: params.requesterEmail ?? null,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        message_id: messageId,
+        reason: error,
+        ...params.auditFields,
+      });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.warn(`audit log write failed: ${msg}`);
+    }
+
+    this.emitDesktopEvent('session.error', { sessionId, conversationId, messageId, error, ...params.errorDetails });
+    this.sendSessionError(ws, {
+      sessionId,
+      messageId,
+      error,
+      conversationId,
+      session,
+      encrypted,
+      details: params.errorDetails,
+    });
+  }
+
+  /**
+   * Tear a session down: abort its runs, optionally tell the client with an
+   * encrypted session.ended frame, then zero its keys and forget it.
+   */
+  private endSession(sessionId: string, reason: string, options: { notifyClient: boolean }): void {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(sessionId);
+    this.abortSessionRuns(sessionId, reason);
+    for (const pending of [...this.pendingPromptApprovals.values()]) {
+      if (pending.sessionId === sessionId) {
+        pending.settle({ approved: false, reason });
+      }
+    }
+
+    if (options.notifyClient && this.activeWs) {
+      this.sendSessionPayload(this.activeWs, {
+        type: 'session.ended',
+        sessionId,
+        messageId: `session_end_${session.nextOutgoingSeq}`,
+        conversationId: session.conversationId,
+        session,
+        encrypted: true,
+        payload: { status: 'ended', reason },
+      });
+    }
+
+    zeroSessionKeys(session);
+    this.emitDesktopEvent('session.ended', {
+      sessionId,
+      conversationId: session.conversationId,
+      reason,
+    });
+  }
+
+  private sweepExpiredSessions(): void {
+    const now = Date.now();
+    this.pruneConversationState(now);
+    for (const session of [...this.sessions.values()]) {
+      for (const [attachmentId, pending] of session.pendingAttachments) {
+        if (now - pending.updatedAtMs >= ATTACHMENT_UPLOAD_TIMEOUT_MS) {
+          session.pendingAttachments.delete(attachmentId);
+        }
+      }
+
+      let reason: string | null = null;
+      if (now - session.establishedAtMs >= this.options.sessionMaxLifetimeMs) {
+        reason = 'session_max_lifetime_exceeded';
+      } else if (
+        now - session.lastActivityAtMs >= this.options.sessionIdleTimeoutMs &&
+        !this.hasSessionRuns(session.sessionId)
+      ) {
+        reason = 'session_idle_timeout';
+      }
+
+      if (!reason) {
+        continue;
+      }
+
+      log.info(`ending session=${session.sessionId} reason=${reason}`);
+      this.endSession(session.sessionId, reason, { notifyClient: true });
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: 'session.expired',
+        device_id: this.config.deviceId,
+        session_id: session.sessionId,
+        handshake_id: session.handshakeId,
+        reason,
+        established_at: session.establishedAt,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    }
+  }
+
+  private drain(): Promise<void> {
+    if (!this.drainPromise) {
+      this.drainPromise = this.runDrain();
+    }
+    return this.drainPromise;
+  }
+
+  /**
+   * Shutdown drain: refuse new prompts, give running ones up to
+   * shutdownGraceMs to finish (then cancel them), end every open session
+   * with an encrypted session.ended and flush pending writes.
+   */
+  private async runDrain(): Promise<void> {
+    this.draining = true;
+    const startedAt = Date.now();
+    log.info(
+      `draining runs=${this.inFlightRuns.size} sessions=${this.sessions.size} grace_ms=${this.options.shutdownGraceMs}`
+    );
+
+    for (const pending of [...this.pendingPromptApprovals.values()]) {
+      pending.settle({ approved: false, reason: 'agent_shutting_down' });
+    }
+    for (const pending of [...this.pendingApprovals.values()]) {
+      pending.settle({ approved: false, reason: 'agent_shutting_down' });
+    }
+    // Queued prompts would not get to run before the grace period ends.
+    for (const run of this.inFlightRuns.values()) {
+      if (run.startedAt === undefined && !run.controller.signal.aborted) {
+        run.cancelReason = 'agent_shutting_down';
+        run.controller.abort();
+      }
+    }
+
+    const graceDeadline = startedAt + this.options.shutdownGraceMs;
+    while (this.inFlightRuns.size > 0 && Date.now() < graceDeadline) {
+      await sleep(DRAIN_POLL_MS);
+    }
+
+    if (this.inFlightRuns.size > 0) {
+      log.info(`shutdown grace period over; cancelling ${this.inFlightRuns.size} run(s)`);
+      for (const run of this.inFlightRuns.values()) {
+        if (!run.controller.signal.aborted) {
+          run.cancelReason = 'agent_shutting_down';
+          run.controller.abort();
+        }
+      }
+      const cancelDeadline = Date.now() + DRAIN_CANCEL_WAIT_MS;
+      while (this.inFlightRuns.size > 0 && Date.now() < cancelDeadline) {
+        await sleep(DRAIN_POLL_MS);
+      }
+    }
+
+    const endedSessions = this.sessions.size;
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.endSession(sessionId, 'agent_shutdown', { notifyClient: true });
+    }
+
+    void appendAuditEvent(this.options.auditLogPath, {
+      at: new Date().toISOString(),
+      event: 'runtime.shutdown',
+      device_id: this.config.deviceId,
+      drain_ms: Date.now() - startedAt,
+      ended_sessions: endedSessions,
+      unfinished_runs: this.inFlightRuns.size,
+    }).catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.warn(`audit log write failed: ${msg}`);
+    });
+
+    await Promise.all([
+      flushAuditEvents(),
+      this.conversations.flush(),
+      this.checkpoints.flush(),
+      this.quotas.flush(),
+    ]);
+    log.info(`drain complete in ${Date.now() - startedAt}ms`);
+  }
+
+  private hasSessionRuns(sessionId: string): boolean {
+    for (const run of this.inFlightRuns.values()) {
+      if (run.sessionId === sessionId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  private abortSessionRuns(sessionId: string, reason: string): void {
+    for (const run of this.inFlightRuns.values()) {
+      if (run.sessionId === sessionId && !run.controller.signal.aborted) {
+        run.cancelReason = reason;
+        run.controller.abort();
+      }
+    }
+  }
+
+  private async handleMessageCancel(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    const encryptedRequest = hasEncryptedFields(frame);
+    if (encryptedRequest) {
+      const decryptedPayload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+      if (!decryptedPayload) {
+        return;
+      }
+      messageId = firstString(decryptedPayload.message_id, decryptedPayload.messageId) ?? messageId;
+    }
+
+    const parked = [...this.pendingPromptApprovals.values()]
+      .find((pending) => pending.sessionId === sessionId && pending.messageId === messageId);
+    if (parked) {
+      parked.settle({ approved: false, reason: 'requester_cancelled' });
+      return;
+    }
+
+    const run = this.inFlightRuns.get(inFlightKey(sessionId, messageId));
+    if (!run) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'message_not_in_flight',
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    // The run itself reports the cancellation with a session.result frame,
+    // either right away while still queued or once the provider call unwinds.
+    if (!run.controller.signal.aborted) {
+      run.cancelReason = 'requester_cancelled';
+      run.controller.abort();
+    }
+  }
+
+  /**
+   * One chunk of an encrypted upload. Chunks ride the session's
+   * client_to_agent seq stream in order; the last one is answered with
+   * session.attachment.stored. The file stays in memory until a message that
+   * references it is allowed to run (see writeHeldAttachments). Replies use
+   * the attachment id as their message id.
+   */
+  private async handleAttachmentChunk(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    const messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    // File contents never cross the relay in the clear.
+    if (!hasEncryptedFields(frame)) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'attachment_requires_encryption',
+      });
+      return;
+    }
+
+    const payload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+    if (!payload) {
+      return;
+    }
+
+    const conversationId = firstString(payload.conversation_id, payload.conversationId) ?? session.conversationId;
+    const { uid: requesterUID, email: requesterEmail } = parseRequester(frame);
+    const isOwner = Boolean(this.config.ownerUID) && requesterUID === this.config.ownerUID;
+    let attachmentId: string | null = null;
+
+    try {
+      if (this.draining) {
+        throw new Error('agent_shutting_down');
+      }
+
+      const chunk = parseAttachmentChunk(payload);
+      attachmentId = chunk.attachmentId;
+
+      const requesterViolation = isOwner
+        ? null
+        : getRequesterPolicyViolation({ uid: requesterUID, email: requesterEmail }, this.config.policy);
+      if (requesterViolation) {
+        throw new Error(requesterViolation);
+      }
+
+      const { policy: effectivePolicy } = resolveEffectivePolicy(
+        this.config.policy,
+        { uid: requesterUID, email: requesterEmail, isOwner }
+      );
+      const settings = resolveAttachmentSettings(effectivePolicy);
+      if (!settings.enabled) {
+        throw new Error('attachments_disabled');
+      }
+
+      let pending = session.pendingAttachments.get(chunk.attachmentId);
+      if (!pending) {
+        if (session.attachments.has(chunk.attachmentId) || session.heldAttachments.has(chunk.attachmentId)) {
+          throw new Error('attachment_id_in_use');
+        }
+        if (session.pendingAttachments.size >= MAX_PENDING_ATTACHMENTS) {
+          throw new Error(`too_many_pending_attachments_limit_${MAX_PENDING_ATTACHMENTS}`);
+        }
+        if (session.heldAttachments.size >= MAX_HELD_ATTACHMENTS) {
+          throw new Error(`too_many_held_attachments_limit_${MAX_HELD_ATTACHMENTS}`);
+        }
+        // Each upload counts as a prompt toward the requester's rate limit.
+        if (!isOwner) {
+          const limits = resolveRequesterLimits(this.config.policy, { uid: requesterUID, email: requesterEmail });
+          const quotaError = this.quotas.check(requesterUID, limits);
+          if (quotaError) {
+            throw new Error(quotaError);
+          }
+        }
+        pending = startAttachment(chunk, settings);
+        session.pendingAttachments.set(chunk.attachmentId, pending);
+        this.quotas.recordPrompt(requesterUID);
+      }
+
+      if (!appendAttachmentChunk(pending, chunk)) {
+        return;
+      }
+      session.pendingAttachments.delete(chunk.attachmentId);
+      const held = completeAttachment(pending);
+      session.heldAttachments.set(held.attachmentId, held);
+
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: 'session.attachment.received',
+        requester_uid: requesterUID,
+        requester_email: requesterEmail ?? null,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        conversation_id: conversationId ?? null,
+        attachment_id: held.attachmentId,
+        name: held.name,
+        mime_type: held.mimeType,
+        size: held.size,
+        sha256: held.sha256,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+
+      this.emitDesktopEvent('session.attachment', {
+        sessionId,
+        conversationId,
+        attachmentId: held.attachmentId,
+        requesterUid: requesterUID,
+        name: held.name,
+        mimeType: held.mimeType,
+        size: held.size,
+      });
+
+      this.sendSessionPayload(ws, {
+        type: 'session.attachment.stored',
+        sessionId,
+        messageId: held.attachmentId,
+        conversationId,
+        session,
+        encrypted: true,
+        payload: {
+          status: 'stored',
+          attachment_id: held.attachmentId,
+          name: held.name,
+          mime_type: held.mimeType,
+          size: held.size,
+          sha256: held.sha256,
+        },
+      });
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err);
+      if (attachmentId) {
+        session.pendingAttachments.delete(attachmentId);
+      }
+      if (error !== 'agent_shutting_down') {
+        metrics.policyDenials.inc({ stage: 'attachment', reason: denialReasonLabel(error) });
+      }
+
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: 'session.attachment.rejected',
+        requester_uid: requesterUID,
+        requester_email: requesterEmail ?? null,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        attachment_id: attachmentId,
+        reason: error,
+      }).catch((auditErr) => {
+        const msg = auditErr instanceof Error ? auditErr.message : String(auditErr);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId: attachmentId ?? messageId,
+        error,
+        conversationId,
+        session,
+        encrypted: true,
+        ...(attachmentId ? { details: { attachment_id: attachmentId } } : {}),
+      });
+    }
+  }
+
+  /**
+   * Write the uploads a message references into the conversation's inbox
+   * under the run's cwd (its workspace or worktree), once the run starts,
+   * and return them in order. Uploads an earlier message already wrote are
+   * reused where they are.
+   */
+  private async writeHeldAttachments(
+    session: RuntimeSession,
+    attachmentIds: string[],
+    policy: AgentPolicy | undefined,
+    context: { conversationId?: string; messageId: string; requesterUID: string; cwd: string }
+  ): Promise<StoredAttachment[]> {
+    const stored: StoredAttachment[] = [];
+    let inboxDir: string | null = null;
+    for (const id of attachmentIds) {
+      const existing = session.attachments.get(id);
+      if (existing) {
+        stored.push(existing);
+        continue;
+      }
+      const held = session.heldAttachments.get(id);
+      if (!held) {
+        throw new Error('attachment_not_found');
+      }
+
+      if (!inboxDir) {
+        const inboxId = context.conversationId ?? session.sessionId;
+        if (policy && getCwdPolicyViolation(resolveInboxDir(context.cwd, inboxId), policy)) {
+          throw new Error('attachment_inbox_not_allowed');
+        }
+        try {
+          inboxDir = await prepareInboxDir(context.cwd, inboxId);
+        } catch (err) {
+          const msg = err instanceof Error ? err.message : String(err);
+          if (msg.startsWith('attachment_')) {
+            throw err;
+          }
+          log.warn(`attachment inbox setup failed session=${session.sessionId}: ${msg}`);
+          throw new Error('attachment_write_failed');
+        }
+      }
+
+      let file: StoredAttachment;
+      try {
+        file = await saveAttachment(held, inboxDir);
+      } catch (err) {
+        // A concurrent message referencing the same upload may have written it.
+        const written = session.attachments.get(id);
+        if (written) {
+          stored.push(written);
+          continue;
+        }
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`attachment write failed session=${session.sessionId} attachment=${id}: ${msg}`);
+        throw new Error('attachment_write_failed');
+      }
+      session.heldAttachments.delete(id);
+      session.attachments.set(id, file);
+      stored.push(file);
+
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: 'session.attachment.saved',
+        requester_uid: context.requesterUID,
+        device_id: this.config.deviceId,
+        session_id: session.sessionId,
+        handshake_id: session.handshakeId,
+        conversation_id: context.conversationId ?? null,
+        message_id: context.messageId,
+        attachment_id: id,
+        path: file.path,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    }
+    return stored;
+  }
+
+  /**
+   * List the named workspaces the requester may pick for `workspace` in
+   * session.message, as far as their effective policy allows. Absolute
+   * paths stay on this machine.
+   */
+  private async handleWorkspacesRequest(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    const encryptedRequest = hasEncryptedFields(frame);
+    if (encryptedRequest) {
+      const payload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+      if (!payload) {
+        return;
+      }
+      messageId = firstString(payload.message_id, payload.messageId) ?? messageId;
+    }
+
+    const { uid: requesterUID, email: requesterEmail } = parseRequester(frame);
+    const isOwner = Boolean(this.config.ownerUID) && requesterUID === this.config.ownerUID;
+    const requesterViolation = isOwner
+      ? null
+      : getRequesterPolicyViolation({ uid: requesterUID, email: requesterEmail }, this.config.policy);
+    if (requesterViolation) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: requesterViolation,
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    const { policy: effectivePolicy } = resolveEffectivePolicy(
+      this.config.policy,
+      { uid: requesterUID, email: requesterEmail, isOwner }
+    );
+    this.sendSessionPayload(ws, {
+      type: 'session.workspaces.result',
+      sessionId,
+      messageId,
+      session,
+      encrypted: encryptedRequest,
+      payload: {
+        status: 'ok',
+        workspaces: listWorkspaces(effectivePolicy),
+      },
+    });
+  }
+
+  /**
+   * Put the workspace back to the checkpoint taken before the run of
+   * `message_id`. Only that message's requester or the owner may do this,
+   * and only for paths their policy allows. The rollback waits in the
+   * conversation's queue so it never races a running prompt.
+   */
+  private async handleRollback(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    if (!hasEncryptedFields(frame)) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'rollback_requires_encryption',
+      });
+      return;
+    }
+
+    const payload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+    if (!payload) {
+      return;
+    }
+    messageId = firstString(payload.message_id, payload.messageId) ?? messageId;
+    const conversationId = firstString(payload.conversation_id, payload.conversationId) ?? session.conversationId;
+    const { uid: requesterUID, email: requesterEmail } = parseRequester(frame);
+    const isOwner = Boolean(this.config.ownerUID) && requesterUID === this.config.ownerUID;
+
+    const audit = (event: string, fields: JsonRecord): void => {
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event,
+        requester_uid: requesterUID,
+        requester_email: requesterEmail ?? null,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        conversation_id: conversationId ?? null,
+        message_id: messageId,
+        ...fields,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    };
+    const reject = (error: string): void => {
+      audit('session.rollback.rejected', { reason: error });
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error,
+        conversationId,
+        session,
+        encrypted: true,
+      });
+    };
+
+    if (this.draining) {
+      reject('agent_shutting_down');
+      return;
+    }
+    const requesterViolation = isOwner
+      ? null
+      : getRequesterPolicyViolation({ uid: requesterUID, email: requesterEmail }, this.config.policy);
+    if (requesterViolation) {
+      reject(requesterViolation);
+      return;
+    }
+    const checkpoint = this.checkpoints.find(messageId, conversationId);
+    if (!checkpoint) {
+      reject('checkpoint_not_found');
+      return;
+    }
+    if (!isOwner && checkpoint.requesterUid !== requesterUID) {
+      reject('rollback_not_permitted');
+      return;
+    }
+
+    const { policy: effectivePolicy } = resolveEffectivePolicy(
+      this.config.policy,
+      { uid: requesterUID, email: requesterEmail, isOwner }
+    );
+    const queueKey = checkpoint.conversationId
+      ? `conversation:${checkpoint.conversationId}`
+      : `session:${checkpoint.sessionId}`;
+    const position = this.promptQueue.enqueue(queueKey, async () => {
+      try {
+        const result = await this.checkpoints.restore(
+          checkpoint,
+          (filePath) => Boolean(effectivePolicy && getCwdPolicyViolation(filePath, effectivePolicy))
+        );
+        log.info(
+          `rollback session=${sessionId} message=${messageId} restored=${result.restored.length} ` +
+          `removed=${result.removed.length} skipped=${result.skipped.length}`
+        );
+        audit('session.rollback', {
+          checkpoint_id: checkpoint.checkpointId,
+          root: checkpoint.root,
+          restored: result.restored,
+          removed: result.removed,
+          skipped: result.skipped,
+        });
+        this.emitDesktopEvent('session.rollback', {
           sessionId,
+          conversationId,
           messageId,
-          error: 'missing_encrypted_fields',
+          requesterUid: requesterUID,
+          restored: result.restored.length,
+          removed: result.removed.length,
+        });
+        this.sendSessionPayload(ws, {
+          type: 'session.rollback.result',
+          sessionId,
+          messageId,
+          conversationId,
           session,
           encrypted: true,
+          payload: {
+            status: 'rolled_back',
+            checkpoint_id: checkpoint.checkpointId,
+            created_at: checkpoint.createdAt,
+            restored: result.restored,
+            removed: result.removed,
+            skipped: result.skipped,
+          },
         });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`rollback failed session=${sessionId} message=${messageId}: ${msg}`);
+        reject(msg);
+      }
+    });
+    if (position === null) {
+      reject('queue_full');
+    }
+  }
+
+  private async handleApprovalResponse(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    const encryptedRequest = hasEncryptedFields(frame);
+    let body = frame;
+    if (encryptedRequest) {
+      const decryptedPayload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+      if (!decryptedPayload) {
         return;
       }
+      body = decryptedPayload;
+      messageId = firstString(decryptedPayload.message_id, decryptedPayload.messageId) ?? messageId;
+    }
+
+    const approvalId = firstString(body.approval_id, body.approvalId);
+    const pending = approvalId ? this.pendingApprovals.get(approvalId) : undefined;
+    if (!pending || pending.sessionId !== sessionId || pending.route !== 'requester') {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'approval_not_pending',
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    // The relay must not be able to approve a tool call on an encrypted run.
+    if (pending.encrypted && !encryptedRequest) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'approval_requires_encryption',
+        session,
+      });
+      return;
+    }
+
+    const approved = body.decision === 'approve' || body.approved === true;
+    pending.settle(approved ? { approved: true } : { approved: false, reason: 'approval_denied' });
+  }
+
+  /**
+   * JSON-RPC methods served on the control socket. Errors are thrown as
+   * snake_case codes and reach the caller as the JSON-RPC error message.
+   */
+  private controlMethods(): Record<string, (params: JsonRecord, client: ControlClient) => unknown> {
+    return {
+      'sessions.list': () => this.listSessions(),
+      'messages.list': () => this.listMessages(),
+      'messages.cancel': (params) => this.cancelMessageByOwner(params),
+      'sessions.end': (params) => this.endSessionByOwner(params),
+      'policy.reload': () => this.reloadPolicy(),
+      'config.get': () => this.describeEffectiveConfig(),
+      'approvals.respond': (params) => this.respondToolApproval(params),
+      'prompts.respond': (params) => this.respondPromptApproval(params),
+      'conversations.forget': (params) => this.forgetConversations(params),
+      'events.subscribe': (_params, client) => {
+        this.control?.subscribe(client);
+        return { subscribed: true };
+      },
+    };
+  }
+
+  /**
+   * `commands-agent conversations forget` while the agent runs: drop the
+   * conversations here, so the next store write does not bring them back.
+   */
+  private async forgetConversations(params: JsonRecord): Promise<JsonRecord> {
+    const conversationIds = params.all === true
+      ? this.conversations.list().map((entry) => entry.conversationId)
+      : (Array.isArray(params.conversationIds) ? params.conversationIds : [])
+          .filter((id): id is string => typeof id === 'string' && id.length > 0);
+    if (params.all !== true && conversationIds.length === 0) {
+      throw new Error('missing_conversation_ids');
+    }
+
+    for (const conversationId of conversationIds) {
+      const providerSessionId = this.conversationClaudeSessions.get(conversationId);
+      if (providerSessionId && this.config.provider === 'ollama') {
+        forgetOllamaSessionMessages(providerSessionId);
+      }
+      this.conversationClaudeSessions.delete(conversationId);
+      for (const session of this.sessions.values()) {
+        if (session.conversationId === conversationId) {
+          session.claudeSessionId = undefined;
+        }
+      }
+    }
+    const removed = this.conversations.forget(conversationIds);
+    await this.conversations.flush();
+    log.info(`forgot ${removed.length} conversation(s) via control socket`);
+    return { removed };
+  }
+
+  private listSessions(): JsonRecord[] {
+    const now = Date.now();
+    return [...this.sessions.values()].map((session) => ({
+      sessionId: session.sessionId,
+      conversationId: session.conversationId ?? null,
+      requesterUid: session.requesterUid ?? null,
+      requesterEmail: session.requesterEmail ?? null,
+      establishedAt: session.establishedAt,
+      ageMs: now - session.establishedAtMs,
+      idleMs: now - session.lastActivityAtMs,
+      runs: [...this.inFlightRuns.values()].filter((run) => run.sessionId === session.sessionId).length,
+    }));
+  }
+
+  private listMessages(): JsonRecord[] {
+    const now = Date.now();
+    const parked = [...this.pendingPromptApprovals.values()].map((pending) => ({
+      sessionId: pending.sessionId,
+      messageId: pending.messageId,
+      state: 'pending_owner_approval',
+    }));
+    const runs = [...this.inFlightRuns.values()].map((run) => ({
+      sessionId: run.sessionId,
+      messageId: run.messageId,
+      conversationId: run.conversationId ?? null,
+      requesterUid: run.requesterUid,
+      state: run.controller.signal.aborted ? 'cancelling' : run.startedAt === undefined ? 'queued' : 'running',
+      queuedMs: (run.startedAt ?? now) - run.queuedAt,
+      runningMs: run.startedAt === undefined ? 0 : now - run.startedAt,
+    }));
+    return [...parked, ...runs];
+  }
+
+  private cancelMessageByOwner(params: JsonRecord): JsonRecord {
+    const sessionId = firstString(params.sessionId, params.session_id);
+    const messageId = firstString(params.messageId, params.message_id);
+    if (!sessionId || !messageId) {
+      throw new Error('missing_session_or_message_id');
+    }
+
+    const parked = [...this.pendingPromptApprovals.values()]
+      .find((pending) => pending.sessionId === sessionId && pending.messageId === messageId);
+    if (parked) {
+      parked.settle({ approved: false, reason: 'owner_cancelled' });
+      return { cancelled: true };
+    }
+
+    const run = this.inFlightRuns.get(inFlightKey(sessionId, messageId));
+    if (!run) {
+      throw new Error('message_not_in_flight');
+    }
+    // As with a requester cancel, the run reports back with session.result.
+    if (!run.controller.signal.aborted) {
+      run.cancelReason = 'owner_cancelled';
+      run.controller.abort();
+    }
+    return { cancelled: true };
+  }
+
+  private endSessionByOwner(params: JsonRecord): JsonRecord {
+    const sessionId = firstString(params.sessionId, params.session_id);
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+    if (!sessionId || !session) {
+      throw new Error('session_not_found');
+    }
+
+    log.info(`ending session=${sessionId} reason=owner_ended`);
+    this.endSession(sessionId, 'owner_ended', { notifyClient: true });
+    void appendAuditEvent(this.options.auditLogPath, {
+      at: new Date().toISOString(),
+      event: 'session.ended_by_owner',
+      device_id: this.config.deviceId,
+      session_id: sessionId,
+      handshake_id: session.handshakeId,
+      established_at: session.establishedAt,
+    }).catch((err) => {
+      const msg = err instanceof Error ? err.message : String(err);
+      log.warn(`audit log write failed: ${msg}`);
+    });
+    return { ended: true };
+  }
+
+  private async reloadPolicy(): Promise<Record<string, unknown> | null> {
+    if (!this.options.policyConfigPath) {
+      throw new Error('policy_config_not_set');
+    }
+    await this.reloadConfigFile('policy', 'control', { throwOnError: true });
+    return summarizePolicy(this.config.policy);
+  }
+
+  /** Reload every watched config file (SIGHUP). */
+  private reloadAllConfig(trigger: ConfigReloadTrigger): void {
+    if (this.options.policyConfigPath) {
+      void this.reloadConfigFile('policy', trigger);
+    }
+    if (this.options.mcpConfigPath) {
+      void this.reloadConfigFile('mcp', trigger);
+    }
+  }
+
+  /**
+   * Re-read the policy or MCP config file and apply it to prompts that
+   * arrive from now on; runs already in flight keep what they started with.
+   * The loaders validate the whole file before returning, so a bad edit
+   * throws and the current config stays. Reloads are serialized, and an
+   * unchanged file (same hash) is not re-applied.
+   */
+  private reloadConfigFile(
+    kind: 'policy' | 'mcp',
+    trigger: ConfigReloadTrigger,
+    options: { throwOnError?: boolean } = {}
+  ): Promise<void> {
+    const filePath = kind === 'policy' ? this.options.policyConfigPath : this.options.mcpConfigPath;
+    if (!filePath) {
+      return Promise.resolve();
+    }
 
-      let decryptedText: string;
+    const reload = this.reloadChain.then(async () => {
       try {
-        decryptedText = decryptFramePayload({
-          keyBase64: session.keys.clientToAgentBase64,
-          direction: 'client_to_agent',
-          seq,
-          nonceBase64: nonce,
-          ciphertextBase64: ciphertext,
-          tagBase64: tag,
-          ...(aad ? { aadBase64: aad } : {}),
-        });
+        if (kind === 'policy') {
+          const policy = await loadPolicyFromFile(filePath);
+          const hash = hashConfig(policy);
+          if (hash === this.configHashes.policy) {
+            return;
+          }
+          this.config.policy = policy;
+          this.configHashes.policy = hash;
+          log.info(`policy reloaded from ${filePath} (${describePolicy(policy)}) trigger=${trigger}`);
+        } else {
+          const mcpServers = await loadMcpServersFromFile(filePath);
+          const hash = hashConfig(mcpServers);
+          if (hash === this.configHashes.mcp) {
+            return;
+          }
+          this.config.mcpServers = mcpServers;
+          this.configHashes.mcp = hash;
+          log.info(`mcp config reloaded from ${filePath} (${describeMcpServers(mcpServers)}) trigger=${trigger}`);
+        }
       } catch (err) {
         const msg = err instanceof Error ? err.message : String(err);
-        this.sendSessionError(ws, {
+        log.warn(`${kind} reload failed; keeping current config: ${msg}`);
+        void appendAuditEvent(this.options.auditLogPath, {
+          at: new Date().toISOString(),
+          event: 'config.reload_failed',
+          device_id: this.config.deviceId,
+          kind,
+          path: filePath,
+          trigger,
+          error: msg,
+        }).catch((auditErr) => {
+          const auditMsg = auditErr instanceof Error ? auditErr.message : String(auditErr);
+          log.warn(`audit log write failed: ${auditMsg}`);
+        });
+        throw err;
+      }
+
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event: 'config.reloaded',
+        device_id: this.config.deviceId,
+        kind,
+        path: filePath,
+        trigger,
+        config_hash: this.configHashes[kind],
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    });
+
+    this.reloadChain = reload.catch(() => undefined);
+    return options.throwOnError ? reload : this.reloadChain;
+  }
+
+  /** Effective config with tokens, keys and MCP secrets removed. */
+  private describeEffectiveConfig(): JsonRecord {
+    const config = this.config;
+    return {
+      gatewayUrl: config.gatewayUrl,
+      deviceId: config.deviceId,
+      deviceName: config.deviceName ?? null,
+      provider: config.provider ?? 'claude',
+      model: config.model,
+      ollamaBaseUrl: config.ollamaBaseUrl ?? null,
+      permissionProfile: config.permissionProfile ?? 'dev-safe',
+      ownerUid: config.ownerUID ?? null,
+      ownerEmail: config.ownerEmail ?? null,
+      deviceToken: '[redacted]',
+      refreshToken: config.refreshToken ? '[redacted]' : null,
+      tokenExpiresAt: config.tokenExpiresAt ?? null,
+      tokenScope: config.tokenScope ?? null,
+      identity: {
+        algorithm: config.identity.algorithm,
+        publicKeyRawBase64: config.identity.publicKeyRawBase64,
+        privateKey: '[redacted]',
+      },
+      systemPromptChars: config.systemPrompt?.length ?? 0,
+      mcpServers: summarizeMcpServers(config.mcpServers),
+      policyConfigPath: this.options.policyConfigPath,
+      policy: summarizePolicy(config.policy),
+      configHashes: { ...this.configHashes },
+      protocol: {
+        agentVersion: AGENT_VERSION,
+        version: this.protocol.version,
+        features: [...this.protocol.features],
+        negotiated: this.protocol.negotiated,
+      },
+      runtime: { ...this.options },
+    };
+  }
+
+  private respondToolApproval(params: JsonRecord): JsonRecord {
+    const approvalId = firstString(params.approvalId, params.approval_id);
+    const pending = approvalId ? this.pendingApprovals.get(approvalId) : undefined;
+    if (!pending || pending.route !== 'owner') {
+      throw new Error('approval_not_pending');
+    }
+    pending.settle(params.approved === true ? { approved: true } : { approved: false, reason: 'approval_denied' });
+    return { settled: true };
+  }
+
+  private respondPromptApproval(params: JsonRecord): JsonRecord {
+    const approvalId = firstString(params.approvalId, params.approval_id);
+    const pending = approvalId ? this.pendingPromptApprovals.get(approvalId) : undefined;
+    if (!pending) {
+      throw new Error('approval_not_pending');
+    }
+    const note = firstString(params.note)?.trim().slice(0, OWNER_NOTE_MAX_CHARS);
+    pending.settle(params.approved === true
+      ? { approved: true }
+      : { approved: false, reason: 'prompt_rejected', ...(note ? { note } : {}) });
+    return { settled: true };
+  }
+
+  /**
+   * Park an "ask" tool call until it is answered: by the requester through an
+   * encrypted session.approval.request, or by the owner on the desktop.
+   * Timeouts, run cancellation and a missing owner channel settle as denied.
+   */
+  private requestToolApproval(
+    ws: WebSocket,
+    params: {
+      session: RuntimeSession;
+      sessionId: string;
+      messageId: string;
+      conversationId?: string;
+      encrypted: boolean;
+      requesterUID: string;
+      policy: AgentPolicy | undefined;
+      request: ToolApprovalRequest;
+      runSignal: AbortSignal;
+    }
+  ): Promise<ToolApprovalDecision> {
+    const { session, sessionId, messageId, conversationId, encrypted, request, runSignal } = params;
+    const { route, timeoutMs } = resolveToolApprovalSettings(params.policy);
+    const approvalId = `approval_${randomUUID()}`;
+    const summary = summarizeToolInput(request.toolName, request.input, params.policy);
+    const expiresAt = new Date(Date.now() + timeoutMs).toISOString();
+
+    const audit = (event: string, fields: JsonRecord): void => {
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event,
+        requester_uid: params.requesterUID,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        message_id: messageId,
+        approval_id: approvalId,
+        route,
+        tool_name: request.toolName,
+        ...fields,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    };
+
+    // Requester approvals need the gateway to relay the approval frames.
+    if ((route === 'owner' && !this.options.desktopControl) || (route === 'requester' && !this.hasFeature('approvals'))) {
+      audit('tool.approval.resolved', { approved: false, reason: 'approval_unavailable' });
+      return Promise.resolve({ approved: false, reason: 'approval_unavailable' });
+    }
+
+    return new Promise<ToolApprovalDecision>((resolve) => {
+      const onAbort = (): void => settle({ approved: false, reason: 'run_cancelled' });
+      const timer = setTimeout(() => settle({ approved: false, reason: 'approval_timeout' }), timeoutMs);
+      const settle = (decision: ToolApprovalDecision): void => {
+        if (!this.pendingApprovals.delete(approvalId)) {
+          return;
+        }
+        clearTimeout(timer);
+        request.signal.removeEventListener('abort', onAbort);
+        runSignal.removeEventListener('abort', onAbort);
+
+        audit('tool.approval.resolved', { approved: decision.approved, reason: decision.reason ?? null });
+        this.emitDesktopEvent('session.approval.resolved', {
           sessionId,
+          conversationId,
           messageId,
-          error: `decrypt_failed_${msg}`,
-          session,
-          encrypted: true,
+          approvalId,
+          approved: decision.approved,
+          reason: decision.reason ?? null,
         });
+        resolve(decision);
+      };
+
+      this.pendingApprovals.set(approvalId, { approvalId, sessionId, messageId, route, encrypted, settle });
+      if (request.signal.aborted || runSignal.aborted) {
+        onAbort();
         return;
       }
+      request.signal.addEventListener('abort', onAbort, { once: true });
+      runSignal.addEventListener('abort', onAbort, { once: true });
 
-      let decryptedPayload: unknown;
-      try {
-        decryptedPayload = JSON.parse(decryptedText);
-      } catch {
-        this.sendSessionError(ws, {
+      audit('tool.approval.requested', { summary, expires_at: expiresAt });
+      if (route === 'requester') {
+        this.sendSessionPayload(ws, {
+          type: 'session.approval.request',
           sessionId,
           messageId,
-          error: 'decrypted_payload_not_json',
+          conversationId,
           session,
-          encrypted: true,
+          encrypted,
+          payload: {
+            status: 'awaiting_approval',
+            approval_id: approvalId,
+            tool: request.toolName,
+            summary,
+            expires_at: expiresAt,
+          },
         });
-        return;
       }
+      this.emitDesktopEvent('session.approval.request', {
+        sessionId,
+        conversationId,
+        messageId,
+        approvalId,
+        route,
+        tool: request.toolName,
+        summary,
+        expiresAt,
+      });
+    });
+  }
 
-      if (!isRecord(decryptedPayload)) {
-        this.sendSessionError(ws, {
+  /**
+   * Hold a received prompt until the owner approves or rejects it on the
+   * desktop. The requester sees a pending_owner_approval progress frame
+   * meanwhile. Timeouts and a missing desktop settle as not approved.
+   */
+  private awaitPromptApproval(
+    ws: WebSocket,
+    params: {
+      session: RuntimeSession;
+      sessionId: string;
+      messageId: string;
+      conversationId?: string;
+      encrypted: boolean;
+      requesterUID: string;
+      requesterEmail: string | null;
+      requesterDisplayName: string;
+      prompt: string;
+    }
+  ): Promise<PromptApprovalDecision> {
+    const { session, sessionId, messageId, conversationId } = params;
+    if (!this.options.desktopControl) {
+      return Promise.resolve({ approved: false, reason: 'prompt_approval_unavailable' });
+    }
+
+    const approvalId = `approval_${randomUUID()}`;
+    const timeoutMs = this.options.promptApprovalTimeoutMs;
+    const expiresAt = new Date(Date.now() + timeoutMs).toISOString();
+
+    return new Promise<PromptApprovalDecision>((resolve) => {
+      const timer = setTimeout(() => settle({ approved: false, reason: 'prompt_approval_timeout' }), timeoutMs);
+      const settle = (decision: PromptApprovalDecision): void => {
+        if (!this.pendingPromptApprovals.delete(approvalId)) {
+          return;
+        }
+        clearTimeout(timer);
+        this.emitDesktopEvent('session.approval_resolved', {
           sessionId,
+          conversationId,
           messageId,
-          error: 'decrypted_payload_invalid_shape',
-          session,
-          encrypted: true,
+          approvalId,
+          approved: decision.approved,
+          reason: decision.reason ?? null,
+          note: decision.note ?? null,
+        });
+        resolve(decision);
+      };
+      this.pendingPromptApprovals.set(approvalId, { approvalId, sessionId, messageId, settle });
+
+      this.sendSessionPayload(ws, {
+        type: 'session.progress',
+        sessionId,
+        messageId,
+        conversationId,
+        session,
+        encrypted: params.encrypted,
+        payload: { status: 'pending_owner_approval', expires_at: expiresAt },
+      });
+      this.emitDesktopEvent('session.approval_needed', {
+        sessionId,
+        conversationId,
+        messageId,
+        approvalId,
+        requesterUid: params.requesterUID,
+        requesterEmail: params.requesterEmail ?? null,
+        requesterDisplayName: params.requesterDisplayName,
+        prompt: params.prompt,
+        expiresAt,
+      });
+    });
+  }
+
+  /**
+   * Answer a slash command without a provider call. Replies are ordinary
+   * session.result frames whose `command` names the command; refusals go
+   * out as session errors. /reset waits its turn in the prompt queue so it
+   * cannot race a run of the same conversation.
+   */
+  private handleSlashCommand(
+    ws: WebSocket,
+    params: {
+      session: RuntimeSession;
+      sessionId: string;
+      messageId: string;
+      conversationId?: string;
+      queueKey: string;
+      encrypted: boolean;
+      requesterUID: string;
+      requesterEmail: string | null;
+      isOwner: boolean;
+      workspaceName: string | null;
+      command: SlashCommand;
+    }
+  ): void {
+    const { session, sessionId, messageId, conversationId, queueKey, command } = params;
+
+    const audit = (event: string, fields: JsonRecord): void => {
+      void appendAuditEvent(this.options.auditLogPath, {
+        at: new Date().toISOString(),
+        event,
+        requester_uid: params.requesterUID,
+        requester_email: params.requesterEmail ?? null,
+        device_id: this.config.deviceId,
+        session_id: sessionId,
+        handshake_id: session.handshakeId,
+        conversation_id: conversationId ?? null,
+        message_id: messageId,
+        command: command.name,
+        ...(command.args ? { args: command.args } : {}),
+        ...fields,
+      }).catch((err) => {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      });
+    };
+    const reply = (result: string, details: JsonRecord = {}): void => {
+      audit('session.command', details);
+      this.sendSessionPayload(ws, {
+        type: 'session.result',
+        sessionId,
+        messageId,
+        conversationId,
+        session,
+        encrypted: params.encrypted,
+        payload: { status: 'completed', command: command.name, result, turns: 0, cost_usd: 0, ...details },
+      });
+    };
+    const reject = (error: string, details?: JsonRecord): void => {
+      audit('session.command.rejected', { reason: error, ...details });
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error,
+        conversationId,
+        session,
+        encrypted: params.encrypted,
+        details,
+      });
+    };
+    const formatUsd = (value: number): string => `$${value.toFixed(4)}`;
+    const currentModel = this.conversationModels.get(queueKey) ?? this.config.model;
+
+    switch (command.name) {
+      case 'help':
+        reply(formatSlashCommandHelp());
+        return;
+
+      case 'status': {
+        const provider = this.config.provider === 'ollama' ? 'ollama' : 'claude';
+        let { policy: effectivePolicy } = resolveEffectivePolicy(
+          this.config.policy,
+          { uid: params.requesterUID, email: params.requesterEmail, isOwner: params.isOwner }
+        );
+        if (params.workspaceName) {
+          try {
+            effectivePolicy = resolveWorkspace(effectivePolicy, params.workspaceName).policy;
+          } catch (err) {
+            reject(err instanceof Error ? err.message : String(err), { workspace: params.workspaceName });
+            return;
+          }
+        }
+        const permissionProfile = this.config.permissionProfile ?? null;
+        const policyPreset = effectivePolicy?.preset ?? 'none';
+        reply(
+          [
+            `Provider: ${provider}`,
+            `Model: ${currentModel}`,
+            `Permission profile: ${permissionProfile ?? 'custom policy'} (preset ${policyPreset})`,
+            `Workspace: ${params.workspaceName ?? 'default'}`,
+          ].join('\n'),
+          {
+            provider,
+            model: currentModel,
+            permission_profile: permissionProfile,
+            policy_preset: policyPreset,
+            workspace: params.workspaceName,
+          }
+        );
+        return;
+      }
+
+      case 'cost': {
+        const conversation = this.conversationUsage.get(queueKey) ?? { costUsd: 0, turns: 0, prompts: 0 };
+        const daily = this.quotas.snapshot(params.requesterUID);
+        // The owner is never held to requester quotas.
+        const dailyLimit = params.isOwner
+          ? null
+          : resolveRequesterLimits(this.config.policy, { uid: params.requesterUID, email: params.requesterEmail }).costUsdPerDay;
+        reply(
+          [
+            `This conversation: ${formatUsd(conversation.costUsd)} over ${conversation.prompts} prompt(s), ` +
+              `${conversation.turns} turn(s) since the agent started`,
+            `Today (${daily.day} UTC): ${formatUsd(daily.costUsd)}` +
+              (dailyLimit !== null ? ` of ${formatUsd(dailyLimit)}` : '') +
+              `, ${daily.turns} turn(s)`,
+          ].join('\n'),
+          {
+            conversation: { cost_usd: conversation.costUsd, turns: conversation.turns, prompts: conversation.prompts },
+            daily: { day: daily.day, cost_usd: daily.costUsd, turns: daily.turns, limit_cost_usd: dailyLimit },
+          }
+        );
+        return;
+      }
+
+      case 'model': {
+        const allowed = this.config.policy?.models ?? [];
+        if (!command.args) {
+          reply(
+            `Model: ${currentModel}\n` +
+              (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : 'Switching models is not enabled on this agent.'),
+            { model: currentModel, allowed_models: allowed }
+          );
+          return;
+        }
+        if (allowed.length === 0) {
+          reject('model_switch_disabled');
+          return;
+        }
+        if (!allowed.includes(command.args)) {
+          reject('model_not_allowed', { model: command.args, allowed_models: allowed });
+          return;
+        }
+        if (command.args === this.config.model) {
+          this.conversationModels.delete(queueKey);
+        } else {
+          this.conversationModels.set(queueKey, command.args);
+        }
+        log.info(`model switched session=${sessionId} key=${queueKey} model=${command.args}`);
+        reply(`Model for this conversation: ${command.args}`, { model: command.args, previous_model: currentModel });
+        return;
+      }
+
+      case 'reset': {
+        const position = this.promptQueue.enqueue(queueKey, async () => {
+          const hadSession = Boolean(
+            conversationId ? this.conversationClaudeSessions.get(conversationId) : session.claudeSessionId
+          );
+          if (conversationId) {
+            this.conversationClaudeSessions.delete(conversationId);
+            this.conversations.forget([conversationId]);
+          }
+          session.claudeSessionId = undefined;
+          log.info(`conversation reset session=${sessionId} key=${queueKey}`);
+          reply(
+            hadSession
+              ? 'Conversation reset. The next message starts a new session.'
+              : 'Nothing to reset: this conversation has no provider session yet.',
+            { reset: hadSession }
+          );
         });
+        if (position === null) {
+          reject('queue_full');
+        }
+        return;
+      }
+    }
+  }
+
+  private async handleSessionMessage(ws: WebSocket, frame: JsonRecord): Promise<void> {
+    const sessionId = firstString(frame.session_id, frame.sessionId);
+    let messageId = firstString(frame.message_id, frame.messageId) ?? 'unknown';
+
+    if (!sessionId) {
+      this.sendSessionError(ws, {
+        sessionId: 'unknown',
+        messageId,
+        error: 'missing_session_id',
+      });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'handshake_not_established',
+      });
+      return;
+    }
+
+    let encryptedRequest = false;
+    let streamRequested = false;
+    let prompt: string | null;
+    let cwd: string;
+    // A named workspace replaces cwd once the requester's policy is known.
+    let workspaceName: string | null;
+    let attachmentIds: string[] = [];
+    let conversationId = firstString(frame.conversation_id, frame.conversationId) ?? session.conversationId;
+    const {
+      uid: requesterUID,
+      email: requesterEmail,
+      displayName: requesterDisplayName,
+    } = parseRequester(frame);
+    const receivedAt = firstString(frame.received_at, frame.receivedAt) ?? new Date().toISOString();
+
+    if (hasEncryptedFields(frame)) {
+      encryptedRequest = true;
+
+      const decryptedPayload = this.decryptSessionFrame(ws, { frame, session, sessionId, messageId });
+      if (!decryptedPayload) {
         return;
       }
 
@@ -675,8 +2731,14 @@ class AgentRuntime {
         decryptedPayload.message
       );
       cwd = firstString(decryptedPayload.cwd) ?? this.options.defaultCwd;
-
-      session.nextIncomingSeq += 1;
+      workspaceName = firstString(decryptedPayload.workspace);
+      streamRequested = decryptedPayload.stream === true;
+      // Ids from earlier session.attachment uploads; encrypted messages only.
+      if (Array.isArray(decryptedPayload.attachments)) {
+        attachmentIds = [...new Set(decryptedPayload.attachments
+          .map((entry) => isRecord(entry) ? firstString(entry.attachment_id, entry.attachmentId, entry.id) : firstString(entry))
+          .filter((id): id is string => id !== null))];
+      }
     } else {
       const payload = isRecord(frame.payload) ? frame.payload : null;
 
@@ -692,27 +2754,174 @@ class AgentRuntime {
       if (payloadConversationId) {
         conversationId = payloadConversationId;
       }
-
-      cwd = firstString(frame.cwd, payload?.cwd) ?? this.options.defaultCwd;
+
+      cwd = firstString(frame.cwd, payload?.cwd) ?? this.options.defaultCwd;
+      workspaceName = firstString(frame.workspace, payload?.workspace);
+      streamRequested = frame.stream === true || payload?.stream === true;
+    }
+
+    if (conversationId) {
+      session.conversationId = conversationId;
+    }
+    // Delta frames are only sent when the gateway agreed to relay them.
+    streamRequested = streamRequested && this.hasFeature('streaming');
+    session.requesterUid = requesterUID;
+    session.requesterEmail = requesterEmail;
+
+    // Decrypt first so the session's seq stays in step, then refuse.
+    if (this.draining) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'agent_shutting_down',
+        conversationId,
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    // Requester ACLs and quotas protect the owner's machine and provider
+    // account from grantees; the owner's own prompts are never refused.
+    const isOwner = Boolean(this.config.ownerUID) && requesterUID === this.config.ownerUID;
+    const requesterViolation = isOwner
+      ? null
+      : getRequesterPolicyViolation({ uid: requesterUID, email: requesterEmail }, this.config.policy);
+    if (requesterViolation) {
+      await this.rejectSessionMessage(ws, {
+        session,
+        sessionId,
+        messageId,
+        conversationId,
+        encrypted: encryptedRequest,
+        requesterUID,
+        requesterEmail,
+        auditEvent: 'session.message.denied',
+        error: requesterViolation,
+      });
+      return;
+    }
+
+    if (!prompt) {
+      this.sendSessionError(ws, {
+        sessionId,
+        messageId,
+        error: 'missing_prompt',
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    const queueKey = conversationId ? `conversation:${conversationId}` : `session:${sessionId}`;
+    // Prompts run one at a time per session and per conversation.
+    const queueKeys = [`session:${sessionId}`, queueKey];
+    this.conversationLastUsedAtMs.set(queueKey, Date.now());
+    const slashCommand = parseSlashCommand(prompt);
+    if (slashCommand) {
+      this.handleSlashCommand(ws, {
+        session,
+        sessionId,
+        messageId,
+        conversationId,
+        queueKey,
+        encrypted: encryptedRequest,
+        requesterUID,
+        requesterEmail,
+        isOwner,
+        workspaceName,
+        command: slashCommand,
+      });
+      return;
+    }
+    // Fixed when the prompt is accepted, so a later /model does not change
+    // prompts already queued.
+    const model = this.conversationModels.get(queueKey) ?? this.config.model;
+
+    if (!isOwner) {
+      const limits = resolveRequesterLimits(this.config.policy, { uid: requesterUID, email: requesterEmail });
+      const quotaError = this.quotas.check(requesterUID, limits);
+      if (quotaError) {
+        const usage = this.quotas.snapshot(requesterUID);
+        await this.rejectSessionMessage(ws, {
+          session,
+          sessionId,
+          messageId,
+          conversationId,
+          encrypted: encryptedRequest,
+          requesterUID,
+          requesterEmail,
+          auditEvent: 'session.message.rejected',
+          error: quotaError,
+          auditFields: {
+            limits,
+            usage: { day: usage.day, cost_usd: usage.costUsd, turns: usage.turns },
+          },
+        });
+        return;
+      }
     }
+    this.quotas.recordPrompt(requesterUID);
 
-    if (conversationId) {
-      session.conversationId = conversationId;
-      const mappedClaudeSessionId = this.conversationClaudeSessions.get(conversationId);
-      if (mappedClaudeSessionId && session.claudeSessionId !== mappedClaudeSessionId) {
-        session.claudeSessionId = mappedClaudeSessionId;
+    const resolved = resolveEffectivePolicy(
+      this.config.policy,
+      { uid: requesterUID, email: requesterEmail, isOwner }
+    );
+    const policyOverlays = resolved.overlays;
+    let effectivePolicy = resolved.policy;
+    if (workspaceName) {
+      try {
+        const workspace = resolveWorkspace(effectivePolicy, workspaceName);
+        cwd = workspace.path;
+        effectivePolicy = workspace.policy;
+      } catch (err) {
+        await this.rejectSessionMessage(ws, {
+          session,
+          sessionId,
+          messageId,
+          conversationId,
+          encrypted: encryptedRequest,
+          requesterUID,
+          requesterEmail,
+          auditEvent: 'session.message.rejected',
+          error: err instanceof Error ? err.message : String(err),
+          auditFields: { workspace: workspaceName },
+          errorDetails: { workspace: workspaceName },
+        });
+        return;
       }
     }
-
-    if (!prompt) {
-      this.sendSessionError(ws, {
-        sessionId,
-        messageId,
-        error: 'missing_prompt',
-        session,
-        encrypted: encryptedRequest,
-      });
-      return;
+    const policyPreset = effectivePolicy?.preset ?? 'none';
+
+    // Referenced uploads, still in memory or already in the inbox.
+    const requestedAttachments: Array<HeldAttachment | StoredAttachment> = [];
+    if (attachmentIds.length > 0) {
+      const { maxFilesPerMessage } = resolveAttachmentSettings(effectivePolicy);
+      const missingId = attachmentIds.find((id) => !session.attachments.has(id) && !session.heldAttachments.has(id));
+      const attachmentError = attachmentIds.length > maxFilesPerMessage
+        ? `too_many_attachments_limit_${maxFilesPerMessage}`
+        : (missingId ? 'attachment_not_found' : null);
+      if (attachmentError) {
+        await this.rejectSessionMessage(ws, {
+          session,
+          sessionId,
+          messageId,
+          conversationId,
+          encrypted: encryptedRequest,
+          requesterUID,
+          requesterEmail,
+          auditEvent: 'session.message.rejected',
+          error: attachmentError,
+          ...(missingId ? { errorDetails: { attachment_id: missingId } } : {}),
+        });
+        return;
+      }
+      for (const id of attachmentIds) {
+        const attachment = session.attachments.get(id) ?? session.heldAttachments.get(id);
+        if (attachment) {
+          requestedAttachments.push(attachment);
+        }
+      }
     }
 
     try {
@@ -733,15 +2942,28 @@ class AgentRuntime {
         handshake_id: session.handshakeId,
         message_id: messageId,
         cwd,
+        ...(workspaceName ? { workspace: workspaceName } : {}),
         encrypted: encryptedRequest,
+        policy_preset: policyPreset,
+        policy_overlays: policyOverlays,
         prompt,
+        ...(requestedAttachments.length > 0
+          ? {
+              attachments: requestedAttachments.map((file) => ({
+                attachment_id: file.attachmentId,
+                name: file.name,
+                size: file.size,
+                sha256: file.sha256,
+              })),
+            }
+          : {}),
       });
     } catch (err) {
       const msg = err instanceof Error ? err.message : String(err);
-      console.log(`[runtime] audit log write failed: ${msg}`);
+      log.warn(`audit log write failed: ${msg}`);
     }
 
-    emitDesktopEvent('session.message', {
+    this.emitDesktopEvent('session.message', {
       sessionId,
       conversationId,
       messageId,
@@ -749,136 +2971,641 @@ class AgentRuntime {
       requesterEmail: requesterEmail ?? null,
       requesterDisplayName,
       prompt,
+      ...(requestedAttachments.length > 0 ? { attachments: requestedAttachments.map((file) => file.name) } : {}),
     });
 
-    if (encryptedRequest) {
-      const seq = session.nextOutgoingSeq;
-      const direction: FrameDirection = 'agent_to_client';
-      const aad = buildAadBase64(sessionId, messageId, seq, direction);
+    if (this.options.promptApproval && !isOwner) {
+      const decision = await this.awaitPromptApproval(ws, {
+        session,
+        sessionId,
+        messageId,
+        conversationId,
+        encrypted: encryptedRequest,
+        requesterUID,
+        requesterEmail,
+        requesterDisplayName,
+        prompt,
+      });
+      // Cancelling a parked prompt answers like cancelling a queued one.
+      if (decision.reason === 'requester_cancelled' || decision.reason === 'owner_cancelled') {
+        const reason = decision.reason;
+        metrics.prompts.inc({ ...this.promptMetricLabels(model), outcome: 'cancelled' });
+        try {
+          await appendAuditEvent(this.options.auditLogPath, {
+            at: new Date().toISOString(),
+            event: 'session.message.cancelled',
+            requester_uid: requesterUID,
+            requester_email: requesterEmail ?? null,
+            device_id: this.config.deviceId,
+            session_id: sessionId,
+            handshake_id: session.handshakeId,
+            message_id: messageId,
+            reason,
+            turns: 0,
+            cost_usd: 0,
+          });
+        } catch (err) {
+          const msg = err instanceof Error ? err.message : String(err);
+          log.warn(`audit log write failed: ${msg}`);
+        }
+        this.emitDesktopEvent('session.cancelled', { sessionId, conversationId, messageId, reason });
+        if (this.sessions.get(sessionId) === session) {
+          this.sendSessionPayload(ws, {
+            type: 'session.result',
+            sessionId,
+            messageId,
+            conversationId,
+            session,
+            encrypted: encryptedRequest,
+            payload: {
+              status: 'cancelled',
+              reason,
+              result: '',
+              turns: 0,
+              cost_usd: 0,
+              queue_wait_ms: 0,
+              policy_preset: policyPreset,
+            },
+          });
+        }
+        return;
+      }
+      if (!decision.approved) {
+        await this.rejectSessionMessage(ws, {
+          session,
+          sessionId,
+          messageId,
+          conversationId,
+          encrypted: encryptedRequest,
+          requesterUID,
+          requesterEmail,
+          auditEvent: 'session.message.not_approved',
+          error: decision.reason ?? 'prompt_rejected',
+          ...(decision.note
+            ? { auditFields: { owner_note: decision.note }, errorDetails: { note: decision.note } }
+            : {}),
+        });
+        return;
+      }
 
-      const encryptedPayload = encryptFramePayload({
-        keyBase64: session.keys.agentToClientBase64,
-        direction,
-        seq,
-        plaintextUtf8: JSON.stringify({
-          status: 'running',
+      try {
+        await appendAuditEvent(this.options.auditLogPath, {
+          at: new Date().toISOString(),
+          event: 'session.message.approved',
+          requester_uid: requesterUID,
+          requester_email: requesterEmail ?? null,
+          device_id: this.config.deviceId,
           session_id: sessionId,
+          handshake_id: session.handshakeId,
           message_id: messageId,
-        }),
-        aadBase64: aad,
-      });
+        });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      }
 
-      session.nextOutgoingSeq += 1;
+      // The session may have ended while the prompt was parked.
+      if (this.sessions.get(sessionId) !== session) {
+        return;
+      }
+    }
 
-      sendJson(ws, {
-        type: 'session.progress',
-        session_id: sessionId,
-        message_id: messageId,
-        ...(conversationId ? { conversation_id: conversationId } : {}),
-        encrypted: true,
-        handshake_id: session.handshakeId,
-        ...encryptedPayload,
+    // Streamed deltas share the session's outgoing seq counter, so they are
+    // always sent before the final result frame for the same message.
+    let pendingDelta = '';
+    let deltaTimer: NodeJS.Timeout | undefined;
+    const sendDelta = (payload: JsonRecord): void => {
+      this.sendSessionPayload(ws, {
+        type: 'session.delta',
+        sessionId,
+        messageId,
+        conversationId,
+        session,
+        encrypted: encryptedRequest,
+        payload,
       });
-    } else {
-      sendJson(ws, {
+    };
+    const flushPendingDelta = (): void => {
+      if (deltaTimer) {
+        clearTimeout(deltaTimer);
+        deltaTimer = undefined;
+      }
+      if (!pendingDelta) {
+        return;
+      }
+      const text = pendingDelta;
+      pendingDelta = '';
+      sendDelta({ kind: 'text', delta: text });
+    };
+    const onTextDelta = (text: string): void => {
+      pendingDelta += text;
+      if (!deltaTimer) {
+        deltaTimer = setTimeout(flushPendingDelta, DELTA_FLUSH_MS);
+      }
+    };
+    const onAssistantTurn = (event: { turn: number; text: string }): void => {
+      flushPendingDelta();
+      sendDelta({ kind: 'assistant_turn', turn: event.turn, delta: event.text });
+    };
+
+    // Each tool call keeps one step index across its requested -> decided ->
+    // finished updates so clients can update a single activity row.
+    const toolStepIndexes = new Map<string, number>();
+    const onToolActivity = (event: ToolActivityEvent): void => {
+      const stepKey = event.toolUseId ?? `step_${toolStepIndexes.size + 1}`;
+      let index = toolStepIndexes.get(stepKey);
+      if (index === undefined) {
+        index = toolStepIndexes.size + 1;
+        toolStepIndexes.set(stepKey, index);
+      }
+      const summary = event.input ? summarizeToolInput(event.toolName, event.input, effectivePolicy) : undefined;
+      // Path violations end in the resolved path; keep that on this machine.
+      const publicReason = event.reason?.replace(/_\/.*$/, '');
+      if (event.status === 'denied') {
+        metrics.policyDenials.inc({ stage: 'tool', reason: denialReasonLabel(event.reason ?? '') });
+      }
+
+      flushPendingDelta();
+      this.sendSessionPayload(ws, {
         type: 'session.progress',
-        session_id: sessionId,
-        message_id: messageId,
-        ...(conversationId ? { conversation_id: conversationId } : {}),
-        status: 'running',
+        sessionId,
+        messageId,
+        conversationId,
+        session,
+        encrypted: encryptedRequest,
+        payload: {
+          status: 'running',
+          step: {
+            index,
+            tool_use_id: event.toolUseId ?? null,
+            tool: event.toolName,
+            status: event.status,
+            ...(summary !== undefined ? { summary } : {}),
+            ...(publicReason ? { reason: publicReason } : {}),
+          },
+        },
       });
-    }
+      this.emitDesktopEvent('session.tool', {
+        sessionId,
+        conversationId,
+        messageId,
+        index,
+        toolUseId: event.toolUseId ?? null,
+        tool: event.toolName,
+        status: event.status,
+        summary: summary ?? null,
+        reason: event.reason ?? null,
+      });
+    };
 
-    try {
-      const provider = this.config.provider === 'ollama' ? 'ollama' : 'claude';
-      const result = provider === 'ollama'
-        ? await runOllamaPrompt({
-            prompt,
-            model: this.config.model,
-            systemPrompt: this.config.systemPrompt,
-            resumeSessionId: session.claudeSessionId,
-            ollamaBaseUrl: this.config.ollamaBaseUrl,
-          })
-        : await runPrompt({
-            prompt,
-            cwd,
-            model: this.config.model,
-            systemPrompt: this.config.systemPrompt,
-            resumeSessionId: session.claudeSessionId,
-            mcpServers: this.config.mcpServers,
-            policy: this.config.policy,
-          });
-      if (result.sessionId) {
-        session.claudeSessionId = result.sessionId;
-        if (conversationId) {
-          this.conversationClaudeSessions.set(conversationId, result.sessionId);
-        }
+    const runKey = inFlightKey(sessionId, messageId);
+    const run: InFlightRun = {
+      sessionId,
+      messageId,
+      conversationId,
+      requesterUid: requesterUID,
+      controller: new AbortController(),
+      queuedAt: Date.now(),
+    };
+    this.inFlightRuns.set(runKey, run);
+    const releaseRun = (): void => {
+      if (this.inFlightRuns.get(runKey) === run) {
+        this.inFlightRuns.delete(runKey);
+      }
+      // The idle clock starts when the last answer goes out, not when the
+      // prompt arrived.
+      session.lastActivityAtMs = Date.now();
+    };
+    const queueWaitMs = (): number => (run.startedAt ?? Date.now()) - run.queuedAt;
+    const runDurationMs = (): number => (run.startedAt ? Date.now() - run.startedAt : 0);
+
+    // Workspace state before the run, for the artifacts.diff of the result.
+    // Read-only runs cannot change files, so they skip the snapshot.
+    let workspaceSnapshot: WorkspaceSnapshot | null = null;
+    // Set once the run is moved into the conversation's worktree.
+    let worktree: ConversationWorktree | null = null;
+    // Pre-run state a session.rollback for this message restores.
+    let checkpoint: Checkpoint | null = null;
+    // Once the run is over: which paths it changed, so a rollback undoes
+    // only those.
+    const recordCheckpointChanges = async (): Promise<void> => {
+      if (!checkpoint || !workspaceSnapshot || checkpoint.changes) {
+        return;
+      }
+      try {
+        await this.checkpoints.recordChanges(checkpoint, workspaceSnapshot);
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`checkpoint changes failed message=${messageId}: ${msg}`);
       }
+    };
+    const collectDiff = async (): Promise<DiffArtifact | null> => {
+      if (!workspaceSnapshot) {
+        return null;
+      }
+      try {
+        return await collectWorkspaceDiff(
+          workspaceSnapshot,
+          (filePath) => Boolean(effectivePolicy && getCwdPolicyViolation(filePath, effectivePolicy))
+        );
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`workspace diff failed message=${messageId}: ${msg}`);
+        return null;
+      }
+    };
+
+    const reportCancelled = async (
+      partialResult: string,
+      turns: number,
+      costUsd: number,
+      diff: DiffArtifact | null = null
+    ): Promise<void> => {
+      const reason = run.cancelReason ?? 'cancelled';
+      metrics.prompts.inc({ ...this.promptMetricLabels(model), outcome: 'cancelled' });
+      metrics.costUsd.inc(this.promptMetricLabels(model), costUsd);
+      if (turns > 0 || costUsd > 0) {
+        this.quotas.recordUsage(requesterUID, { costUsd, turns });
+        this.recordConversationUsage(queueKey, { costUsd, turns });
+      }
+      try {
+        await appendAuditEvent(this.options.auditLogPath, {
+          at: new Date().toISOString(),
+          event: 'session.message.cancelled',
+          requester_uid: requesterUID,
+          requester_email: requesterEmail ?? null,
+          device_id: this.config.deviceId,
+          session_id: sessionId,
+          handshake_id: session.handshakeId,
+          message_id: messageId,
+          reason,
+          queue_wait_ms: queueWaitMs(),
+          duration_ms: runDurationMs(),
+          turns,
+          cost_usd: costUsd,
+        });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log.warn(`audit log write failed: ${msg}`);
+      }
+
+      this.emitDesktopEvent('session.cancelled', { sessionId, conversationId, messageId, reason });
 
-      emitDesktopEvent('session.result', {
+      // A cancelled session has no client left to read the result.
+      if (this.sessions.get(sessionId) !== session) {
+        return;
+      }
+
+      this.sendSessionPayload(ws, {
+        type: 'session.result',
         sessionId,
+        messageId,
         conversationId,
+        session,
+        encrypted: encryptedRequest,
+        payload: {
+          status: 'cancelled',
+          reason,
+          result: partialResult,
+          turns,
+          cost_usd: costUsd,
+          queue_wait_ms: queueWaitMs(),
+          policy_preset: policyPreset,
+          ...(worktree ? { worktree: { branch: worktree.branch } } : {}),
+          ...(checkpoint ? { checkpoint_id: checkpoint.checkpointId } : {}),
+          ...(diff ? { artifacts: { diff } } : {}),
+        },
+      });
+    };
+
+    const onQueuedAbort = (): void => {
+      releaseRun();
+      void reportCancelled('', 0, 0);
+    };
+
+    const execute = async (): Promise<void> => {
+      if (run.controller.signal.aborted) {
+        // Cancelled while waiting in the queue and already reported.
+        return;
+      }
+      run.controller.signal.removeEventListener('abort', onQueuedAbort);
+
+      if (this.runScheduler.isSaturated()) {
+        this.sendSessionPayload(ws, {
+          type: 'session.queued',
+          sessionId,
+          messageId,
+          conversationId,
+          session,
+          encrypted: encryptedRequest,
+          payload: {
+            status: 'queued',
+            position: this.runScheduler.waitingCount() + 1,
+            reason: 'max_concurrent_runs',
+          },
+        });
+      }
+
+      try {
+        await this.runScheduler.acquire(requesterUID, run.controller.signal);
+      } catch {
+        releaseRun();
+        await reportCancelled('', 0, 0);
+        return;
+      }
+      run.startedAt = Date.now();
+
+      // Read the mapping only now: the prompt ahead of this one in the
+      // queue may have just started or resumed the provider session.
+      // Unmapped after a /reset, which must not resume the old session.
+      const resumeSessionId = conversationId
+        ? this.conversationClaudeSessions.get(conversationId)
+        : session.claudeSessionId;
+
+      this.sendSessionPayload(ws, {
+        type: 'session.progress',
+        sessionId,
         messageId,
-        result: typeof result.result === 'string' ? result.result : '',
-        turns: result.turns,
-        costUsd: result.costUsd,
-        model: result.model,
+        conversationId,
+        session,
+        encrypted: encryptedRequest,
+        payload: { status: 'running' },
       });
 
-      if (encryptedRequest) {
-        const seq = session.nextOutgoingSeq;
-        const direction: FrameDirection = 'agent_to_client';
-        const aad = buildAadBase64(sessionId, messageId, seq, direction);
+      try {
+        const provider = this.config.provider === 'ollama' ? 'ollama' : 'claude';
+        let runCwd = cwd;
+        if (provider === 'claude' && this.options.conversationWorktrees) {
+          const planned = await resolveConversationWorktree(cwd, conversationId ?? `session-${sessionId}`);
+          // The worktree sits inside the repository, which may reach above
+          // the allowed roots; never run outside them, nor leave a branch
+          // behind for a run that is refused.
+          if (effectivePolicy && getCwdPolicyViolation(planned.cwd, effectivePolicy)) {
+            throw new Error(`worktree_outside_allowed_roots: ${planned.branch}`);
+          }
+          worktree = await ensureConversationWorktree(planned);
+          runCwd = worktree.cwd;
+          if (worktree.created) {
+            log.info(`worktree created session=${sessionId} branch=${worktree.branch}`);
+            void appendAuditEvent(this.options.auditLogPath, {
+              at: new Date().toISOString(),
+              event: 'session.worktree.created',
+              requester_uid: requesterUID,
+              requester_email: requesterEmail ?? null,
+              device_id: this.config.deviceId,
+              session_id: sessionId,
+              message_id: messageId,
+              conversation_id: conversationId ?? null,
+              branch: worktree.branch,
+              path: worktree.path,
+            }).catch((err: unknown) => {
+              const msg = err instanceof Error ? err.message : String(err);
+              log.warn(`audit log write failed: ${msg}`);
+            });
+          }
+        }
+        // Uploads reach the disk only now, after any owner approval, in the
+        // cwd the run uses and before its snapshot, so they are not part of
+        // its diff.
+        const attachments = await this.writeHeldAttachments(session, attachmentIds, effectivePolicy, {
+          conversationId,
+          messageId,
+          requesterUID,
+          cwd: runCwd,
+        });
+        const providerPrompt = formatPromptWithAttachments(prompt, attachments);
+        if (provider === 'claude' && policyPreset !== 'safe') {
+          workspaceSnapshot = await captureWorkspaceSnapshot(runCwd).catch((err: unknown) => {
+            const msg = err instanceof Error ? err.message : String(err);
+            log.warn(`workspace snapshot failed message=${messageId}: ${msg}`);
+            return null;
+          });
+        }
+        if (workspaceSnapshot?.mode === 'mtime' && !this.options.fileCheckpoints) {
+          log.debug(`checkpoint skipped message=${messageId} reason=file_checkpoints_disabled`);
+        } else if (workspaceSnapshot) {
+          checkpoint = await this.checkpoints.create(workspaceSnapshot, {
+            messageId,
+            conversationId: conversationId ?? null,
+            sessionId,
+            requesterUid: requesterUID,
+          }).catch((err: unknown) => {
+            const msg = err instanceof Error ? err.message : String(err);
+            if (msg === 'checkpoint_too_large') {
+              log.info(`checkpoint skipped message=${messageId} reason=checkpoint_too_large cwd=${runCwd}`);
+            } else {
+              log.warn(`checkpoint failed message=${messageId}: ${msg}`);
+            }
+            return null;
+          });
+        }
+        const result = provider === 'ollama'
+          ? await runOllamaPrompt({
+              prompt: providerPrompt,
+              model,
+              systemPrompt: this.config.systemPrompt,
+              resumeSessionId,
+              ollamaBaseUrl: this.config.ollamaBaseUrl,
+              signal: run.controller.signal,
+              ...(streamRequested ? { onDelta: onTextDelta } : {}),
+            })
+          : await runPrompt({
+              prompt: providerPrompt,
+              cwd: runCwd,
+              model,
+              systemPrompt: this.config.systemPrompt,
+              resumeSessionId,
+              mcpServers: this.config.mcpServers,
+              policy: effectivePolicy,
+              maxTurns: effectivePolicy?.maxTurns,
+              maxCostUsd: effectivePolicy?.maxCostUsdPerMessage,
+              abortController: run.controller,
+              onToolActivity,
+              onToolApproval: (request) => this.requestToolApproval(ws, {
+                session,
+                sessionId,
+                messageId,
+                conversationId,
+                encrypted: encryptedRequest,
+                requesterUID,
+                policy: effectivePolicy,
+                request,
+                runSignal: run.controller.signal,
+              }),
+              ...(streamRequested ? { onAssistantTurn } : {}),
+            });
+        flushPendingDelta();
+        if (result.sessionId) {
+          if (!conversationId) {
+            session.claudeSessionId = result.sessionId;
+          } else {
+            this.conversationClaudeSessions.set(conversationId, result.sessionId);
+            this.conversations.set({
+              conversationId,
+              provider,
+              sessionId: result.sessionId,
+              ...(provider === 'ollama' ? { messages: getOllamaSessionMessages(result.sessionId) } : {}),
+            });
+          }
+        }
 
-        const encryptedPayload = encryptFramePayload({
-          keyBase64: session.keys.agentToClientBase64,
-          direction,
-          seq,
-          plaintextUtf8: JSON.stringify({
-            result: result.result,
+        await recordCheckpointChanges();
+        const diff = await collectDiff();
+        if (result.aborted) {
+          await reportCancelled(result.result, result.turns, result.costUsd, diff);
+          return;
+        }
+
+        // A run stopped by its budget still answers with what it produced.
+        const status = result.budgetExceeded ? 'budget_exceeded' : 'completed';
+        const budget = result.budgetExceeded
+          ? {
+              exceeded: result.budgetExceeded,
+              max_turns: effectivePolicy?.maxTurns ?? null,
+              max_cost_usd: effectivePolicy?.maxCostUsdPerMessage ?? null,
+            }
+          : null;
+        if (budget) {
+          log.info(`budget exceeded session=${sessionId} message=${messageId} budget=${budget.exceeded}`);
+        }
+
+        this.quotas.recordUsage(requesterUID, { costUsd: result.costUsd, turns: result.turns });
+        this.recordConversationUsage(queueKey, { costUsd: result.costUsd, turns: result.turns });
+        metrics.prompts.inc({ ...this.promptMetricLabels(model), outcome: status });
+        metrics.promptDuration.observe(runDurationMs() / 1000, this.promptMetricLabels(model));
+        metrics.promptTurns.observe(result.turns, this.promptMetricLabels(model));
+        metrics.costUsd.inc(this.promptMetricLabels(model), result.costUsd);
+
+        try {
+          await appendAuditEvent(this.options.auditLogPath, {
+            at: new Date().toISOString(),
+            event: `session.message.${status}`,
+            requester_uid: requesterUID,
+            requester_email: requesterEmail ?? null,
+            device_id: this.config.deviceId,
+            session_id: sessionId,
+            handshake_id: session.handshakeId,
+            message_id: messageId,
+            queue_wait_ms: queueWaitMs(),
+            duration_ms: runDurationMs(),
             turns: result.turns,
             cost_usd: result.costUsd,
             model: result.model,
-            session_id: sessionId,
-            message_id: messageId,
-          }),
-          aadBase64: aad,
-        });
+            policy_preset: policyPreset,
+            ...(budget ? { budget } : {}),
+            ...(worktree ? { worktree_branch: worktree.branch } : {}),
+            ...(checkpoint ? { checkpoint_id: checkpoint.checkpointId } : {}),
+            ...(diff ? { files_changed: diff.files.map((file) => file.path) } : {}),
+          });
+        } catch (err) {
+          const msg = err instanceof Error ? err.message : String(err);
+          log.warn(`audit log write failed: ${msg}`);
+        }
 
-        session.nextOutgoingSeq += 1;
+        this.emitDesktopEvent('session.result', {
+          sessionId,
+          conversationId,
+          messageId,
+          result: typeof result.result === 'string' ? result.result : '',
+          turns: result.turns,
+          costUsd: result.costUsd,
+          model: result.model,
+        });
 
-        sendJson(ws, {
+        this.sendSessionPayload(ws, {
           type: 'session.result',
-          session_id: sessionId,
-          message_id: messageId,
-          ...(conversationId ? { conversation_id: conversationId } : {}),
-          encrypted: true,
-          handshake_id: session.handshakeId,
-          ...encryptedPayload,
+          sessionId,
+          messageId,
+          conversationId,
+          session,
+          encrypted: encryptedRequest,
+          payload: {
+            status,
+            result: result.result,
+            turns: result.turns,
+            cost_usd: result.costUsd,
+            model: result.model,
+            queue_wait_ms: queueWaitMs(),
+            policy_preset: policyPreset,
+            ...(budget ? { budget } : {}),
+            ...(worktree ? { worktree: { branch: worktree.branch } } : {}),
+            ...(checkpoint ? { checkpoint_id: checkpoint.checkpointId } : {}),
+            ...(diff ? { artifacts: { diff } } : {}),
+          },
         });
-        return;
+      } catch (err) {
+        flushPendingDelta();
+        await recordCheckpointChanges();
+        if (run.controller.signal.aborted) {
+          await reportCancelled('', 0, 0);
+          return;
+        }
+        const msg = err instanceof Error ? err.message : String(err);
+        metrics.prompts.inc({ ...this.promptMetricLabels(model), outcome: 'failed' });
+        metrics.promptDuration.observe(runDurationMs() / 1000, this.promptMetricLabels(model));
+        if (msg.startsWith('policy_violation_')) {
+          metrics.policyDenials.inc({ stage: 'run', reason: denialReasonLabel(msg) });
+        }
+        try {
+          await appendAuditEvent(this.options.auditLogPath, {
+            at: new Date().toISOString(),
+            event: 'session.message.failed',
+            requester_uid: requesterUID,
+            requester_email: requesterEmail ?? null,
+            device_id: this.config.deviceId,
+            session_id: sessionId,
+            handshake_id: session.handshakeId,
+            message_id: messageId,
+            queue_wait_ms: queueWaitMs(),
+            duration_ms: runDurationMs(),
+            error: msg,
+          });
+        } catch (auditErr) {
+          const auditMsg = auditErr instanceof Error ? auditErr.message : String(auditErr);
+          log.warn(`audit log write failed: ${auditMsg}`);
+        }
+        this.emitDesktopEvent('session.error', { sessionId, conversationId, messageId, error: msg });
+        this.sendSessionError(ws, {
+          sessionId,
+          messageId,
+          error: msg,
+          session,
+          encrypted: encryptedRequest,
+        });
+      } finally {
+        this.runScheduler.release();
+        releaseRun();
       }
+    };
 
-      sendJson(ws, {
-        type: 'session.result',
-        session_id: sessionId,
-        message_id: messageId,
-        ...(conversationId ? { conversation_id: conversationId } : {}),
-        result: result.result,
-        turns: result.turns,
-        cost_usd: result.costUsd,
-        model: result.model,
-        handshake_id: session.handshakeId,
-      });
-    } catch (err) {
-      const msg = err instanceof Error ? err.message : String(err);
-      emitDesktopEvent('session.error', { sessionId, conversationId, messageId, error: msg });
+    run.controller.signal.addEventListener('abort', onQueuedAbort, { once: true });
+    const position = this.promptQueue.enqueue(queueKeys, execute, run.controller.signal);
+
+    if (position === null) {
+      run.controller.signal.removeEventListener('abort', onQueuedAbort);
+      releaseRun();
+      log.info(`queue full session=${sessionId} message=${messageId} max_depth=${this.options.maxQueueDepth}`);
+      metrics.prompts.inc({ ...this.promptMetricLabels(model), outcome: 'queue_full' });
+      this.emitDesktopEvent('session.error', { sessionId, conversationId, messageId, error: 'queue_full' });
       this.sendSessionError(ws, {
         sessionId,
         messageId,
-        error: msg,
+        error: 'queue_full',
+        session,
+        encrypted: encryptedRequest,
+      });
+      return;
+    }
+
+    if (position > 0) {
+      this.sendSessionPayload(ws, {
+        type: 'session.queued',
+        sessionId,
+        messageId,
+        conversationId,
         session,
         encrypted: encryptedRequest,
+        payload: { status: 'queued', position },
       });
     }
   }
@@ -895,6 +3622,24 @@ export async function startRuntime(
     reconnectMinMs: options.reconnectMinMs ?? 1000,
     reconnectMaxMs: options.reconnectMaxMs ?? 30000,
     auditLogPath: options.auditLogPath,
+    maxQueueDepth: options.maxQueueDepth ?? 5,
+    maxConcurrentRuns: options.maxConcurrentRuns ?? 2,
+    quotaUsagePath: options.quotaUsagePath ?? DEFAULT_QUOTA_USAGE_PATH,
+    sessionIdleTimeoutMs: options.sessionIdleTimeoutMs ?? 30 * 60_000,
+    sessionMaxLifetimeMs: options.sessionMaxLifetimeMs ?? 12 * 60 * 60_000,
+    conversationStorePath: options.conversationStorePath ?? DEFAULT_CONVERSATIONS_PATH,
+    checkpointStorePath: options.checkpointStorePath ?? DEFAULT_CHECKPOINTS_PATH,
+    desktopControl: options.desktopControl ?? false,
+    controlSocketPath: options.controlSocketPath === undefined ? DEFAULT_CONTROL_SOCKET_PATH : options.controlSocketPath,
+    policyConfigPath: options.policyConfigPath ?? null,
+    mcpConfigPath: options.mcpConfigPath ?? null,
+    metricsPort: options.metricsPort ?? null,
+    shutdownGraceMs: options.shutdownGraceMs ?? 30_000,
+    promptApproval: options.promptApproval ?? false,
+    promptApprovalTimeoutMs: options.promptApprovalTimeoutMs ?? 10 * 60_000,
+    conversationWorktrees: options.conversationWorktrees ?? false,
+    persistOllamaTranscripts: options.persistOllamaTranscripts ?? false,
+    fileCheckpoints: options.fileCheckpoints ?? false,
   };
 
   const runtime = new AgentRuntime(config, normalizedOptions, signal);
@@ -11,17 +11,104 @@ export type AgentProvider = 'claude' | 'ollama';
 
 export type PolicyPreset = 'safe' | 'balanced' | 'power';
 
+// Per-requester usage limits. `null` means unlimited; an omitted field
+// falls back to the next less specific level (policy defaults, then built-in).
+export interface RequesterLimits {
+  promptsPerMinute?: number | null;
+  costUsdPerDay?: number | null;
+  turnsPerDay?: number | null;
+}
+
+export interface RequesterLimitsPolicy {
+  defaults?: RequesterLimits;
+  // Keyed by requester uid or exact (lowercased) email.
+  overrides?: Record<string, RequesterLimits>;
+}
+
+// Fields that replace the base policy's values for matching requesters.
+export interface PolicyOverlay {
+  preset?: PolicyPreset;
+  allowedCwdRoots?: string[];
+  blockedPathRoots?: string[];
+  allowedTools?: string[];
+  disallowedTools?: string[];
+  askTools?: string[];
+  maxPromptChars?: number;
+  maxTurns?: number;
+  maxCostUsdPerMessage?: number;
+  bash?: {
+    denyPatterns?: string[];
+    allowPatterns?: string[];
+  };
+}
+
+// Who answers an "ask" tool call, and how long the run waits before the
+// call is denied.
+export interface ToolApprovalSettings {
+  route?: 'requester' | 'owner';
+  timeoutMs?: number;
+}
+
+// Files requesters may upload with session.attachment frames; off unless
+// `enabled` is set. Name and MIME type are declared by the client; a file
+// passes if either matches.
+export interface AttachmentSettings {
+  enabled?: boolean;
+  maxFileBytes?: number;
+  maxFilesPerMessage?: number;
+  // MIME types ("text/*" wildcards allowed) or extensions (".log").
+  allowedTypes?: string[];
+}
+
+// A directory remote users pick by name (`workspace` in session.message)
+// instead of sending an absolute path.
+export interface WorkspaceDefinition {
+  path: string;
+  description?: string;
+  // Applied after the requester's overlays for runs in this workspace.
+  policy?: PolicyOverlay;
+}
+
 export interface AgentPolicy {
   version: 1;
   preset: PolicyPreset;
   allowedCwdRoots: string[];
   blockedPathRoots: string[];
+  // When set, only these tools may run (on top of disallowedTools).
+  allowedTools?: string[];
   disallowedTools: string[];
+  // Tools that pass every other check but still need a human to approve
+  // each call; "*" matches every tool.
+  askTools?: string[];
+  approvals?: ToolApprovalSettings;
+  attachments?: AttachmentSettings;
+  // Keyed by alias (letters, digits, ".", "_", "-").
+  workspaces?: Record<string, WorkspaceDefinition>;
+  // Models remote users may switch their conversation to with /model.
+  models?: string[];
   maxPromptChars: number;
+  // Per-message run budgets; a Claude run that reaches one stops early and
+  // answers with status "budget_exceeded". maxTurns defaults to 40.
+  maxTurns?: number;
+  maxCostUsdPerMessage?: number;
   bash: {
     denyPatterns: string[];
     allowPatterns?: string[];
   };
+  limits?: RequesterLimitsPolicy;
+  // Entries are a uid, an exact email or `*@domain`. Deny wins over allow;
+  // a non-empty allow list admits only matching requesters.
+  requesters?: {
+    allow?: string[];
+    deny?: string[];
+  };
+  // Applied in order: owner or grantees, then each matching requesters key
+  // (uid, exact email or `*@domain`) in the order listed.
+  overlays?: {
+    owner?: PolicyOverlay;
+    grantees?: PolicyOverlay;
+    requesters?: Record<string, PolicyOverlay>;
+  };
 }
 
 export interface AgentIdentity {
@@ -61,10 +148,17 @@ export interface ClaudeRunResult {
   costUsd: number;
   model?: string;
   sessionId?: string;
+  // Set when the run was stopped through its abort controller; `result`
+  // then holds whatever assistant text was produced before the stop.
+  aborted?: boolean;
+  // Set when the run stopped at the policy's maxTurns or
+  // maxCostUsdPerMessage; `result` is the last assistant text.
+  budgetExceeded?: 'turns' | 'cost';
 }
 
+// Raw 32-byte keys, kept in buffers so holders can zero them when done.
 export interface SessionKeys {
-  clientToAgentBase64: string;
-  agentToClientBase64: string;
-  controlBase64: string;
+  clientToAgent: Buffer;
+  agentToClient: Buffer;
+  control: Buffer;
 }
@@ -0,0 +1,283 @@
+import os from 'node:os';
+import path from 'node:path';
+import { copyFile, mkdtemp, readdir, realpath, rm, stat } from 'node:fs/promises';
+import { runGit as git } from './git.js';
+
+// Result payload limits; past them the artifact is marked truncated.
+const MAX_DIFF_FILES = 100;
+const MAX_DIFF_BYTES = 200_000;
+// Outside git every file is stat'ed twice, so the walk is capped; a cwd
+// past the cap gets no diff at all.
+const MAX_WALK_ENTRIES = 20_000;
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+export type WorkspaceSnapshot =
+  // `scope` is the cwd relative to the repository root ('.' at the top);
+  // diffs only cover files below it.
+  | { mode: 'git'; root: string; tree: string; indexPath: string; scope: string }
+  // `complete` is false (and `files` empty) when the walk hit MAX_WALK_ENTRIES.
+  | { mode: 'mtime'; root: string; files: Map<string, { mtimeMs: number; size: number }>; complete: boolean };
+
+export interface DiffFile {
+  path: string;
+  status: 'added' | 'modified' | 'deleted';
+  // null for binary files and outside git.
+  additions: number | null;
+  deletions: number | null;
+}
+
+/** `artifacts.diff` in the session.result payload. */
+export interface DiffArtifact {
+  mode: 'git' | 'mtime';
+  files: DiffFile[];
+  files_added: number;
+  files_removed: number;
+  files_modified: number;
+  additions: number;
+  deletions: number;
+  // Unified diff; empty outside git.
+  unified: string;
+  truncated: boolean;
+  // Set when no comparison was made: outside git, the cwd has more than
+  // MAX_WALK_ENTRIES entries.
+  skipped?: 'too_many_files';
+}
+
+/** Pathspec limiting git to the snapshot's cwd. */
+export function scopePathspec(snapshot: Pick<Extract<WorkspaceSnapshot, { mode: 'git' }>, 'scope'>): string {
+  return `:(literal)${snapshot.scope}`;
+}
+
+/**
+ * Tree object for the working tree below `scope` (tracked and untracked
+ * files, .gitignore respected); paths outside it keep their state in the
+ * real index. Staging goes through a throwaway copy of the index so the
+ * user's real index is never touched; the blobs it writes are ordinary
+ * loose objects that `git gc` collects.
+ */
+async function writeWorkingTree(root: string, indexPath: string, scope: string): Promise<string> {
+  const tmpDir = await mkdtemp(path.join(os.tmpdir(), 'commands-agent-diff-'));
+  const tmpIndex = path.join(tmpDir, 'index');
+  try {
+    // A fresh repo has no index yet; git starts from an empty one.
+    await copyFile(indexPath, tmpIndex).catch(() => undefined);
+    const env = { GIT_INDEX_FILE: tmpIndex };
+    await git(['add', '-A', '--', scopePathspec({ scope })], root, env);
+    return (await git(['write-tree'], root, env)).trim();
+  } finally {
+    await rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/** Regular files under `root` (skipping .git and node_modules), capped at MAX_WALK_ENTRIES. */
+export async function walkFiles(root: string): Promise<{ files: Map<string, { mtimeMs: number; size: number }>; complete: boolean }> {
+  const files = new Map<string, { mtimeMs: number; size: number }>();
+  const pending = [root];
+  let entries = 0;
+
+  while (pending.length > 0) {
+    const dir = pending.pop() as string;
+    let dirents;
+    try {
+      dirents = await readdir(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const dirent of dirents) {
+      entries += 1;
+      if (entries > MAX_WALK_ENTRIES) {
+        return { files, complete: false };
+      }
+      const fullPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!SKIPPED_DIRS.has(dirent.name)) {
+          pending.push(fullPath);
+        }
+      } else if (dirent.isFile()) {
+        try {
+          const info = await stat(fullPath);
+          files.set(path.relative(root, fullPath), { mtimeMs: info.mtimeMs, size: info.size });
+        } catch {
+          // Removed between readdir and stat.
+        }
+      }
+    }
+  }
+  return { files, complete: true };
+}
+
+/**
+ * Record the state of `cwd` before a run: a git tree when cwd is inside a
+ * work tree, otherwise file mtimes and sizes.
+ */
+export async function captureWorkspaceSnapshot(cwd: string): Promise<WorkspaceSnapshot> {
+  try {
+    const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    const indexPath = path.resolve(root, (await git(['rev-parse', '--git-path', 'index'], root)).trim());
+    const scope = path.relative(root, await realpath(cwd)) || '.';
+    return { mode: 'git', root, indexPath, scope, tree: await writeWorkingTree(root, indexPath, scope) };
+  } catch {
+    // Not a repository, or git is not installed.
+  }
+
+  const root = path.resolve(cwd);
+  const walk = await walkFiles(root);
+  // A partial list cannot be diffed reliably; drop it rather than keep it.
+  return { mode: 'mtime', root, files: walk.complete ? walk.files : new Map(), complete: walk.complete };
+}
+
+function summarize(mode: DiffArtifact['mode'], files: DiffFile[], unified: string, truncated: boolean): DiffArtifact | null {
+  if (files.length === 0) {
+    return null;
+  }
+  const kept = files.slice(0, MAX_DIFF_FILES);
+  return {
+    mode,
+    files: kept,
+    files_added: files.filter((file) => file.status === 'added').length,
+    files_removed: files.filter((file) => file.status === 'deleted').length,
+    files_modified: files.filter((file) => file.status === 'modified').length,
+    additions: files.reduce((sum, file) => sum + (file.additions ?? 0), 0),
+    deletions: files.reduce((sum, file) => sum + (file.deletions ?? 0), 0),
+    unified,
+    truncated: truncated || kept.length < files.length,
+  };
+}
+
+function truncateUnified(blocks: string[]): { unified: string; truncated: boolean } {
+  let unified = '';
+  for (const block of blocks) {
+    if (unified.length + block.length > MAX_DIFF_BYTES) {
+      // Cut on a line boundary so the last hunk stays readable.
+      const room = MAX_DIFF_BYTES - unified.length;
+      const cut = block.lastIndexOf('\n', room);
+      return { unified: unified + (cut > 0 ? block.slice(0, cut + 1) : ''), truncated: true };
+    }
+    unified += block;
+  }
+  return { unified, truncated: false };
+}
+
+async function diffGitSnapshot(
+  snapshot: Extract<WorkspaceSnapshot, { mode: 'git' }>,
+  isHidden: (absolutePath: string) => boolean
+): Promise<DiffArtifact | null> {
+  const after = await writeWorkingTree(snapshot.root, snapshot.indexPath, snapshot.scope);
+  if (after === snapshot.tree) {
+    return null;
+  }
+
+  const base = ['diff', '--no-color', '--no-ext-diff', '--no-textconv', '--no-renames'];
+  const pathspec = ['--', scopePathspec(snapshot)];
+  const [nameStatus, numstat] = await Promise.all([
+    git([...base, '--name-status', '-z', snapshot.tree, after, ...pathspec], snapshot.root),
+    git([...base, '--numstat', '-z', snapshot.tree, after, ...pathspec], snapshot.root),
+  ]);
+
+  const counts = new Map<string, { additions: number | null; deletions: number | null }>();
+  for (const record of numstat.split('\0')) {
+    const [additions, deletions, ...rest] = record.split('\t');
+    const filePath = rest.join('\t');
+    if (filePath) {
+      counts.set(filePath, {
+        additions: additions === '-' ? null : Number(additions),
+        deletions: deletions === '-' ? null : Number(deletions),
+      });
+    }
+  }
+
+  // Diff output lists files in the same order for every format.
+  const tokens = nameStatus.split('\0');
+  const allFiles: Array<DiffFile & { hidden: boolean }> = [];
+  for (let index = 0; index + 1 < tokens.length; index += 2) {
+    const code = tokens[index];
+    const filePath = tokens[index + 1];
+    if (!code || !filePath) {
+      continue;
+    }
+    allFiles.push({
+      path: filePath,
+      status: code === 'A' ? 'added' : code === 'D' ? 'deleted' : 'modified',
+      additions: counts.get(filePath)?.additions ?? null,
+      deletions: counts.get(filePath)?.deletions ?? null,
+      hidden: isHidden(path.join(snapshot.root, filePath)),
+    });
+  }
+
+  let patch = '';
+  let patchFailed = false;
+  try {
+    patch = await git([...base, snapshot.tree, after, ...pathspec], snapshot.root);
+  } catch {
+    // Larger than git's output buffer: report the file list only.
+    patchFailed = true;
+  }
+  const blocks = patch.split(/^(?=diff --git )/m).filter((block) => block.length > 0);
+  const visibleBlocks = blocks.length === allFiles.length
+    ? blocks.filter((_, index) => !allFiles[index].hidden)
+    : [];
+  const { unified, truncated } = truncateUnified(visibleBlocks);
+
+  const files = allFiles.filter((file) => !file.hidden).map(({ hidden: _hidden, ...file }) => file);
+  return summarize('git', files, unified, truncated || patchFailed || (blocks.length !== allFiles.length));
+}
+
+async function diffMtimeSnapshot(
+  snapshot: Extract<WorkspaceSnapshot, { mode: 'mtime' }>,
+  isHidden: (absolutePath: string) => boolean
+): Promise<DiffArtifact | null> {
+  if (!snapshot.complete) {
+    return {
+      mode: 'mtime',
+      files: [],
+      files_added: 0,
+      files_removed: 0,
+      files_modified: 0,
+      additions: 0,
+      deletions: 0,
+      unified: '',
+      truncated: true,
+      skipped: 'too_many_files',
+    };
+  }
+  const after = await walkFiles(snapshot.root);
+  const files: DiffFile[] = [];
+
+  for (const [filePath, info] of after.files) {
+    const before = snapshot.files.get(filePath);
+    if (!before) {
+      files.push({ path: filePath, status: 'added', additions: null, deletions: null });
+    } else if (before.mtimeMs !== info.mtimeMs || before.size !== info.size) {
+      files.push({ path: filePath, status: 'modified', additions: null, deletions: null });
+    }
+  }
+  // A capped walk cannot tell a deleted file from one it never reached.
+  if (after.complete) {
+    for (const filePath of snapshot.files.keys()) {
+      if (!after.files.has(filePath)) {
+        files.push({ path: filePath, status: 'deleted', additions: null, deletions: null });
+      }
+    }
+  }
+
+  const visible = files
+    .filter((file) => !isHidden(path.join(snapshot.root, file.path)))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  return summarize('mtime', visible, '', !after.complete);
+}
+
+/**
+ * Compare the workspace with `snapshot`. Returns null when nothing changed.
+ * Only files below the snapshot's cwd are compared, but any change there is
+ * reported, also one made by someone else during the run. Files for which
+ * `isHidden` returns true (blocked or outside the allowed roots) are left
+ * out entirely.
+ */
+export async function collectWorkspaceDiff(
+  snapshot: WorkspaceSnapshot,
+  isHidden: (absolutePath: string) => boolean
+): Promise<DiffArtifact | null> {
+  return snapshot.mode === 'git'
+    ? diffGitSnapshot(snapshot, isHidden)
+    : diffMtimeSnapshot(snapshot, isHidden);
+}
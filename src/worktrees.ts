@@ -0,0 +1,192 @@
+import path from 'node:path';
+import { realpath } from 'node:fs/promises';
+import { addGitExclude, gitErrorSummary, runGit as git } from './git.js';
+
+// Agent worktrees live inside the repository (so they stay under the same
+// allowed root) and are hidden from it through .git/info/exclude.
+export const WORKTREE_DIR = '.commands-agent-worktrees';
+export const WORKTREE_BRANCH_PREFIX = 'agent/';
+
+export interface AgentWorktree {
+  branch: string;
+  path: string;
+  head: string | null;
+  // Commits on the branch that the repository's HEAD does not have yet.
+  ahead: number;
+  // Uncommitted changes in the worktree.
+  dirty: boolean;
+}
+
+export interface ConversationWorktree {
+  branch: string;
+  path: string;
+  // Where to run: the requested cwd mapped into the worktree.
+  cwd: string;
+  repoRoot: string;
+  created: boolean;
+}
+
+function branchSegment(conversationId: string): string {
+  const segment = conversationId
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/\.{2,}/g, '_')
+    .replace(/^[.-]+/, '')
+    .replace(/(\.lock|\.)$/, '')
+    .slice(0, 100);
+  return segment || 'conversation';
+}
+
+export function worktreeBranchName(conversationId: string): string {
+  return `${WORKTREE_BRANCH_PREFIX}${branchSegment(conversationId)}`;
+}
+
+/** Top of the git work tree containing `cwd`; throws `worktree_requires_git_repo`. */
+export async function resolveRepoRoot(cwd: string): Promise<string> {
+  try {
+    return (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+  } catch {
+    throw new Error('worktree_requires_git_repo');
+  }
+}
+
+/** Worktrees on `agent/*` branches of the repository at `repoRoot`. */
+export async function listAgentWorktrees(repoRoot: string): Promise<AgentWorktree[]> {
+  const output = await git(['worktree', 'list', '--porcelain'], repoRoot);
+  const worktrees: AgentWorktree[] = [];
+
+  for (const block of output.split('\n\n')) {
+    const fields = new Map<string, string>();
+    for (const line of block.split('\n')) {
+      const space = line.indexOf(' ');
+      fields.set(space < 0 ? line : line.slice(0, space), space < 0 ? '' : line.slice(space + 1));
+    }
+    const worktreePath = fields.get('worktree');
+    const branch = fields.get('branch')?.replace(/^refs\/heads\//, '');
+    if (!worktreePath || !branch?.startsWith(WORKTREE_BRANCH_PREFIX)) {
+      continue;
+    }
+
+    const [ahead, status] = await Promise.all([
+      git(['rev-list', '--count', `HEAD..${branch}`], repoRoot).catch(() => '0'),
+      git(['status', '--porcelain'], worktreePath).catch(() => ''),
+    ]);
+    worktrees.push({
+      branch,
+      path: worktreePath,
+      head: fields.get('HEAD') ?? null,
+      ahead: Number(ahead.trim()) || 0,
+      dirty: status.trim().length > 0,
+    });
+  }
+  return worktrees;
+}
+
+async function findAgentWorktree(repoRoot: string, branch: string): Promise<AgentWorktree> {
+  const worktree = (await listAgentWorktrees(repoRoot)).find((candidate) => candidate.branch === branch);
+  if (!worktree) {
+    throw new Error(`worktree_not_found: ${branch}`);
+  }
+  return worktree;
+}
+
+/**
+ * Where the conversation's worktree for `cwd` lives (or would be created),
+ * without touching the repository, so callers can vet the path first.
+ */
+export async function resolveConversationWorktree(
+  cwd: string,
+  conversationId: string
+): Promise<Omit<ConversationWorktree, 'created'>> {
+  const repoRoot = await resolveRepoRoot(cwd);
+  const relativeCwd = path.relative(repoRoot, await realpath(cwd));
+  const worktreePath = path.join(repoRoot, WORKTREE_DIR, branchSegment(conversationId));
+  return {
+    branch: worktreeBranchName(conversationId),
+    path: worktreePath,
+    cwd: path.join(worktreePath, relativeCwd),
+    repoRoot,
+  };
+}
+
+/**
+ * The conversation's worktree, created on first use from the repository's
+ * current HEAD on branch `agent/<conversationId>`. Later messages of the
+ * same conversation reuse it, including after an agent restart.
+ */
+export async function ensureConversationWorktree(
+  planned: Omit<ConversationWorktree, 'created'>
+): Promise<ConversationWorktree> {
+  const { branch, path: worktreePath, repoRoot } = planned;
+  const result = (created: boolean): ConversationWorktree => ({ ...planned, created });
+
+  const existing = (await listAgentWorktrees(repoRoot)).find((worktree) => worktree.path === worktreePath);
+  if (existing) {
+    return result(false);
+  }
+
+  try {
+    await addGitExclude(repoRoot, `/${WORKTREE_DIR}/`);
+    const branchExists = await git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], repoRoot)
+      .then(() => true, () => false);
+    await git(
+      ['worktree', 'add', ...(branchExists ? [worktreePath, branch] : ['-b', branch, worktreePath, 'HEAD'])],
+      repoRoot
+    );
+  } catch (err) {
+    throw new Error(`worktree_create_failed: ${gitErrorSummary(err)}`);
+  }
+  return result(true);
+}
+
+/**
+ * Commit whatever the agent left uncommitted in the worktree, then merge its
+ * branch into the repository's current branch with a merge commit. Refuses
+ * with `worktree_merge_dirty` while the checkout has uncommitted changes,
+ * since aborting a conflicting merge cannot reliably restore them. A
+ * conflicting merge is aborted and reported as `worktree_merge_conflict`.
+ */
+export async function mergeAgentWorktree(
+  repoRoot: string,
+  branch: string
+): Promise<{ branch: string; committed: boolean }> {
+  const worktree = await findAgentWorktree(repoRoot, branch);
+  if ((await git(['status', '--porcelain'], repoRoot)).trim().length > 0) {
+    throw new Error(`worktree_merge_dirty: commit or stash the changes in ${repoRoot} first`);
+  }
+
+  let committed = false;
+  if (worktree.dirty) {
+    try {
+      await git(['add', '-A'], worktree.path);
+      await git(['commit', '--quiet', '-m', `Agent changes on ${branch}`], worktree.path);
+      committed = true;
+    } catch (err) {
+      throw new Error(`worktree_commit_failed: ${gitErrorSummary(err)}`);
+    }
+  }
+
+  try {
+    await git(['merge', '--no-ff', '--no-edit', branch], repoRoot);
+  } catch (err) {
+    await git(['merge', '--abort'], repoRoot).catch(() => undefined);
+    throw new Error(`worktree_merge_conflict: ${gitErrorSummary(err)}`);
+  }
+  return { branch, committed };
+}
+
+/** Remove an agent worktree and, unless `keepBranch`, delete its branch. */
+export async function removeAgentWorktree(
+  repoRoot: string,
+  branch: string,
+  options: { keepBranch?: boolean } = {}
+): Promise<void> {
+  const worktree = await findAgentWorktree(repoRoot, branch);
+  try {
+    await git(['worktree', 'remove', '--force', worktree.path], repoRoot);
+    if (!options.keepBranch) {
+      await git(['branch', '-D', branch], repoRoot);
+    }
+  } catch (err) {
+    throw new Error(`worktree_remove_failed: ${gitErrorSummary(err)}`);
+  }
+}
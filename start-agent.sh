@@ -15,6 +15,10 @@ PERMISSION_PROFILE="${PERMISSION_PROFILE:-dev-safe}"
 DEFAULT_CWD="${DEFAULT_CWD:-$HOME}"
 HEARTBEAT_MS="${HEARTBEAT_MS:-30000}"
 AUDIT_LOG_PATH="${AUDIT_LOG_PATH:-$HOME/.commands-agent/audit.log}"
+MAX_QUEUE_DEPTH="${MAX_QUEUE_DEPTH:-5}"
+MAX_CONCURRENT_RUNS="${MAX_CONCURRENT_RUNS:-2}"
+SESSION_IDLE_TIMEOUT_MS="${SESSION_IDLE_TIMEOUT_MS:-1800000}"
+SESSION_MAX_LIFETIME_MS="${SESSION_MAX_LIFETIME_MS:-43200000}"
 MCP_CONFIG_FROM_ENV=0
 if [[ -n "${MCP_CONFIG:-}" ]]; then
   MCP_CONFIG_FROM_ENV=1
@@ -24,6 +28,19 @@ MCP_CONFIG="${MCP_CONFIG:-$DEFAULT_MCP_CONFIG_PATH}"
 MCP_FILESYSTEM_ROOT="${MCP_FILESYSTEM_ROOT:-$HOME}"
 MCP_FILESYSTEM_ENABLED="${MCP_FILESYSTEM_ENABLED:-1}"
 SYSTEM_PROMPT="${SYSTEM_PROMPT:-}"
+POLICY_CONFIG="${POLICY_CONFIG:-}"
+DESKTOP_CONTROL="${DESKTOP_CONTROL:-0}"
+CONTROL_SOCKET="${CONTROL_SOCKET:-$HOME/.commands-agent/control.sock}"
+METRICS_PORT="${METRICS_PORT:-}"
+LOG_LEVEL="${LOG_LEVEL:-info}"
+LOG_FORMAT="${LOG_FORMAT:-text}"
+LOG_FILE="${LOG_FILE:-}"
+SHUTDOWN_GRACE_MS="${SHUTDOWN_GRACE_MS:-30000}"
+PROMPT_APPROVAL="${PROMPT_APPROVAL:-0}"
+PROMPT_APPROVAL_TIMEOUT_MS="${PROMPT_APPROVAL_TIMEOUT_MS:-600000}"
+CONVERSATION_WORKTREES="${CONVERSATION_WORKTREES:-0}"
+PERSIST_OLLAMA_TRANSCRIPTS="${PERSIST_OLLAMA_TRANSCRIPTS:-0}"
+FILE_CHECKPOINTS="${FILE_CHECKPOINTS:-0}"
 AUTH_MODE="${AUTH_MODE:-oauth}" # oauth | manual
 HEADLESS="${HEADLESS:-0}"
 BUILD_AGENT="${BUILD_AGENT:-1}"
@@ -138,6 +155,14 @@ START_ARGS=(
   --default-cwd "$DEFAULT_CWD"
   --heartbeat-ms "$HEARTBEAT_MS"
   --audit-log-path "$AUDIT_LOG_PATH"
+  --max-queue-depth "$MAX_QUEUE_DEPTH"
+  --max-concurrent-runs "$MAX_CONCURRENT_RUNS"
+  --session-idle-timeout-ms "$SESSION_IDLE_TIMEOUT_MS"
+  --session-max-lifetime-ms "$SESSION_MAX_LIFETIME_MS"
+  --shutdown-grace-ms "$SHUTDOWN_GRACE_MS"
+  --control-socket "$CONTROL_SOCKET"
+  --log-level "$LOG_LEVEL"
+  --log-format "$LOG_FORMAT"
   --provider "$PROVIDER"
   --model "$MODEL"
   --permission-profile "$PERMISSION_PROFILE"
@@ -151,8 +176,40 @@ if [[ -n "$SYSTEM_PROMPT" ]]; then
   START_ARGS+=(--system-prompt "$SYSTEM_PROMPT")
 fi
 
+if [[ -n "$POLICY_CONFIG" ]]; then
+  START_ARGS+=(--policy-config "$POLICY_CONFIG")
+fi
+
 if [[ -n "$DEVICE_NAME" ]]; then
   START_ARGS+=(--device-name "$DEVICE_NAME")
 fi
 
+if [[ -n "$LOG_FILE" ]]; then
+  START_ARGS+=(--log-file "$LOG_FILE")
+fi
+
+if [[ -n "$METRICS_PORT" ]]; then
+  START_ARGS+=(--metrics-port "$METRICS_PORT")
+fi
+
+if [[ "$DESKTOP_CONTROL" == "1" ]]; then
+  START_ARGS+=(--desktop-control)
+fi
+
+if [[ "$PROMPT_APPROVAL" == "1" ]]; then
+  START_ARGS+=(--prompt-approval --prompt-approval-timeout-ms "$PROMPT_APPROVAL_TIMEOUT_MS")
+fi
+
+if [[ "$CONVERSATION_WORKTREES" == "1" ]]; then
+  START_ARGS+=(--conversation-worktrees)
+fi
+
+if [[ "$PERSIST_OLLAMA_TRANSCRIPTS" == "1" ]]; then
+  START_ARGS+=(--persist-ollama-transcripts)
+fi
+
+if [[ "$FILE_CHECKPOINTS" == "1" ]]; then
+  START_ARGS+=(--file-checkpoints)
+fi
+
 exec node dist/index.js start "${START_ARGS[@]}"
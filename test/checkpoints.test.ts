@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { CheckpointStore } from '../src/checkpoints.js';
+import { captureWorkspaceSnapshot } from '../src/workspace-diff.js';
+
+const META = { messageId: 'm_1', conversationId: 'c_1', sessionId: 's_1', requesterUid: 'u_1' };
+
+let tmp: string;
+
+before(async () => {
+  tmp = await mkdtemp(path.join(os.tmpdir(), 'commands-agent-checkpoints-test-'));
+});
+
+after(async () => {
+  await rm(tmp, { recursive: true, force: true });
+});
+
+async function exists(filePath: string): Promise<boolean> {
+  return stat(filePath).then(() => true, () => false);
+}
+
+// Checkpoint `dir`, apply the run's edits, record them, then apply the
+// edits made after the run.
+async function checkpointRun(
+  dir: string,
+  store: CheckpointStore,
+  run: () => Promise<void>,
+  later: () => Promise<void>
+) {
+  const snapshot = await captureWorkspaceSnapshot(dir);
+  const checkpoint = await store.create(snapshot, META);
+  await run();
+  await store.recordChanges(checkpoint, snapshot);
+  await later();
+  return checkpoint;
+}
+
+describe('CheckpointStore.restore', () => {
+  it('undoes the run in git and skips paths changed since', async () => {
+    const repo = path.join(tmp, 'repo');
+    execFileSync('git', ['init', '-q', repo]);
+    await writeFile(path.join(repo, 'a.txt'), 'a\n');
+    await writeFile(path.join(repo, 'b.txt'), 'b\n');
+    execFileSync('git', ['add', '.'], { cwd: repo });
+    execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init'], { cwd: repo });
+
+    const store = new CheckpointStore(path.join(tmp, 'git-state', 'checkpoints.json'));
+    const checkpoint = await checkpointRun(
+      repo,
+      store,
+      async () => {
+        await writeFile(path.join(repo, 'a.txt'), 'a by the run\n');
+        await writeFile(path.join(repo, 'b.txt'), 'b by the run\n');
+        await writeFile(path.join(repo, 'c.txt'), 'new\n');
+      },
+      () => writeFile(path.join(repo, 'b.txt'), 'b edited after the run\n')
+    );
+
+    const result = await store.restore(checkpoint, () => false);
+    assert.deepEqual(result, { restored: ['a.txt'], removed: ['c.txt'], skipped: ['b.txt'] });
+    assert.equal(await readFile(path.join(repo, 'a.txt'), 'utf8'), 'a\n');
+    assert.equal(await readFile(path.join(repo, 'b.txt'), 'utf8'), 'b edited after the run\n');
+    assert.equal(await exists(path.join(repo, 'c.txt')), false);
+    await store.flush();
+  });
+
+  it('undoes the run outside git and skips hidden and changed paths', async () => {
+    const dir = path.join(tmp, 'plain');
+    await mkdir(dir);
+    await writeFile(path.join(dir, 'a.txt'), 'a\n');
+    await writeFile(path.join(dir, 'b.txt'), 'b\n');
+    await writeFile(path.join(dir, 'hidden.txt'), 'h\n');
+
+    const store = new CheckpointStore(path.join(tmp, 'files-state', 'checkpoints.json'));
+    const checkpoint = await checkpointRun(
+      dir,
+      store,
+      async () => {
+        await writeFile(path.join(dir, 'a.txt'), 'a by the run\n');
+        await writeFile(path.join(dir, 'b.txt'), 'b by the run\n');
+        await writeFile(path.join(dir, 'hidden.txt'), 'h by the run\n');
+      },
+      () => writeFile(path.join(dir, 'b.txt'), 'b edited after the run, longer\n')
+    );
+    assert.equal(checkpoint.mode, 'files');
+
+    const result = await store.restore(checkpoint, (filePath) => filePath.endsWith('hidden.txt'));
+    assert.deepEqual(result.restored, ['a.txt']);
+    assert.deepEqual(result.skipped.sort(), ['b.txt', 'hidden.txt']);
+    assert.equal(await readFile(path.join(dir, 'a.txt'), 'utf8'), 'a\n');
+    assert.equal(await readFile(path.join(dir, 'hidden.txt'), 'utf8'), 'h by the run\n');
+    await store.flush();
+  });
+
+  it('refuses a checkpoint whose run has not ended', async () => {
+    const dir = path.join(tmp, 'unfinished');
+    await mkdir(dir);
+    const store = new CheckpointStore(path.join(tmp, 'unfinished-state', 'checkpoints.json'));
+    const checkpoint = await store.create(await captureWorkspaceSnapshot(dir), META);
+    await assert.rejects(store.restore(checkpoint, () => false), /^Error: checkpoint_incomplete$/);
+    await store.flush();
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SLASH_COMMANDS, formatSlashCommandHelp, parseSlashCommand } from '../src/commands.js';
+
+describe('parseSlashCommand', () => {
+  it('parses known commands with and without arguments', () => {
+    assert.deepEqual(parseSlashCommand('/status'), { name: 'status', args: '' });
+    assert.deepEqual(parseSlashCommand('  /model   claude-sonnet-4  '), { name: 'model', args: 'claude-sonnet-4' });
+    assert.deepEqual(parseSlashCommand('/model a\nb'), { name: 'model', args: 'a\nb' });
+  });
+
+  it('leaves anything else to the provider', () => {
+    assert.equal(parseSlashCommand('/usr/bin/env is broken'), null);
+    assert.equal(parseSlashCommand('/unknown'), null);
+    assert.equal(parseSlashCommand('/Status'), null);
+    assert.equal(parseSlashCommand('/statusx'), null);
+    assert.equal(parseSlashCommand('please /reset'), null);
+    assert.equal(parseSlashCommand('/toString'), null);
+  });
+});
+
+describe('formatSlashCommandHelp', () => {
+  it('lists every command once', () => {
+    const lines = formatSlashCommandHelp().split('\n');
+    assert.deepEqual(lines.map((line) => line.split(' ')[0]), Object.keys(SLASH_COMMANDS).map((name) => `/${name}`));
+  });
+});
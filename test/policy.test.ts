@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { createDefaultPolicy, getCwdPolicyViolation, resolveEffectivePolicy, resolveWorkspace } from '../src/policy.js';
+import type { AgentPolicy, PolicyOverlay } from '../src/types.js';
+
+const ROOT = path.resolve('/srv/agent-policy-test');
+
+function policyWith(overlays: AgentPolicy['overlays'], base: Partial<AgentPolicy> = {}): AgentPolicy {
+  return { ...createDefaultPolicy({ preset: 'balanced', allowedRoot: ROOT }), ...base, overlays };
+}
+
+function granteePolicy(overlay: PolicyOverlay, base: Partial<AgentPolicy> = {}): AgentPolicy {
+  const { policy } = resolveEffectivePolicy(policyWith({ grantees: overlay }, base), { uid: 'u_guest', isOwner: false });
+  assert.ok(policy);
+  return policy;
+}
+
+describe('policy overlays', () => {
+  it('never widens the preset', () => {
+    assert.equal(granteePolicy({ preset: 'power' }).preset, 'balanced');
+    const safe = granteePolicy({ preset: 'safe' });
+    assert.equal(safe.preset, 'safe');
+    assert.ok(safe.disallowedTools.includes('Write'));
+  });
+
+  it('intersects allowed roots instead of adding new ones', () => {
+    const narrowed = granteePolicy({ allowedCwdRoots: [path.join(ROOT, 'docs'), path.resolve('/etc')] });
+    assert.deepEqual(narrowed.allowedCwdRoots, [path.join(ROOT, 'docs')]);
+    assert.ok(getCwdPolicyViolation(path.resolve('/etc'), narrowed));
+    assert.ok(getCwdPolicyViolation(path.join(ROOT, 'src'), narrowed));
+    assert.equal(getCwdPolicyViolation(path.join(ROOT, 'docs', 'api'), narrowed), null);
+  });
+
+  it('merges blocked roots and disallowed tools, intersects allowed tools', () => {
+    const narrowed = granteePolicy(
+      { blockedPathRoots: [path.join(ROOT, 'secrets')], disallowedTools: ['WebFetch'], allowedTools: ['Read', 'Bash'] },
+      { allowedTools: ['Read', 'Grep'], disallowedTools: ['Write'] }
+    );
+    assert.ok(narrowed.blockedPathRoots.includes(path.join(ROOT, 'secrets')));
+    assert.deepEqual(narrowed.disallowedTools.sort(), ['WebFetch', 'Write']);
+    assert.deepEqual(narrowed.allowedTools, ['Read']);
+  });
+
+  it('keeps the lower of each limit', () => {
+    const narrowed = granteePolicy(
+      { maxTurns: 50, maxCostUsdPerMessage: 0.2, maxPromptChars: 10 },
+      { maxTurns: 10, maxCostUsdPerMessage: 1 }
+    );
+    assert.equal(narrowed.maxTurns, 10);
+    assert.equal(narrowed.maxCostUsdPerMessage, 0.2);
+    assert.equal(narrowed.maxPromptChars, 10);
+  });
+
+  it('disallows Bash when the bash allow lists have nothing in common', () => {
+    const narrowed = granteePolicy({ bash: { allowPatterns: ['^ls'] } }, { bash: { denyPatterns: [], allowPatterns: ['^git status'] } });
+    assert.ok(narrowed.disallowedTools.includes('Bash'));
+    assert.equal(narrowed.bash.allowPatterns, undefined);
+  });
+
+  it('applies the owner overlay to the owner only, then matching requester overlays', () => {
+    const policy = policyWith({
+      owner: { maxTurns: 30 },
+      grantees: { maxTurns: 20 },
+      requesters: { '*@example.com': { maxTurns: 5 }, u_other: { maxTurns: 1 } },
+    });
+    const owner = resolveEffectivePolicy(policy, { uid: 'u_owner', isOwner: true });
+    assert.deepEqual(owner.overlays, ['owner']);
+    assert.equal(owner.policy?.maxTurns, 30);
+
+    const guest = resolveEffectivePolicy(policy, { uid: 'u_guest', email: 'Guest@Example.com', isOwner: false });
+    assert.deepEqual(guest.overlays, ['grantees', '*@example.com']);
+    assert.equal(guest.policy?.maxTurns, 5);
+  });
+
+  it('does not let a workspace overlay reach outside the requester roots', () => {
+    const policy = granteePolicy({ allowedCwdRoots: [path.join(ROOT, 'docs')] }, {
+      workspaces: {
+        docs: { path: path.join(ROOT, 'docs'), policy: { maxTurns: 3 } },
+        src: { path: path.join(ROOT, 'src'), policy: { allowedCwdRoots: [path.join(ROOT, 'src')] } },
+      },
+    });
+    assert.equal(resolveWorkspace(policy, 'docs').policy.maxTurns, 3);
+    assert.throws(() => resolveWorkspace(policy, 'src'), /^Error: workspace_not_allowed$/);
+    assert.throws(() => resolveWorkspace(policy, 'missing'), /^Error: unknown_workspace$/);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AGENT_FEATURES, legacyProtocol, negotiateProtocol } from '../src/protocol.js';
+
+describe('negotiateProtocol', () => {
+  it('picks the highest common version and only the features both sides list', () => {
+    const negotiated = negotiateProtocol({ protocol_versions: [1, 2, 3], features: ['streaming', 'cancel', 'teleport'] });
+    assert.equal(negotiated.version, 2);
+    assert.equal(negotiated.negotiated, true);
+    assert.deepEqual([...negotiated.features].sort(), ['cancel', 'streaming']);
+  });
+
+  it('intersects features on version 1 too', () => {
+    const negotiated = negotiateProtocol({ protocol_versions: [1], features: ['rollback'] });
+    assert.equal(negotiated.version, 1);
+    assert.deepEqual([...negotiated.features], ['rollback']);
+  });
+
+  it('enables no feature when the gateway lists none', () => {
+    assert.equal(negotiateProtocol({ protocolVersion: 2 }).features.size, 0);
+  });
+
+  it('accepts features as a { name: true } map', () => {
+    const negotiated = negotiateProtocol({ protocol_versions: [2], features: { approvals: true, attachments: false } });
+    assert.deepEqual([...negotiated.features], ['approvals']);
+  });
+
+  it('throws protocol_version_mismatch when the versions do not overlap', () => {
+    assert.throws(
+      () => negotiateProtocol({ protocol_versions: [7, 8] }),
+      /^Error: protocol_version_mismatch: agent supports \[1, 2\], gateway supports \[7, 8\]/
+    );
+    assert.throws(() => negotiateProtocol({}), /gateway supports \[none\]/);
+  });
+});
+
+describe('legacyProtocol', () => {
+  it('assumes version 1 with every agent feature until the gateway answers', () => {
+    const legacy = legacyProtocol();
+    assert.equal(legacy.version, 1);
+    assert.equal(legacy.negotiated, false);
+    assert.deepEqual([...legacy.features], [...AGENT_FEATURES]);
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { FairRunScheduler, KeyedSerialQueue } from '../src/queue.js';
+
+// A task that records when it starts and runs until release(name) is called.
+function gatedTasks(): {
+  log: string[];
+  task: (name: string) => () => Promise<void>;
+  release: (name: string) => Promise<void>;
+} {
+  const log: string[] = [];
+  const gates = new Map<string, () => void>();
+  return {
+    log,
+    task: (name) => () => new Promise<void>((resolve) => {
+      log.push(`start ${name}`);
+      gates.set(name, resolve);
+    }),
+    release: async (name) => {
+      gates.get(name)?.();
+      // Let the queue's finally() handlers start the next task.
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+  };
+}
+
+describe('KeyedSerialQueue', () => {
+  it('runs tasks on one key in arrival order and reports positions', async () => {
+    const queue = new KeyedSerialQueue(5);
+    const { log, task, release } = gatedTasks();
+
+    assert.equal(queue.enqueue('k', task('a')), 0);
+    assert.equal(queue.enqueue('k', task('b')), 1);
+    assert.equal(queue.enqueue('k', task('c')), 2);
+    assert.deepEqual(log, ['start a']);
+
+    await release('a');
+    assert.deepEqual(log, ['start a', 'start b']);
+    await release('b');
+    assert.deepEqual(log, ['start a', 'start b', 'start c']);
+    await release('c');
+  });
+
+  it('runs different keys independently', async () => {
+    const queue = new KeyedSerialQueue(5);
+    const { log, task, release } = gatedTasks();
+
+    assert.equal(queue.enqueue('x', task('a')), 0);
+    assert.equal(queue.enqueue('y', task('b')), 0);
+    assert.deepEqual(log, ['start a', 'start b']);
+    await release('a');
+    await release('b');
+  });
+
+  it('starts a task holding several keys only when it is first on all of them', async () => {
+    const queue = new KeyedSerialQueue(5);
+    const { log, task, release } = gatedTasks();
+
+    queue.enqueue(['session:1', 'conversation:a'], task('a'));
+    queue.enqueue(['session:2', 'conversation:b'], task('b'));
+    // Waits for a on session:1 and for b on conversation:b.
+    assert.equal(queue.enqueue(['session:1', 'conversation:b'], task('c')), 1);
+
+    await release('a');
+    assert.deepEqual(log, ['start a', 'start b']);
+    await release('b');
+    assert.deepEqual(log, ['start a', 'start b', 'start c']);
+    await release('c');
+  });
+
+  it('refuses a task once maxDepth tasks are waiting on one of its keys', async () => {
+    const queue = new KeyedSerialQueue(1);
+    const { task, release } = gatedTasks();
+
+    queue.enqueue('k', task('a'));
+    assert.equal(queue.enqueue('k', task('b')), 1);
+    assert.equal(queue.enqueue('k', task('c')), null);
+    assert.equal(queue.enqueue(['other', 'k'], task('d')), null);
+
+    await release('a');
+    await release('b');
+  });
+
+  it('drops a waiting task whose signal aborts, freeing its place', async () => {
+    const queue = new KeyedSerialQueue(1);
+    const { log, task, release } = gatedTasks();
+    const controller = new AbortController();
+
+    queue.enqueue('k', task('a'));
+    assert.equal(queue.enqueue('k', task('b'), controller.signal), 1);
+    controller.abort();
+    assert.equal(queue.enqueue('k', task('c')), 1);
+
+    await release('a');
+    assert.deepEqual(log, ['start a', 'start c']);
+    await release('c');
+  });
+
+  it('keeps going after a task rejects', async () => {
+    const queue = new KeyedSerialQueue(5);
+    const { log, task, release } = gatedTasks();
+
+    queue.enqueue('k', () => Promise.reject(new Error('boom')));
+    queue.enqueue('k', task('b'));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(log, ['start b']);
+    await release('b');
+  });
+});
+
+describe('FairRunScheduler', () => {
+  it('grants slots up to maxConcurrent without waiting', async () => {
+    const scheduler = new FairRunScheduler(2);
+    await scheduler.acquire('alice');
+    assert.equal(scheduler.isSaturated(), false);
+    await scheduler.acquire('bob');
+    assert.equal(scheduler.isSaturated(), true);
+    scheduler.release();
+    scheduler.release();
+    assert.equal(scheduler.isSaturated(), false);
+  });
+
+  it('hands freed slots out round-robin between requesters', async () => {
+    const scheduler = new FairRunScheduler(1);
+    const order: string[] = [];
+    await scheduler.acquire('holder');
+
+    const waits = [
+      scheduler.acquire('alice').then(() => order.push('alice 1')),
+      scheduler.acquire('alice').then(() => order.push('alice 2')),
+      scheduler.acquire('alice').then(() => order.push('alice 3')),
+      scheduler.acquire('bob').then(() => order.push('bob 1')),
+    ];
+    assert.equal(scheduler.waitingCount(), 4);
+
+    for (let index = 0; index < waits.length; index += 1) {
+      scheduler.release();
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await Promise.all(waits);
+    assert.deepEqual(order, ['alice 1', 'bob 1', 'alice 2', 'alice 3']);
+    scheduler.release();
+  });
+
+  it('rejects a waiting acquire with run_cancelled when its signal aborts', async () => {
+    const scheduler = new FairRunScheduler(1);
+    await scheduler.acquire('holder');
+    const controller = new AbortController();
+    const waiting = scheduler.acquire('alice', controller.signal);
+
+    controller.abort();
+    await assert.rejects(waiting, /run_cancelled/);
+    assert.equal(scheduler.waitingCount(), 0);
+
+    // The slot goes to nobody; the next acquire after release gets it at once.
+    scheduler.release();
+    assert.equal(scheduler.isSaturated(), false);
+  });
+
+  it('rejects at once when the signal has already aborted', async () => {
+    const scheduler = new FairRunScheduler(1);
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(scheduler.acquire('alice', controller.signal), /run_cancelled/);
+    assert.equal(scheduler.isSaturated(), false);
+  });
+});